@@ -1,5 +1,89 @@
 // src/errors.js
 
+/**
+ * The parse errors the parser reports, by code. The tokenizer's codes are the ones the HTML standard defines;
+ * the tree builder's follow the same naming.
+ *
+ * An error's severity is `'warning'` when the recovery almost surely gives the tree the author meant, such as a
+ * missing semicolon after a character reference or a stray end tag, and `'error'` when content was dropped, moved
+ * or restructured.
+ *
+ * @type {Object<string, {message: string, severity: 'error'|'warning'}>}
+ */
+export const ERROR_CODES = {
+  // Tokenizer errors
+  'abrupt-closing-of-empty-comment': { message: 'Abrupt closing of empty comment', severity: 'warning' },
+  'abrupt-doctype-public-identifier': { message: 'Abrupt DOCTYPE public identifier', severity: 'error' },
+  'abrupt-doctype-system-identifier': { message: 'Abrupt DOCTYPE system identifier', severity: 'error' },
+  'absence-of-digits-in-numeric-character-reference': { message: 'Absence of digits in numeric character reference', severity: 'error' },
+  'cdata-in-html-content': { message: 'CDATA section in HTML content', severity: 'error' },
+  'character-reference-outside-unicode-range': { message: 'Character reference outside Unicode range', severity: 'error' },
+  'control-character-in-input-stream': { message: 'Control character in input stream', severity: 'warning' },
+  'control-character-reference': { message: 'Control character reference', severity: 'warning' },
+  'duplicate-attribute': { message: 'Duplicate attribute', severity: 'error' },
+  'end-tag-with-attributes': { message: 'End tag with attributes', severity: 'warning' },
+  'end-tag-with-trailing-solidus': { message: 'End tag with trailing solidus', severity: 'warning' },
+  'eof-before-tag-name': { message: 'EOF before tag name', severity: 'error' },
+  'eof-in-cdata': { message: 'EOF in CDATA section', severity: 'error' },
+  'eof-in-comment': { message: 'EOF in comment', severity: 'error' },
+  'eof-in-doctype': { message: 'EOF in DOCTYPE', severity: 'error' },
+  'eof-in-script-html-comment-like-text': { message: 'EOF in script HTML comment-like text', severity: 'error' },
+  'eof-in-tag': { message: 'EOF in tag', severity: 'error' },
+  'incorrectly-closed-comment': { message: 'Incorrectly closed comment', severity: 'warning' },
+  'incorrectly-opened-comment': { message: 'Incorrectly opened comment', severity: 'error' },
+  'invalid-character-sequence-after-doctype-name': { message: 'Invalid character sequence after DOCTYPE name', severity: 'error' },
+  'invalid-first-character-of-tag-name': { message: 'Invalid first character of tag name', severity: 'error' },
+  'missing-attribute-value': { message: 'Missing attribute value', severity: 'error' },
+  'missing-doctype-name': { message: 'Missing DOCTYPE name', severity: 'error' },
+  'missing-doctype-public-identifier': { message: 'Missing DOCTYPE public identifier', severity: 'error' },
+  'missing-doctype-system-identifier': { message: 'Missing DOCTYPE system identifier', severity: 'error' },
+  'missing-end-tag-name': { message: 'Missing end tag name', severity: 'warning' },
+  'missing-quote-before-doctype-public-identifier': { message: 'Missing quote before DOCTYPE public identifier', severity: 'error' },
+  'missing-quote-before-doctype-system-identifier': { message: 'Missing quote before DOCTYPE system identifier', severity: 'error' },
+  'missing-semicolon-after-character-reference': { message: 'Missing semicolon after character reference', severity: 'warning' },
+  'missing-whitespace-after-doctype-public-keyword': { message: 'Missing whitespace after DOCTYPE public keyword', severity: 'warning' },
+  'missing-whitespace-after-doctype-system-keyword': { message: 'Missing whitespace after DOCTYPE system keyword', severity: 'warning' },
+  'missing-whitespace-before-doctype-name': { message: 'Missing whitespace before DOCTYPE name', severity: 'warning' },
+  'missing-whitespace-between-attributes': { message: 'Missing whitespace between attributes', severity: 'warning' },
+  'missing-whitespace-between-doctype-public-and-system-identifiers': { message: 'Missing whitespace between DOCTYPE public and system identifiers', severity: 'warning' },
+  'nested-comment': { message: 'Nested comment', severity: 'warning' },
+  'noncharacter-character-reference': { message: 'Noncharacter character reference', severity: 'warning' },
+  'noncharacter-in-input-stream': { message: 'Noncharacter in input stream', severity: 'warning' },
+  'non-void-html-element-start-tag-with-trailing-solidus': { message: 'Non-void HTML element start tag with trailing solidus', severity: 'warning' },
+  'null-character-reference': { message: 'Null character reference', severity: 'error' },
+  'surrogate-character-reference': { message: 'Surrogate character reference', severity: 'error' },
+  'surrogate-in-input-stream': { message: 'Surrogate in input stream', severity: 'warning' },
+  'unexpected-character-after-doctype-system-identifier': { message: 'Unexpected character after DOCTYPE system identifier', severity: 'warning' },
+  'unexpected-character-in-attribute-name': { message: 'Unexpected character in attribute name', severity: 'warning' },
+  'unexpected-character-in-unquoted-attribute-value': { message: 'Unexpected character in unquoted attribute value', severity: 'warning' },
+  'unexpected-equals-sign-before-attribute-name': { message: 'Unexpected equals sign before attribute name', severity: 'warning' },
+  'unexpected-null-character': { message: 'Unexpected null character', severity: 'error' },
+  'unexpected-question-mark-instead-of-tag-name': { message: 'Unexpected question mark instead of tag name', severity: 'error' },
+  'unexpected-solidus-in-tag': { message: 'Unexpected solidus in tag', severity: 'warning' },
+  'unknown-named-character-reference': { message: 'Unknown named character reference', severity: 'warning' },
+
+  // Tree construction errors
+  'missing-doctype': { message: 'Missing DOCTYPE', severity: 'error' },
+  'non-conforming-doctype': { message: 'Non-conforming DOCTYPE', severity: 'warning' },
+  'misplaced-doctype': { message: 'Misplaced DOCTYPE', severity: 'warning' },
+  'misplaced-start-tag': { message: 'Start tag not allowed here', severity: 'error' },
+  'misplaced-end-tag': { message: 'End tag not allowed here', severity: 'warning' },
+  'misplaced-text': { message: 'Text not allowed here', severity: 'error' },
+  'end-tag-without-matching-open-element': { message: 'End tag without matching open element', severity: 'warning' },
+  'closing-of-element-with-open-child-elements': { message: 'Closing of element with open child elements', severity: 'error' },
+  'misnested-formatting-element': { message: 'Misnested formatting element', severity: 'error' },
+  'nested-element': { message: 'Element nested in an element of the same kind', severity: 'error' },
+  'foster-parented-content': { message: 'Content moved out of a table', severity: 'error' },
+  'content-after-body': { message: 'Content after the end of the body', severity: 'error' },
+  'abandoned-head-element-child': { message: 'Head element content after the head', severity: 'warning' },
+  'disallowed-content-in-noscript-in-head': { message: 'Disallowed content in noscript in head', severity: 'error' },
+  'nested-noscript-in-head': { message: 'Nested noscript in head', severity: 'warning' },
+  'image-start-tag': { message: 'Image start tag', severity: 'warning' },
+  'html-content-in-foreign-content': { message: 'HTML content in SVG or MathML content', severity: 'error' },
+  'eof-in-element-that-can-contain-only-text': { message: 'EOF in element that can contain only text', severity: 'error' },
+  'open-elements-left-after-eof': { message: 'Open elements left after EOF', severity: 'warning' },
+};
+
 /**
  * @class ParseError
  * @augments Error
@@ -24,17 +108,46 @@ export class ParseError extends Error {
    */
   index;
 
+  /**
+   * @type {string|null}
+   * @description The error's code, e.g. `'unexpected-null-character'`. See `ERROR_CODES`.
+   */
+  code;
+
+  /**
+   * @type {'error'|'warning'}
+   * @description How serious the error is: `'warning'` if recovery almost surely gives the intended tree.
+   */
+  severity;
+
   /**
    * Creates an instance of ParseError.
    * @param {string} message - A human-readable error message.
    * @param {number} line - The line number where the error occurred.
    * @param {number} column - The column number where the error occurred.
    * @param {number} index - The index in the input string where the error occurred.
+   * @param {string|null} [code=null] - The error's code.
+   * @param {'error'|'warning'} [severity='error'] - How serious the error is.
    */
-  constructor(message, line, column, index) {
+  constructor(message, line, column, index, code = null, severity = 'error') {
     super(message);
     this.line = line;
     this.column = column;
     this.index = index;
+    this.code = code;
+    this.severity = severity;
+  }
+
+  /**
+   * Creates the error with a given code.
+   * @param {string} code - A key of `ERROR_CODES`.
+   * @param {number} line - The line number where the error occurred.
+   * @param {number} column - The column number where the error occurred.
+   * @param {number} index - The index in the input string where the error occurred.
+   * @returns {ParseError}
+   */
+  static fromCode(code, line, column, index) {
+    const { message, severity } = ERROR_CODES[code];
+    return new ParseError(message, line, column, index, code, severity);
   }
 }
\ No newline at end of file
@@ -3,28 +3,99 @@
 import { Tokenizer } from './tokenizer.js';
 import { TreeBuilder } from './tree-builder.js';
 
+export { scanHTML, createScanner } from './sax.js';
+export { createTreeWalker, NodeFilter, TreeWalker } from './traversal.js';
+
 /**
  * Parses an HTML string and returns a document object.
  *
  * @param {string} html The HTML string to parse.
  * @param {object} [options={}] Parsing options.
  * @param {boolean} [options.collectErrors=false] Whether to collect parsing errors.
- * @param {object} [options.fragmentContext=null] The context for parsing an HTML fragment.
+ * @param {import('./nodes.js').ElementNode|string} [options.fragmentContext=null] The element, or HTML tag name, to parse
+ *   the string as the content of. The result's root is then a DocumentFragmentNode holding the parsed nodes.
  * @param {boolean} [options.strict=false] If `true`, the parser will throw an exception on the first parsing error.
- * @returns {{root: import('./nodes.js').DocumentNode, errors: import('./errors.js').ParseError[], toHTML: function, toText: function, query: function}} The parsed document.
+ * @param {function(import('./errors.js').ParseError): (boolean|void)} [options.onError] Called with each parsing error
+ *   as it is found. Returning `false` stops parsing.
+ * @returns {{root: import('./nodes.js').DocumentNode|import('./nodes.js').DocumentFragmentNode, errors: import('./errors.js').ParseError[], toHTML: function, toText: function, toMarkdown: function, query: function, queryOne: function}} The parsed document.
  */
 export function parseHTML(html, options = {}) {
-  const tokenizer = new Tokenizer(options);
-  const tokens = tokenizer.run(html);
+  return createParser(options).end(html);
+}
 
-  const treeBuilder = new TreeBuilder();
-  treeBuilder.run(tokens);
+/**
+ * Creates a parser that takes the HTML in chunks, as it arrives. A chunk may end anywhere, even in the middle
+ * of a tag or a character reference.
+ *
+ * @param {object} [options={}] Parsing options, as for `parseHTML`.
+ * @returns {{write: function(string): void, end: function(string=): object}} The parser. `write(chunk)` parses the
+ *   next chunk; `end(chunk)` parses an optional last chunk and returns the document object `parseHTML` would.
+ */
+export function createParser(options = {}) {
+  const tokenizer = new Tokenizer(options);
+  const treeBuilder = new TreeBuilder(tokenizer, options.fragmentContext);
 
   return {
-    root: treeBuilder.document,
-    errors: tokenizer.errors,
-    toHTML: (options) => treeBuilder.document.toHTML(options),
-    toText: (options) => treeBuilder.document.toText(options),
-    query: (selector) => treeBuilder.document.query(selector),
+    write: (chunk) => treeBuilder.write(chunk),
+    end: (chunk = '') => {
+      treeBuilder.write(chunk);
+      treeBuilder.end();
+
+      const root = treeBuilder.fragment || treeBuilder.document;
+      return {
+        root,
+        errors: tokenizer.errors,
+        toHTML: (options) => root.toHTML(options),
+        toText: (options) => root.toText(options),
+        toMarkdown: (options) => root.toMarkdown(options),
+        query: (selector) => root.query(selector),
+        queryOne: (selector) => root.queryOne(selector),
+      };
+    },
   };
 }
+
+/**
+ * Parses HTML read from a stream.
+ *
+ * @param {AsyncIterable<string|Uint8Array>} stream A Node.js readable stream, a WHATWG `ReadableStream` or any other
+ *   async iterable of chunks. Chunks of bytes are decoded as UTF-8.
+ * @param {object} [options={}] Parsing options, as for `parseHTML`.
+ * @returns {Promise<object>} The document object, once the stream has ended.
+ */
+export async function parseStream(stream, options = {}) {
+  const parser = createParser(options);
+  const decoder = new TextDecoder();
+  for await (const chunk of stream) {
+    parser.write(decodeChunk(decoder, chunk));
+  }
+  return parser.end(decoder.decode());
+}
+
+/**
+ * Creates a WHATWG `TransformStream` that parses the HTML written to it and outputs the document object when its
+ * input ends, e.g. `response.body.pipeThrough(createParserStream())`. For a Node.js stream, wrap its writable side
+ * with `Writable.fromWeb`.
+ *
+ * @param {object} [options={}] Parsing options, as for `parseHTML`.
+ * @returns {TransformStream<string|Uint8Array, object>}
+ */
+export function createParserStream(options = {}) {
+  const parser = createParser(options);
+  const decoder = new TextDecoder();
+  return new TransformStream({
+    transform: (chunk) => parser.write(decodeChunk(decoder, chunk)),
+    flush: (controller) => controller.enqueue(parser.end(decoder.decode())),
+  });
+}
+
+/**
+ * Turns a chunk of a stream into text. A multi-byte character split between chunks is completed by the next one.
+ *
+ * @param {TextDecoder} decoder
+ * @param {string|Uint8Array} chunk
+ * @returns {string}
+ */
+function decodeChunk(decoder, chunk) {
+  return typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+}
@@ -0,0 +1,649 @@
+// src/markdown.js
+
+import { BLOCK_ELEMENTS } from './serializer.js';
+import { isHidden } from './text.js';
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Elements whose content is code, written as a fenced code block.
+ * @type {Set<string>}
+ */
+const CODE_BLOCK_ELEMENTS = new Set(['listing', 'plaintext', 'pre', 'xmp']);
+
+/**
+ * Inline elements whose content is code, written as a code span.
+ * @type {Set<string>}
+ */
+const CODE_ELEMENTS = new Set(['code', 'kbd', 'samp', 'tt']);
+
+/**
+ * Heading elements, whose content is kept on one line.
+ * @type {Set<string>}
+ */
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+const WHITESPACE_RUN = /[\t\n\f\r ]+/g;
+const BACKTICK_RUN = /`+/g;
+const ABSOLUTE_URL = /^[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*$/;
+
+/**
+ * @typedef {object} MarkdownOptions
+ * @property {string} bulletMarker - The marker of unordered list items.
+ * @property {string} emphasisDelimiter - The delimiter of emphasis.
+ * @property {string} strongDelimiter - The delimiter of strong emphasis.
+ * @property {Object<string, MarkdownRule>} rules - The rules that override the conversion of elements, by tag.
+ */
+
+/**
+ * Converts an element to Markdown in place of the built-in conversion.
+ * @callback MarkdownRule
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content - The Markdown of the element's children, or the text of a code element.
+ * @returns {string|null|undefined} The element's Markdown, or `null` or `undefined` for the built-in conversion.
+ */
+
+/**
+ * How a run of children is being converted.
+ * @typedef {object} Context
+ * @property {MarkdownOptions} settings
+ * @property {boolean} singleLine - Whether the Markdown must stay on one line, as in headings and table cells.
+ * @property {boolean} table - Whether the Markdown is in a table cell, where `|` must be escaped.
+ */
+
+/**
+ * A piece of a run of Markdown: text to collapse and escape, Markdown to write as it is, a hard line break, or
+ * the number of line breaks required at a block boundary. Adjacent boundaries merge into the largest of them, and
+ * boundaries at the start or end of the run are dropped. Markdown wrapped in emphasis delimiters carries them, so
+ * that adjacent runs of the same emphasis can be merged.
+ * @typedef {{text: string, markdown: boolean, delimiter?: string}|{lineBreak: true}|number} Item
+ */
+
+/**
+ * Fills in the defaults of `toMarkdown` options.
+ * @param {object} options
+ * @returns {MarkdownOptions}
+ */
+function resolveOptions(options) {
+  const bulletMarker = options.bulletMarker ?? '-';
+  if (!['-', '*', '+'].includes(bulletMarker)) {
+    throw new Error(`The bulletMarker option must be '-', '*' or '+', not ${JSON.stringify(bulletMarker)}`);
+  }
+  const emphasisDelimiter = options.emphasisDelimiter ?? '*';
+  if (emphasisDelimiter !== '*' && emphasisDelimiter !== '_') {
+    throw new Error(`The emphasisDelimiter option must be '*' or '_', not ${JSON.stringify(emphasisDelimiter)}`);
+  }
+  const strongDelimiter = options.strongDelimiter ?? '**';
+  if (strongDelimiter !== '**' && strongDelimiter !== '__') {
+    throw new Error(`The strongDelimiter option must be '**' or '__', not ${JSON.stringify(strongDelimiter)}`);
+  }
+  const rules = options.rules ?? {};
+  for (const [tag, rule] of Object.entries(rules)) {
+    if (typeof rule !== 'function') {
+      throw new Error(`The rule for "${tag}" must be a function`);
+    }
+  }
+  return { bulletMarker, emphasisDelimiter, strongDelimiter, rules };
+}
+
+/**
+ * Converts a node and its descendants to CommonMark, with GitHub Flavored Markdown tables and strikethrough.
+ * Text is escaped so that it reads as text, content that is not rendered is left out, and elements Markdown has
+ * no syntax for are replaced by their content.
+ *
+ * @param {import('./nodes.js').Node} node
+ * @param {object} [options={}] Conversion options, as for `Node.toMarkdown`.
+ * @returns {string}
+ */
+export function serializeMarkdown(node, options = {}) {
+  const context = { settings: resolveOptions(options), singleLine: false, table: false };
+  const items = [];
+  if (node.type === 'element' || node.type === 'text') {
+    collectNode(node, items, context);
+  } else {
+    collectChildren(node, items, context);
+  }
+  return join(items, context);
+}
+
+/**
+ * Converts a node's children to a run of Markdown.
+ * @param {import('./nodes.js').Node} node
+ * @param {Context} context
+ * @returns {string}
+ */
+function convertChildren(node, context) {
+  const items = [];
+  collectChildren(node, items, context);
+  return join(items, context);
+}
+
+/**
+ * Appends the items of a node's children.
+ * @param {import('./nodes.js').Node} node
+ * @param {Array<Item>} items
+ * @param {Context} context
+ */
+function collectChildren(node, items, context) {
+  for (const child of node.children) {
+    collectNode(child, items, context);
+  }
+}
+
+/**
+ * Appends the items of a node: its text, or its Markdown if it is an element that is rendered.
+ * @param {import('./nodes.js').Node} node
+ * @param {Array<Item>} items
+ * @param {Context} context
+ */
+function collectNode(node, items, context) {
+  if (node.type === 'text') {
+    items.push({ text: node.text, markdown: false });
+  } else if (node.type === 'element' && !isHidden(node)) {
+    collectElement(node, items, context);
+  }
+}
+
+/**
+ * Appends the items of an element, converted by its rule if there is one and by the built-in conversion
+ * otherwise. A block is set apart from its siblings by line breaks; the whitespace at the edges of an inline
+ * element's content is moved outside its Markdown, where it stays significant.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<Item>} items
+ * @param {Context} context
+ */
+function collectElement(element, items, context) {
+  const html = element.namespace === HTML_NAMESPACE;
+  const tag = element.tag;
+  const rule = Object.hasOwn(context.settings.rules, tag) ? context.settings.rules[tag] : null;
+  if (html && !rule && tag === 'br') {
+    items.push({ lineBreak: true });
+    return;
+  }
+  const code = html && (CODE_BLOCK_ELEMENTS.has(tag) || CODE_ELEMENTS.has(tag));
+  const block = html && !context.singleLine && (BLOCK_ELEMENTS.has(tag) || CODE_BLOCK_ELEMENTS.has(tag));
+  if (!rule && !code && !block && !(html && Object.hasOwn(INLINE_CONVERTERS, tag))) {
+    collectChildren(element, items, context);
+    return;
+  }
+
+  // Lists and tables are converted from their rows and items, so their content is only needed by a rule.
+  const structured = block && !rule && (tag === 'ol' || tag === 'ul' || tag === 'table');
+  const childContext = html && HEADINGS.has(tag) ? { ...context, singleLine: true } : context;
+  const childItems = [];
+  if (!code && !structured) {
+    collectChildren(element, childItems, childContext);
+  }
+  const content = code ? element.toText() : join(childItems, childContext);
+  let markdown = rule ? rule(element, content) : null;
+  let delimiter = null;
+  if (markdown === null || markdown === undefined) {
+    if (block) {
+      markdown = Object.hasOwn(BLOCK_CONVERTERS, tag) ? BLOCK_CONVERTERS[tag](element, content, context) : content;
+    } else if (code) {
+      markdown = codeSpan(content, context);
+    } else {
+      markdown = Object.hasOwn(INLINE_CONVERTERS, tag) ? INLINE_CONVERTERS[tag](element, content, context) : content;
+      delimiter = html ? emphasisDelimiter(tag, context) : null;
+    }
+  }
+
+  if (block) {
+    const lineBreaks = blockLineBreaks(element);
+    items.push(lineBreaks, { text: markdown, markdown: true }, lineBreaks);
+  } else {
+    const edges = childItems.filter(item => item.text);
+    const first = edges[0];
+    const last = edges[edges.length - 1];
+    if (first && !first.markdown && /^[\t\n\f\r ]/.test(first.text)) {
+      items.push({ text: ' ', markdown: false });
+    }
+    items.push(delimiter ? { text: markdown, markdown: true, delimiter } : { text: markdown, markdown: true });
+    if (last && !last.markdown && /[\t\n\f\r ]$/.test(last.text)) {
+      items.push({ text: ' ', markdown: false });
+    }
+  }
+}
+
+/**
+ * The number of line breaks that set a block apart from its siblings: one before a list nested in a list item,
+ * which may interrupt the item's text, and a blank line otherwise.
+ * @param {import('./nodes.js').ElementNode} element
+ * @returns {number}
+ */
+function blockLineBreaks(element) {
+  const nested = element.parent?.type === 'element' && element.parent.tag === 'li';
+  if (nested && (element.tag === 'ul' || (element.tag === 'ol' && listStart(element) === 1))) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * The built-in conversions of inline elements, from their element and the Markdown of their content.
+ * @type {Object<string, function(import('./nodes.js').ElementNode, string, Context): string>}
+ */
+const INLINE_CONVERTERS = {
+  a: link,
+  b: delimit,
+  del: delimit,
+  em: delimit,
+  i: delimit,
+  img: image,
+  input: checkbox,
+  s: delimit,
+  strike: delimit,
+  strong: delimit,
+};
+
+/**
+ * The built-in conversions of blocks, from their element and the Markdown of their content. Other blocks are
+ * replaced by their content.
+ * @type {Object<string, function(import('./nodes.js').ElementNode, string, Context): string>}
+ */
+const BLOCK_CONVERTERS = {
+  blockquote: (element, content) => (content ? content.replace(/^/gm, '> ').replace(/^> $/gm, '>') : ''),
+  h1: heading,
+  h2: heading,
+  h3: heading,
+  h4: heading,
+  h5: heading,
+  h6: heading,
+  hr: () => '---',
+  li: listItem,
+  listing: codeBlock,
+  ol: list,
+  plaintext: codeBlock,
+  pre: codeBlock,
+  table,
+  ul: list,
+  xmp: codeBlock,
+};
+
+/**
+ * Wraps content in the emphasis delimiters of its element, unless it is empty.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @param {Context} context
+ * @returns {string}
+ */
+function delimit(element, content, context) {
+  const delimiter = emphasisDelimiter(element.tag, context);
+  return content ? `${delimiter}${content}${delimiter}` : '';
+}
+
+/**
+ * The delimiter of an emphasis element, or `null` for other elements.
+ * @param {string} tag
+ * @param {Context} context
+ * @returns {string|null}
+ */
+function emphasisDelimiter(tag, context) {
+  switch (tag) {
+    case 'b':
+    case 'strong':
+      return context.settings.strongDelimiter;
+    case 'em':
+    case 'i':
+      return context.settings.emphasisDelimiter;
+    case 'del':
+    case 's':
+    case 'strike':
+      return '~~';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts a link: to an autolink when its text is its absolute URL, and to an inline link otherwise.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @returns {string}
+ */
+function link(element, content) {
+  const href = element.getAttribute('href');
+  if (href === null || !content) {
+    return content;
+  }
+  const title = element.getAttribute('title');
+  if (title === null && ABSOLUTE_URL.test(href) && element.toText().trim() === href) {
+    return `<${href}>`;
+  }
+  return `[${content}](${destination(href, title)})`;
+}
+
+/**
+ * Converts an image, or leaves it out if it has no source.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @param {Context} context
+ * @returns {string}
+ */
+function image(element, content, context) {
+  const src = element.getAttribute('src');
+  if (!src) {
+    return '';
+  }
+  const alt = escapeText((element.getAttribute('alt') ?? '').replace(WHITESPACE_RUN, ' ').trim(), false, context);
+  return `![${alt}](${destination(src, element.getAttribute('title'))})`;
+}
+
+/**
+ * Converts a checkbox to the marker of a task list item.
+ * @param {import('./nodes.js').ElementNode} element
+ * @returns {string}
+ */
+function checkbox(element) {
+  if (element.getAttribute('type')?.toLowerCase() !== 'checkbox') {
+    return '';
+  }
+  return element.hasAttribute('checked') ? '[x]' : '[ ]';
+}
+
+/**
+ * Writes a link destination, and its title if it has one.
+ * @param {string} url
+ * @param {string|null} title
+ * @returns {string}
+ */
+function destination(url, title) {
+  const target = url ? url.replace(/[\\()]/g, '\\$&').replace(/[\s<>]/g, encodeURIComponent) : '<>';
+  return title === null ? target : `${target} "${title.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Writes a code span, with a fence of backticks longer than any run of them in the code.
+ * @param {string} code
+ * @param {Context} context
+ * @returns {string}
+ */
+function codeSpan(code, context) {
+  code = code.replace(WHITESPACE_RUN, ' ');
+  if (!code) {
+    return '';
+  }
+  if (context.table) {
+    code = code.replace(/\|/g, '\\|');
+  }
+  const fence = '`'.repeat(longestRun(code) + 1);
+  const padding = /^`|`$/.test(code) || (/^ .*[^ ].* $/.test(code)) ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+/**
+ * Converts preformatted content to a fenced code block, with the language of a `language-*` or `lang-*` class
+ * on the element or on a `code` element that is its only child.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content - The element's text.
+ * @returns {string}
+ */
+function codeBlock(element, content) {
+  const only = element.children.length === 1 ? element.children[0] : null;
+  const code = only?.type === 'element' && only.tag === 'code' ? only : null;
+  const className = `${element.getAttribute('class') ?? ''} ${code?.getAttribute('class') ?? ''}`;
+  const language = className.match(/(?:^|\s)lang(?:uage)?-(\S+)/)?.[1] ?? '';
+  const fence = '`'.repeat(Math.max(3, longestRun(content) + 1));
+  const text = content.replace(/\n$/, '');
+  return `${fence}${language}\n${text}${text ? '\n' : ''}${fence}`;
+}
+
+/**
+ * The length of the longest run of backticks in a string.
+ * @param {string} string
+ * @returns {number}
+ */
+function longestRun(string) {
+  return Math.max(0, ...(string.match(BACKTICK_RUN) ?? []).map(run => run.length));
+}
+
+/**
+ * Converts a heading to an ATX heading.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content - Its Markdown, on one line.
+ * @returns {string}
+ */
+function heading(element, content) {
+  // A run of `#` at the end would be read as the heading's closing sequence.
+  return content ? `${'#'.repeat(Number(element.tag[1]))} ${content.replace(/(^| )(#+)$/, '$1\\$2')}` : '';
+}
+
+/**
+ * Converts a list. Items are separated by line breaks, or by blank lines when one of them has several blocks;
+ * content outside the list's items is added to the item before it.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @param {Context} context
+ * @returns {string}
+ */
+function list(element, content, context) {
+  const entries = [];
+  for (const child of element.children) {
+    if (child.type === 'element' && child.namespace === HTML_NAMESPACE && child.tag === 'li') {
+      entries.push({ item: child, extra: [] });
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].extra.push(child);
+    } else {
+      entries.push({ item: null, extra: [child] });
+    }
+  }
+  const start = listStart(element);
+  const reversed = element.tag === 'ol' && element.hasAttribute('reversed');
+  const markdowns = entries.map((entry) => {
+    const items = [];
+    if (entry.item) {
+      collectItemContent(entry.item, items, context);
+    }
+    for (const child of entry.extra) {
+      collectNode(child, items, context);
+    }
+    return join(items, context);
+  });
+  const loose = markdowns.some(markdown => markdown.includes('\n\n'));
+  return markdowns
+    .map((markdown, index) => {
+      const number = reversed ? start - index : start + index;
+      const marker = element.tag === 'ol' ? `${number}.` : context.settings.bulletMarker;
+      return indentItem(marker, markdown);
+    })
+    .join(loose ? '\n\n' : '\n');
+}
+
+/**
+ * Appends the items of a list item's content, converted by the `li` rule if there is one.
+ * @param {import('./nodes.js').ElementNode} item
+ * @param {Array<Item>} items
+ * @param {Context} context
+ */
+function collectItemContent(item, items, context) {
+  const content = convertChildren(item, context);
+  const rule = Object.hasOwn(context.settings.rules, 'li') ? context.settings.rules.li : null;
+  const markdown = rule ? rule(item, content) : null;
+  items.push({ text: markdown ?? content, markdown: true });
+}
+
+/**
+ * Converts a list item outside a list to an item of a bullet list.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @param {Context} context
+ * @returns {string}
+ */
+function listItem(element, content, context) {
+  return indentItem(context.settings.bulletMarker, content);
+}
+
+/**
+ * Puts a list marker before an item's first line and indents its other lines to line up with the content.
+ * @param {string} marker
+ * @param {string} markdown
+ * @returns {string}
+ */
+function indentItem(marker, markdown) {
+  if (!markdown) {
+    return marker;
+  }
+  const indent = ' '.repeat(marker.length + 1);
+  return `${marker} ${markdown.replace(/\n(?=[^\n])/g, `\n${indent}`)}`;
+}
+
+/**
+ * The number of the first item of an ordered list.
+ * @param {import('./nodes.js').ElementNode} element
+ * @returns {number}
+ */
+function listStart(element) {
+  const start = Number.parseInt(element.getAttribute('start') ?? '', 10);
+  if (Number.isFinite(start)) {
+    return start;
+  }
+  if (element.tag === 'ol' && element.hasAttribute('reversed')) {
+    return element.children.filter(child => child.type === 'element' && child.tag === 'li').length;
+  }
+  return 1;
+}
+
+/**
+ * Converts a table to a GitHub Flavored Markdown table. The first row, or the first row of `thead`, is the header
+ * row; cells spanning several columns are followed by empty ones, and the header cells' `align` attribute or
+ * `text-align` style sets the columns' alignment. A caption is written as a paragraph before the table.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} content
+ * @param {Context} context
+ * @returns {string}
+ */
+function table(element, content, context) {
+  const rows = [];
+  let caption = '';
+  for (const child of element.children) {
+    if (child.type !== 'element' || child.namespace !== HTML_NAMESPACE) {
+      continue;
+    }
+    if (child.tag === 'tr') {
+      rows.push(child);
+    } else if (child.tag === 'caption') {
+      caption = convertChildren(child, context);
+    } else if (child.tag === 'thead' || child.tag === 'tbody' || child.tag === 'tfoot') {
+      const sectionRows = child.children.filter(row => row.type === 'element' && row.tag === 'tr');
+      rows.splice(child.tag === 'thead' ? 0 : rows.length, 0, ...sectionRows);
+    }
+  }
+  if (rows.length === 0) {
+    return caption;
+  }
+
+  const cellContext = { ...context, singleLine: true, table: true };
+  const header = cells(rows[0]);
+  const grid = rows.map(row => cells(row).flatMap(cell => {
+    const content = convertChildren(cell, cellContext);
+    const rule = Object.hasOwn(context.settings.rules, cell.tag) ? context.settings.rules[cell.tag] : null;
+    const markdown = (rule ? rule(cell, content) : null) ?? content;
+    const span = Number.parseInt(cell.getAttribute('colspan') ?? '', 10);
+    return [markdown, ...Array(Number.isFinite(span) && span > 1 ? Math.min(span, 1000) - 1 : 0).fill('')];
+  }));
+  const columns = Math.max(...grid.map(row => row.length));
+  const alignments = Array.from({ length: columns }, (_, index) => {
+    const cell = header[index];
+    const align = cell?.getAttribute('align') ?? cell?.getAttribute('style')?.match(/text-align\s*:\s*(\w+)/i)?.[1];
+    switch (align?.toLowerCase()) {
+      case 'left': return ':---';
+      case 'center': return ':---:';
+      case 'right': return '---:';
+      default: return '---';
+    }
+  });
+  const line = (values) => `| ${values.join(' | ')} |`;
+  const pad = (row) => [...row, ...Array(columns - row.length).fill('')];
+  const lines = [line(pad(grid[0])), line(alignments), ...grid.slice(1).map(row => line(pad(row)))];
+  return (caption ? `${caption}\n\n` : '') + lines.join('\n');
+}
+
+/**
+ * The cells of a table row.
+ * @param {import('./nodes.js').ElementNode} row
+ * @returns {Array<import('./nodes.js').ElementNode>}
+ */
+function cells(row) {
+  return row.children.filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'));
+}
+
+/**
+ * Joins items into a run of Markdown, collapsing and escaping text and resolving line breaks. In a single-line
+ * run, line breaks become spaces.
+ * @param {Array<Item>} items
+ * @param {Context} context
+ * @returns {string}
+ */
+function join(items, context) {
+  let markdown = '';
+  let lineBreaks = 0;
+  let lineBreak = false;
+  let space = false;
+  let delimiter = null;
+  const write = (value, valueDelimiter = null) => {
+    if (markdown && delimiter && delimiter === valueDelimiter && lineBreaks === 0 && !lineBreak && !space) {
+      // Runs of the same emphasis merge into one; side by side, their delimiters would be read otherwise.
+      markdown = markdown.slice(0, -delimiter.length);
+      value = value.slice(delimiter.length);
+    } else if (markdown) {
+      if (lineBreaks > 0) {
+        markdown += context.singleLine ? ' ' : '\n'.repeat(lineBreaks);
+      } else if (lineBreak) {
+        markdown += context.singleLine ? ' ' : '\\\n';
+      } else if (space) {
+        markdown += ' ';
+      }
+    }
+    markdown += value;
+    lineBreaks = 0;
+    lineBreak = false;
+    space = false;
+    delimiter = valueDelimiter;
+  };
+  for (const item of items) {
+    if (typeof item === 'number') {
+      lineBreaks = Math.max(lineBreaks, item);
+      space = false;
+    } else if ('lineBreak' in item) {
+      lineBreak = true;
+      space = false;
+    } else if (item.markdown) {
+      if (item.text) {
+        write(item.text, item.delimiter ?? null);
+      }
+    } else {
+      const value = item.text.replace(WHITESPACE_RUN, ' ');
+      const leading = value.startsWith(' ');
+      const trailing = value.endsWith(' ');
+      const text = value.slice(leading ? 1 : 0, trailing ? -1 : undefined);
+      space = space || (leading && !lineBreak);
+      if (text) {
+        write(escapeText(text, !markdown || lineBreaks > 0 || lineBreak, context));
+        space = trailing;
+      }
+    }
+  }
+  return markdown;
+}
+
+/**
+ * Escapes text so that it is not read as Markdown: inline markup characters are escaped everywhere, and the
+ * characters that would start a block only at the start of a line.
+ * @param {string} text
+ * @param {boolean} lineStart - Whether the text starts a line.
+ * @param {Context} context
+ * @returns {string}
+ */
+function escapeText(text, lineStart, context) {
+  let escaped = text
+    .replace(/[\\`*_[\]~]/g, '\\$&')
+    .replace(/<(?=[A-Za-z/!?])/g, '\\<')
+    .replace(/&(?=#?[A-Za-z0-9]+;)/g, '\\&');
+  if (context.table) {
+    escaped = escaped.replace(/\|/g, '\\|');
+  }
+  if (lineStart) {
+    escaped = escaped.replace(/^(?:#{1,6}(?= |$)|[-+=>])/, '\\$&').replace(/^(\d{1,9})([.)])(?= |$)/, '$1\\$2');
+  }
+  return escaped;
+}
@@ -1,5 +1,55 @@
 // src/nodes.js
 
+import { parseSelector, matchesSelector, querySelector, querySelectorAll } from './selectors.js';
+import { serialize } from './serializer.js';
+import { layoutText } from './text.js';
+import { serializeMarkdown } from './markdown.js';
+
+/**
+ * Elements that never have content, so they are serialized without an end tag.
+ * @type {Set<string>}
+ */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'keygen', 'link',
+  'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+/**
+ * Elements whose content the tokenizer reads as raw text, so their text is serialized exactly as it was parsed.
+ * @type {Set<string>}
+ */
+const RAW_TEXT_ELEMENTS = new Set([
+  'iframe', 'noembed', 'noframes', 'plaintext', 'script', 'style', 'xmp',
+]);
+
+/**
+ * The types of node that cannot have children.
+ * @type {Set<string>}
+ */
+const LEAF_TYPES = new Set(['text', 'comment', 'doctype']);
+
+/**
+ * What an attribute name set through `setAttribute` may not contain, so that it serializes as a single attribute.
+ * @type {RegExp}
+ */
+const INVALID_ATTRIBUTE_NAME = /[\t\n\f\r />"'=\0]/;
+
+/**
+ * ASCII whitespace, which separates the class names in a `class` attribute.
+ * @type {RegExp}
+ */
+const ASCII_WHITESPACE = /[\t\n\f\r ]+/;
+
+/**
+ * The key of an attribute in an element's `attributes`: HTML elements' attribute names are lowercase.
+ * @param {ElementNode} element
+ * @param {string} name
+ * @returns {string}
+ */
+function attributeKey(element, name) {
+  return element.namespace === 'http://www.w3.org/1999/xhtml' ? name.toLowerCase() : name;
+}
+
 /**
  * @class Node
  * @description Base class for all nodes in the DOM tree.
@@ -23,6 +73,14 @@ export class Node {
    */
   children;
 
+  /**
+   * @type {number}
+   * @description The index of the node among its parent's children, which the methods that add and remove
+   * children keep up to date so that its siblings are found without searching.
+   * @protected
+   */
+  _index;
+
   /**
    * @type {number}
    * @description The starting index of the node in the original HTML string.
@@ -31,10 +89,23 @@ export class Node {
 
   /**
    * @type {number}
-   * @description The ending index of the node in the original HTML string.
+   * @description The ending index of the node in the original HTML string, just past its last character.
+   * An element whose end tag was omitted ends with its content.
    */
   endIndex;
 
+  /**
+   * @type {number}
+   * @description The 1-based line on which the node starts in the original HTML string.
+   */
+  line;
+
+  /**
+   * @type {number}
+   * @description The 1-based column at which the node starts in the original HTML string.
+   */
+  column;
+
   /**
    * Creates an instance of Node.
    * @param {string} type - The type of the node.
@@ -43,339 +114,458 @@ export class Node {
     this.type = type;
     this.parent = null;
     this.children = [];
+    this._index = -1;
     this.startIndex = -1;
     this.endIndex = -1;
+    this.line = -1;
+    this.column = -1;
   }
 
   /**
-   * Serializes the node and its children to an HTML string.
+   * Serializes the node and its descendants to an HTML string, following the WHATWG algorithm for serializing
+   * HTML fragments: text and attribute values are escaped, void elements have no end tag and the content of raw
+   * text elements is written as it is.
    * @param {object} [options={}] - Serialization options.
-   * @param {boolean} [options.pretty=true] - Whether to pretty-print the HTML.
+   * @param {boolean} [options.pretty=true] - Whether to pretty-print the HTML: blocks go on their own, indented
+   *   lines, inline content stays on one line, and whitespace is collapsed outside preformatted content.
    * @param {number} [options.indentSize=2] - The number of spaces to use for each level of indentation.
+   * @param {boolean} [options.minify=false] - Whether to minify the HTML. Turns off `pretty` and sets the default of
+   *   `removeComments`, `omitOptionalTags` and `collapseWhitespace` to `true`.
+   * @param {boolean} [options.removeComments] - Whether to leave out comments.
+   * @param {boolean} [options.omitOptionalTags] - Whether to leave out the start and end tags the parser would imply,
+   *   such as `</p>` before another `p` or `</li>` at the end of a list. Ignored when pretty-printing.
+   * @param {boolean} [options.collapseWhitespace] - Whether to collapse runs of whitespace outside preformatted
+   *   content into one space, and drop whitespace next to blocks.
+   * @param {string} [options.quote='"'] - The quote character for attribute values: `'"'` or `"'"`. When it is
+   *   given, a value that holds it but not the other one is quoted with the other one instead of escaping it.
+   * @param {boolean} [options.omitAttributeQuotes=false] - Whether to leave attribute values unquoted where it is
+   *   safe: when they are not empty and hold no whitespace, quotes, `=`, `<`, `>` or backticks.
+   * @param {boolean} [options.sortAttributes=false] - Whether to write attributes in name order.
+   * @param {boolean} [options.minimizeBooleanAttributes=false] - Whether to write an attribute by its name alone when
+   *   its value is empty, or is its name for a boolean attribute such as `checked`.
    * @returns {string} The HTML string representation of the node.
+   * @throws {Error} If the `quote` option is not a quote character.
    */
-  toHTML(options = { pretty: true, indentSize: 2 }, indentLevel = 0) {
-    return this.children.map(child => child.toHTML(options, indentLevel)).join('');
+  toHTML(options = {}) {
+    return serialize(this, options);
+  }
+
+  /**
+   * Converts the node and its descendants to Markdown: CommonMark, with GitHub Flavored Markdown tables and
+   * strikethrough. Headings, emphasis, links, images, lists, code, preformatted blocks, blockquotes, horizontal
+   * rules and tables are mapped to their syntax, other elements are replaced by their content, and content that
+   * is not rendered, such as `script` or elements with the `hidden` attribute, is left out. Text is escaped so
+   * that it is not read as Markdown.
+   * @param {object} [options={}] - Conversion options.
+   * @param {string} [options.bulletMarker='-'] - The marker of unordered list items: `'-'`, `'*'` or `'+'`.
+   * @param {string} [options.emphasisDelimiter='*'] - The delimiter of emphasis: `'*'` or `'_'`.
+   * @param {string} [options.strongDelimiter='**'] - The delimiter of strong emphasis: `'**'` or `'__'`.
+   * @param {Object<string, function(ElementNode, string): (string|null|undefined)>} [options.rules={}] - Functions
+   *   that convert elements in place of the built-in conversion, by tag name. Each is called with the element and
+   *   the Markdown of its children (the text of code and preformatted elements) and returns the element's
+   *   Markdown, or `null` or `undefined` to use the built-in conversion. The Markdown of an `li`, `td` or `th`
+   *   rule is put after the list marker or in the table cell.
+   * @returns {string} The Markdown representation of the node.
+   * @throws {Error} If an option has an unsupported value or a rule is not a function.
+   */
+  toMarkdown(options = {}) {
+    return serializeMarkdown(this, options);
   }
 
   /**
    * Returns the concatenated text content of the node and its children.
    * @param {object} [options={}] - Options for text serialization.
    * @param {string} [options.separator=' '] - The separator to use between text content of children.
+   * @param {boolean} [options.layout=false] - Whether to render the text as a browser lays it out, like `innerText`:
+   *   blocks on their own lines, `br` as a line break, whitespace collapsed outside `pre`, table cells separated by
+   *   tabs, hidden content left out and images replaced by their `alt` text.
    * @returns {string} The text content of the node.
    */
   toText(options = { separator: ' ' }) {
+    if (options.layout) {
+      return layoutText(this);
+    }
     return this.children.map(child => child.toText(options)).join('');
   }
 
   /**
-   * Queries the node and its children using a CSS selector.
+   * Finds the descendants of the node that match a CSS selector list. Supports type, universal, id, class,
+   * attribute and structural and logical pseudo-class selectors (such as `:nth-child(2n+1 of .item)` and
+   * `:has(> img)`), combined with the descendant, child (`>`), next-sibling (`+`) and subsequent-sibling (`~`)
+   * combinators.
    * @param {string} selector - The CSS selector to use.
-   * @returns {Array<ElementNode>} An array of matching ElementNodes.
-   */
-        query(selector) {
-          const allResults = new Set();
-          const individualSelectors = selector.split(',').map(s => s.trim()).filter(Boolean);
-      
-          for (const individualSelector of individualSelectors) {
-            // Example: "div > p.intro" -> [ { type: 'selector', value: 'div' }, { type: 'combinator', value: '>' }, { type: 'selector', value: 'p.intro' } ]
-            const parsedSelectorParts = [];
-            // This regex splits by '>', ' ' while keeping the delimiters and also handles multiple spaces
-            const parts = individualSelector.split(/(\s*>\s*|\s+)/).map(s => s.trim()).filter(Boolean);
-      
-            for (let i = 0; i < parts.length; i++) {
-              const part = parts[i];
-              if (part === '>') {
-                parsedSelectorParts.push({ type: 'combinator', value: '>' });
-              } else if (part === '') { // This can happen with multiple spaces or leading/trailing spaces
-                  continue; // Skip empty parts
-              }
-               else if (i > 0 && parsedSelectorParts[parsedSelectorParts.length - 1].type === 'selector' && part !== '>') {
-                // If the previous was a selector and current is not '>' and not a combinator, it's an implicit descendant
-                parsedSelectorParts.push({ type: 'combinator', value: ' ' });
-                parsedSelectorParts.push({ type: 'selector', value: part });
-              }
-              else {
-                parsedSelectorParts.push({ type: 'selector', value: part });
-              }
-            }
-      
-            Node._findAllMatches(this, parsedSelectorParts, 0, [], allResults);
-          }
-          return Array.from(allResults);
-        }
-      
-        /**
-         * Recursive helper to find all nodes matching a parsed selector.
-         * @param {Node} currentNode - The current node to start searching from.
-         * @param {Array<object>} selectorParts - The parsed selector parts.
-         * @param {number} partIndex - The current index in selectorParts to match.
-         * @param {Array<ElementNode>} currentMatchChain - Nodes that have matched so far in the current path.
-         * @param {Set<ElementNode>} resultsSet - The set to accumulate unique matching ElementNodes.
-         */
-        static _findAllMatches(currentNode, selectorParts, partIndex, currentMatchChain, resultsSet) {
-          if (!currentNode || partIndex >= selectorParts.length) {
-            return;
-          }
-      
-          const currentSelectorPart = selectorParts[partIndex];
-      
-          if (currentSelectorPart.type === 'combinator') {
-              // Combinator at the start of a selector should be handled by the initial call to _findAllMatches
-              // or by a previous selector part that leads to descendants.
-              // If we arrive here, it means we are trying to process a combinator.
-              // We should move to the next selector part.
-              if (currentMatchChain.length === 0) {
-                  // This case implies a malformed selector or an initial call on a combinator, skip it.
-                  Node._findAllMatches(currentNode, selectorParts, partIndex + 1, currentMatchChain, resultsSet);
-                  return;
-              }
-      
-              const prevMatchedNode = currentMatchChain[currentMatchChain.length - 1];
-              if (!prevMatchedNode) return; // Should not happen
-      
-              if (currentSelectorPart.value === '>') { // Direct child combinator
-                  for (const child of prevMatchedNode.children) {
-                      if (child instanceof ElementNode) {
-                          Node._findAllMatches(child, selectorParts, partIndex + 1, [...currentMatchChain, child], resultsSet);
-                      }
-                  }
-              } else if (currentSelectorPart.value === ' ') { // Descendant combinator
-                  // For descendant, we need to check all descendants of the prevMatchedNode
-                  Node._findDescendantsAndMatch(prevMatchedNode, selectorParts, partIndex + 1, currentMatchChain, resultsSet);
-              }
-              return; // Combinator processed
-          }
-      
-          // Attempt to match the current node with the current selector part (if it's a 'selector' type part)
-          if (currentNode instanceof ElementNode && currentSelectorPart.type === 'selector' && Node._matchNode(currentNode, currentSelectorPart.value)) {
-              const newMatchChain = [...currentMatchChain, currentNode];
-      
-              if (partIndex === selectorParts.length - 1) { // This is the last selector part and it matches
-                  resultsSet.add(currentNode);
-              } else {
-                  // It matches, but there are more parts. Move to the next.
-                  Node._findAllMatches(currentNode, selectorParts, partIndex + 1, newMatchChain, resultsSet);
-              }
-          }
-      
-          // Always continue searching in children for the *current* selector part or the next.
-          // This is crucial for descendant behavior or to find the initial match.
-          for (const child of currentNode.children) {
-            if (child instanceof ElementNode || child instanceof DocumentNode) {
-              // If the current part is a selector AND we are at the beginning of the search for this part,
-              // OR if the previous part was a descendant combinator,
-              // we try to match the current selector part on the child.
-              if (currentSelectorPart.type === 'selector' && (partIndex === 0 || (partIndex > 0 && selectorParts[partIndex - 1].value === ' '))) {
-                  Node._findAllMatches(child, selectorParts, partIndex, currentMatchChain, resultsSet);
-              }
-            }
-          }
-        }
-      
-        /**
-         * Helper for descendant combinator: finds all descendants from startNode and tries to match.
-         * This is called when a ' ' combinator is encountered.
-         * @param {Node} startNode - The node from which to find descendants.
-         * @param {Array<object>} selectorParts - The parsed selector parts.
-         * @param {number} partIndex - The current index in selectorParts to match.
-         * @param {Array<ElementNode>} currentMatchChain - Nodes that have matched so far.
-         * @param {Set<ElementNode>} resultsSet - The set to accumulate unique matching ElementNodes.
-         */
-        static _findDescendantsAndMatch(startNode, selectorParts, partIndex, currentMatchChain, resultsSet) {
-          if (!startNode) {
-            return;
-          }
-          for (const child of startNode.children) {
-              if (child instanceof ElementNode || child instanceof DocumentNode) {
-                  // Try to match the next selector part directly on the child
-                  Node._findAllMatches(child, selectorParts, partIndex, [...currentMatchChain, child], resultsSet);
-                  // Also recursively search descendants of the child
-                  Node._findDescendantsAndMatch(child, selectorParts, partIndex, currentMatchChain, resultsSet);
-              }
-          }
-        }
-          /**
-     * Helper method to check if an ElementNode matches a single simple selector part.
-     * @param {ElementNode} node - The element node to check.
-     * @param {string} simpleSelectorPart - The simple selector string (e.g., 'div', '#id', '.class').
-     * @returns {boolean} - True if the node matches the simple selector, false otherwise.
-     */
-      _matchesSimpleSelector(node, simpleSelectorPart) {
-        if (!(node instanceof ElementNode)) {
-            return false;
-        }
-    
-        if (simpleSelectorPart.startsWith('#')) { // ID selector
-            return node.attributes.id === simpleSelectorPart.substring(1);
-        } else if (simpleSelectorPart.startsWith('.')) { // Class selector
-            return node.attributes.class && node.attributes.class.split(' ').includes(simpleSelectorPart.substring(1));
-        } else { // Tag name selector
-            return node.tag === simpleSelectorPart;
-        }
-      }
-    
-      /**
-       * Helper method to check if an ElementNode matches a complex selector part
-       * (e.g., 'div#id.class').
-       * @param {ElementNode} node - The element node to check.
-       * @param {string} selectorPart - The complex selector part string.
-       * @returns {boolean} - True if the node matches, false otherwise.
-       */
-      static _matchNode(node, selectorPart) {
-        if (!(node instanceof ElementNode)) {
-          return false;
-        }
-    
-        // Regex to extract tag, id, and classes
-        const match = selectorPart.match(/^(?:(\w+))?(?:#([\w-]+))?(?:\.([\w.-]+))?$/);
-        if (!match) {
-          return false; // Malformed selector part
-        }
-    
-        const [, tag, id, classes] = match;
-    
-        if (tag && node.tag.toLowerCase() !== tag.toLowerCase()) { // Case-insensitive tag matching
-          return false;
-        }
-        if (id && node.attributes.id !== id) {
-          return false;
-        }
-        if (classes) {
-          const nodeClasses = node.attributes.class ? node.attributes.class.split(' ') : [];
-          const requiredClasses = classes.split('.');
-          for (const cls of requiredClasses) {
-            if (!nodeClasses.includes(cls)) {
-              return false;
-            }
-          }
-        }
-        return true;
+   * @returns {Array<ElementNode>} An array of matching ElementNodes, in document order.
+   * @throws {SyntaxError} If the selector is malformed.
+   */
+  query(selector) {
+    return querySelectorAll(this, selector);
+  }
+
+  /**
+   * Finds the first descendant of the node, in document order, that matches a CSS selector list, as `query` would,
+   * without searching the rest of the tree.
+   * @param {string} selector - The CSS selector to use.
+   * @returns {ElementNode|null} The first matching ElementNode, or `null` if there is none.
+   * @throws {SyntaxError} If the selector is malformed.
+   */
+  queryOne(selector) {
+    return querySelector(this, selector);
+  }
+
+  /**
+   * Adds a node as the last child of this node, first removing it from its current parent. Adding a
+   * DocumentFragmentNode adds its children instead.
+   * @param {Node} node - The node to add.
+   * @returns {Node} The added node.
+   * @throws {Error} If the node cannot be a child of this node.
+   */
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  /**
+   * Inserts a node among the children of this node, before a reference child, first removing it from its current
+   * parent. Inserting a DocumentFragmentNode inserts its children instead.
+   * @param {Node} node - The node to insert.
+   * @param {Node|null} reference - The child to insert the node before, or `null` to add it as the last child.
+   * @returns {Node} The inserted node.
+   * @throws {Error} If the reference is not a child of this node, or the node cannot be a child of this node.
+   */
+  insertBefore(node, reference) {
+    if (LEAF_TYPES.has(this.type)) {
+      throw new Error(`A ${this.type} node cannot have children`);
+    }
+    if (reference !== null && reference.parent !== this) {
+      throw new Error('The reference node is not a child of this node');
+    }
+    if (node.type === 'document') {
+      throw new Error('A document cannot be inserted into another node');
+    }
+    for (let ancestor = this; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === node) {
+        throw new Error('A node cannot be inserted into itself or its descendants');
       }
+    }
+    if (reference === node) {
+      reference = node.nextSibling;
+    }
+    const nodes = node.type === 'document-fragment' ? [...node.children] : [node];
+    for (const child of nodes) {
+      child.remove();
+      this._insertChild(child, reference);
+    }
+    return node;
+  }
 
   /**
-   * Recursive helper to find all nodes matching a parsed selector.
-   * @param {Node} startNode - The current node to start searching from.
-   * @param {Array<object>} selectorParts - The parsed selector parts.
-   * @param {number} partIndex - The current index in selectorParts to match.
-   * @param {Set<ElementNode>} resultsSet - The set to accumulate unique matching ElementNodes.
+   * Removes a child of this node.
+   * @param {Node} child - The child to remove.
+   * @returns {Node} The removed child.
+   * @throws {Error} If the node is not a child of this node.
    */
-  static _findAllMatches(startNode, selectorParts, partIndex, resultsSet) {
-    if (!startNode || partIndex >= selectorParts.length) {
-      return;
+  removeChild(child) {
+    if (child.parent !== this) {
+      throw new Error('The node to remove is not a child of this node');
     }
+    this._removeChild(child);
+    return child;
+  }
+
+  /**
+   * Inserts a node without a parent among the children of this node, before a reference child or last, without
+   * checking that it may be.
+   * @protected
+   * @param {Node} child
+   * @param {Node|null} reference
+   */
+  _insertChild(child, reference) {
+    const index = reference === null ? this.children.length : reference._siblingIndex();
+    this.children.splice(index, 0, child);
+    child.parent = this;
+    this._renumberChildren(index);
+  }
 
-    const currentSelectorPart = selectorParts[partIndex];
-
-    // If the current part is a combinator, it means the previous selector part has been matched
-    // and we need to determine the search scope for the *next* selector part.
-    if (currentSelectorPart.type === 'combinator') {
-        const combinator = currentSelectorPart.value;
-        const nextSelectorPartIndex = partIndex + 1;
-
-        if (combinator === '>') { // Direct child combinator
-            for (const child of startNode.children) {
-                if (child instanceof ElementNode) {
-                    Node._findAllMatches(child, selectorParts, nextSelectorPartIndex, resultsSet);
-                }
-            }
-        } else if (combinator === ' ') { // Descendant combinator
-            Node._findDescendantsAndMatch(startNode, selectorParts, nextSelectorPartIndex, resultsSet);
-        }
-        return; // Combinator processed, move to next
+  /**
+   * Removes a child of this node without checking that it is one.
+   * @protected
+   * @param {Node} child
+   */
+  _removeChild(child) {
+    const index = child._siblingIndex();
+    child.parent = null;
+    child._index = -1;
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      this._renumberChildren(index);
     }
+  }
 
-    // Attempt to match the current node with the current selector part (if it's a 'selector' type part)
-    if (startNode instanceof ElementNode && Node._matchNode(startNode, currentSelectorPart.value)) {
-        if (partIndex === selectorParts.length - 1) { // It's the last selector part and it matches
-            resultsSet.add(startNode);
-        } else {
-            // It matches, but there are more parts (possibly a combinator next)
-            // Continue search from children of the current matching node, looking for the next part
-            for (const child of startNode.children) {
-                 Node._findAllMatches(child, selectorParts, partIndex + 1, resultsSet);
-            }
-        }
+  /**
+   * Updates the index of each child from an index on, after children were added or removed there.
+   * @protected
+   * @param {number} start
+   */
+  _renumberChildren(start) {
+    for (let i = start; i < this.children.length; i++) {
+      this.children[i]._index = i;
     }
+  }
 
-    // Always continue searching in children for the *current* selector part (descendant behavior).
-    // This is for finding the initial match of a selector or for implicit descendant combinators.
-    // If the current part is a selector, we need to apply it to all descendants unless a combinator
-    // explicitly limits the scope.
-    if (currentSelectorPart.type === 'selector') {
-        for (const child of startNode.children) {
-            // Only if it's the beginning of the search, or if the previous combinator was ' '
-            // This is the core of how descendant selectors work.
-            // We pass the same partIndex, meaning we're still trying to match this selector part.
-            // We need to avoid infinite loops if 'startNode' is DocumentNode and it's trying to match 'html'
-            if (startNode === child.parent) { // Only traverse direct children
-                Node._findAllMatches(child, selectorParts, partIndex, resultsSet);
-            }
-        }
+  /**
+   * The index of the node among its parent's children, or -1 if it is not one of them. When the children were
+   * changed directly rather than through the methods that add and remove them, they are all renumbered first.
+   * @protected
+   * @returns {number}
+   */
+  _siblingIndex() {
+    const siblings = this.parent.children;
+    if (siblings[this._index] !== this) {
+      this._index = -1;
+      this.parent._renumberChildren(0);
+    }
+    return this._index;
+  }
+
+  /**
+   * Removes the node from its parent, if it has one.
+   */
+  remove() {
+    if (this.parent) {
+      this.parent.removeChild(this);
     }
   }
 
   /**
-   * Helper for descendant combinator: finds all descendants from startNode and tries to match.
-   * This is called when a ' ' combinator is encountered.
-   * @param {Node} startNode - The node from which to find descendants.
-   * @param {Array<object>} selectorParts - The parsed selector parts.
-   * @param {number} partIndex - The current index in selectorParts to match.
-   * @param {Set<ElementNode>} resultsSet - The set to accumulate unique matching ElementNodes.
+   * Replaces the node, in its parent, with other nodes. Strings are inserted as text nodes. Does nothing if the
+   * node has no parent.
+   * @param {...(Node|string)} nodes - The nodes to put in its place.
+   * @throws {Error} If one of the nodes cannot be a child of the node's parent.
    */
-  static _findDescendantsAndMatch(startNode, selectorParts, partIndex, resultsSet) {
-    if (!startNode) {
+  replaceWith(...nodes) {
+    const parent = this.parent;
+    if (!parent) {
       return;
     }
-    for (const child of startNode.children) {
-        if (child instanceof ElementNode || child instanceof DocumentNode) {
-            // Try to match the next selector part on the current child
-            Node._findAllMatches(child, selectorParts, partIndex, resultsSet);
-            // Also recursively search descendants of the child for the same selector part
-            Node._findDescendantsAndMatch(child, selectorParts, partIndex, resultsSet);
-        }
+    let next = this.nextSibling;
+    while (next && nodes.includes(next)) {
+      next = next.nextSibling;
+    }
+    this.remove();
+    for (const node of nodes) {
+      parent.insertBefore(typeof node === 'string' ? new TextNode(node) : node, next);
+    }
+  }
+
+  /**
+   * The node that follows this one among its parent's children.
+   * @type {Node|null}
+   */
+  get nextSibling() {
+    const index = this.parent ? this._siblingIndex() : -1;
+    return index === -1 ? null : this.parent.children[index + 1] || null;
+  }
+
+  /**
+   * The node that precedes this one among its parent's children.
+   * @type {Node|null}
+   */
+  get previousSibling() {
+    const index = this.parent ? this._siblingIndex() : -1;
+    return index === -1 ? null : this.parent.children[index - 1] || null;
+  }
+
+  /**
+   * The element that follows this node among its parent's children.
+   * @type {ElementNode|null}
+   */
+  get nextElementSibling() {
+    let sibling = this.nextSibling;
+    while (sibling && sibling.type !== 'element') {
+      sibling = sibling.nextSibling;
+    }
+    return sibling;
+  }
+
+  /**
+   * The element that precedes this node among its parent's children.
+   * @type {ElementNode|null}
+   */
+  get previousElementSibling() {
+    let sibling = this.previousSibling;
+    while (sibling && sibling.type !== 'element') {
+      sibling = sibling.previousSibling;
+    }
+    return sibling;
+  }
+
+  /**
+   * The first child of the node.
+   * @type {Node|null}
+   */
+  get firstChild() {
+    return this.children[0] || null;
+  }
+
+  /**
+   * The last child of the node.
+   * @type {Node|null}
+   */
+  get lastChild() {
+    return this.children[this.children.length - 1] || null;
+  }
+
+  /**
+   * The first child of the node that is an element.
+   * @type {ElementNode|null}
+   */
+  get firstElementChild() {
+    return this.children.find(child => child.type === 'element') || null;
+  }
+
+  /**
+   * The last child of the node that is an element.
+   * @type {ElementNode|null}
+   */
+  get lastElementChild() {
+    return this.children.findLast(child => child.type === 'element') || null;
+  }
+
+  /**
+   * The parent of the node if it is an element, so `null` for the `html` element and for the children of
+   * a DocumentFragmentNode.
+   * @type {ElementNode|null}
+   */
+  get parentElement() {
+    return this.parent && this.parent.type === 'element' ? this.parent : null;
+  }
+
+  /**
+   * Yields the descendants of the node, in document order.
+   * @returns {Generator<Node>}
+   */
+  *descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  /**
+   * Yields the ancestors of the node, from its parent up to the root.
+   * @returns {Generator<Node>}
+   */
+  *ancestors() {
+    for (let node = this.parent; node; node = node.parent) {
+      yield node;
     }
   }
-    
+
+  /**
+   * Yields the descendants of the node that are elements, in document order.
+   * @returns {Generator<ElementNode>}
+   */
+  *elements() {
+    for (const child of this.children) {
+      if (child.type === 'element') {
+        yield child;
+        yield* child.elements();
+      }
+    }
+  }
+
+  /**
+   * Copies the node, without a parent. Its location in the original HTML string is copied too.
+   * @param {boolean} [deep=false] - Whether to copy its descendants as well.
+   * @returns {Node} The copy.
+   */
+  cloneNode(deep = false) {
+    const clone = this._cloneShallow();
+    clone.startIndex = this.startIndex;
+    clone.endIndex = this.endIndex;
+    clone.line = this.line;
+    clone.column = this.column;
+    if (deep) {
+      for (const child of this.children) {
+        clone.appendChild(child.cloneNode(true));
+      }
+    }
+    return clone;
   }
 
+  /**
+   * Creates a node of the same kind with the same own data, but no parent, children or location.
+   * @protected
+   * @returns {Node}
+   */
+  _cloneShallow() {
+    return new Node(this.type);
+  }
+
+  /**
+   * Merges adjacent text nodes and removes empty ones, throughout the node's descendants.
+   */
+  normalize() {
+    for (let i = 0; i < this.children.length; i++) {
+      const child = this.children[i];
+      if (child.type !== 'text') {
+        child.normalize();
+        continue;
+      }
+      let next = this.children[i + 1];
+      while (next && next.type === 'text') {
+        child.text += next.text;
+        child.endIndex = Math.max(child.endIndex, next.endIndex);
+        this.removeChild(next);
+        next = this.children[i + 1];
+      }
+      if (child.text === '') {
+        this.removeChild(child);
+        i--;
+      }
+    }
+  }
+}
+
 /**
  * @class DocumentNode
  * @augments Node
  * @description Represents the root of the DOM document.
  */
 export class DocumentNode extends Node {
+  /**
+   * @type {string}
+   * @description The document's mode, as determined by its DOCTYPE: 'no-quirks', 'limited-quirks' or 'quirks'.
+   */
+  quirksMode;
+
   constructor() {
     super('document');
+    this.quirksMode = 'no-quirks';
   }
 
   /**
-   * Serializes the document and its children to an HTML string.
-   * @param {object} [options={}] - Serialization options.
-   * @param {boolean} [options.pretty=true] - Whether to pretty-print the HTML.
-   * @param {number} [options.indentSize=2] - The number of spaces to use for each level of indentation.
-   * @returns {string} The HTML string representation of the document.
+   * @protected
+   * @returns {DocumentNode}
    */
-  toHTML(options = { pretty: true, indentSize: 2 }, indentLevel = 0) {
-    let htmlString = '';
-    for (const child of this.children) {
-      const childHtml = child.toHTML(options, indentLevel);
-      if (child.type === 'doctype' && options.pretty && childHtml) {
-        htmlString += childHtml + '\n';
-      } else {
-        htmlString += childHtml;
-      }
-    }
-    return htmlString;
+  _cloneShallow() {
+    const clone = new DocumentNode();
+    clone.quirksMode = this.quirksMode;
+    return clone;
   }
 
   /**
    * Returns the concatenated text content of the document.
    * @param {object} [options={}] - Options for text serialization.
    * @param {string} [options.separator=' '] - The separator to use between text content of children.
+   * @param {boolean} [options.layout=false] - Whether to render the text as a browser lays it out, like `innerText`:
+   *   blocks on their own lines, `br` as a line break, whitespace collapsed outside `pre`, table cells separated by
+   *   tabs, hidden content left out and images replaced by their `alt` text.
    * @returns {string} The text content of the document.
    */
   toText(options = { separator: ' ' }) {
+    if (options.layout) {
+      return layoutText(this);
+    }
     const textContent = this.children
       .map(child => child.toText(options))
       .filter(Boolean) // Filter out empty strings
@@ -384,6 +574,25 @@ export class DocumentNode extends Node {
   }
 }
 
+/**
+ * @class DocumentFragmentNode
+ * @augments Node
+ * @description Holds the nodes parsed from an HTML fragment, without the document and `html` element around them.
+ */
+export class DocumentFragmentNode extends Node {
+  constructor() {
+    super('document-fragment');
+  }
+
+  /**
+   * @protected
+   * @returns {DocumentFragmentNode}
+   */
+  _cloneShallow() {
+    return new DocumentFragmentNode();
+  }
+}
+
 /**
  * @class ElementNode
  * @augments Node
@@ -408,9 +617,36 @@ export class ElementNode extends Node {
    */
   namespace;
 
+  /**
+   * @type {object}
+   * @description The namespace URIs of prefixed attributes on SVG and MathML elements, such as `xlink:href`,
+   * keyed by attribute name. Other attributes have no namespace.
+   */
+  attributeNamespaces;
+
+  /**
+   * @type {{startIndex: number, endIndex: number, line: number, column: number}|null}
+   * @description Where the element's start tag is in the original HTML string, or `null` if the parser implied the
+   * element.
+   */
+  startTagSpan;
+
+  /**
+   * @type {{startIndex: number, endIndex: number, line: number, column: number}|null}
+   * @description Where the element's end tag is in the original HTML string, or `null` if it was omitted.
+   */
+  endTagSpan;
+
+  /**
+   * @type {object}
+   * @description Where each attribute, from the start of its name to the end of its value, is in the original
+   * HTML string, keyed by attribute name.
+   */
+  attributeSpans;
+
   /**
    * Creates an instance of ElementNode.
-   * @param {string} tag - The tag name of the element.
+   * @param {string} tag - The tag name of the element, in its original case for SVG elements such as `foreignObject`.
    * @param {string} [namespace='http://www.w3.org/1999/xhtml'] - The namespace URI.
    */
   constructor(tag, namespace = 'http://www.w3.org/1999/xhtml') {
@@ -418,53 +654,137 @@ export class ElementNode extends Node {
     this.tag = tag;
     this.attributes = {};
     this.namespace = namespace;
+    this.attributeNamespaces = {};
+    this.startTagSpan = null;
+    this.endTagSpan = null;
+    this.attributeSpans = {};
   }
 
   /**
-   * Serializes the element and its children to an HTML string.
-   * @param {object} [options={}] - Serialization options.
-   * @param {boolean} [options.pretty=true] - Whether to pretty-print the HTML.
-   * @param {number} [options.indentSize=2] - The number of spaces to use for each level of indentation.
-   * @returns {string} The HTML string representation of the element.
-   */
-  toHTML(options = { pretty: true, indentSize: 2 }, indentLevel = 0) {
-    const indent = options.pretty ? ' '.repeat(indentLevel * options.indentSize) : '';
-    const newline = options.pretty ? '\n' : '';
-
-    const attrs = Object.entries(this.attributes)
-      .map(([key, value]) => `${key}="${value}"`)
-      .join(' ');
-    const tagAttrs = attrs ? ` ${attrs}` : '';
-
-    let childrenHTML = this.children
-      .map(child => child.toHTML(options, indentLevel + 1))
-      .join('');
-
-    // If childrenHTML is not empty and pretty printing is enabled, add newlines and indentation around it
-    if (options.pretty && this.children.length > 0) {
-        // Only add a newline before the first child's content if there are children,
-        // and a newline before the closing tag if there are children.
-        childrenHTML = newline + childrenHTML + newline + indent;
-    }
+   * @protected
+   * @returns {ElementNode}
+   */
+  _cloneShallow() {
+    const clone = new ElementNode(this.tag, this.namespace);
+    clone.attributes = { ...this.attributes };
+    clone.attributeNamespaces = { ...this.attributeNamespaces };
+    clone.startTagSpan = this.startTagSpan;
+    clone.endTagSpan = this.endTagSpan;
+    clone.attributeSpans = { ...this.attributeSpans };
+    return clone;
+  }
 
-    if (this.children.length > 0) {
-        return `${indent}<${this.tag}${tagAttrs}>${childrenHTML}</${this.tag}>`;
-    } else {
-        // Empty elements without children, e.g., <div></div> or <br/> (though <br> is typically self-closing)
-        return `${indent}<${this.tag}${tagAttrs}></${this.tag}>`;
+  /**
+   * Returns the value of an attribute. Names are case-insensitive on HTML elements.
+   * @param {string} name - The attribute name.
+   * @returns {string|null} The value, or `null` if the element does not have the attribute.
+   */
+  getAttribute(name) {
+    const key = attributeKey(this, name);
+    return Object.hasOwn(this.attributes, key) ? this.attributes[key] : null;
+  }
+
+  /**
+   * Checks whether the element has an attribute. Names are case-insensitive on HTML elements.
+   * @param {string} name - The attribute name.
+   * @returns {boolean}
+   */
+  hasAttribute(name) {
+    return Object.hasOwn(this.attributes, attributeKey(this, name));
+  }
+
+  /**
+   * Sets the value of an attribute, adding the attribute if the element does not have it. Names are lowercased
+   * on HTML elements.
+   * @param {string} name - The attribute name.
+   * @param {string} value - The value, converted to a string.
+   * @throws {Error} If the name is empty or contains whitespace, `/`, `>`, `"`, `'` or `=`.
+   */
+  setAttribute(name, value) {
+    if (!name || INVALID_ATTRIBUTE_NAME.test(name)) {
+      throw new Error(`Invalid attribute name "${name}"`);
     }
+    this.attributes[attributeKey(this, name)] = String(value);
+  }
+
+  /**
+   * Removes an attribute, if the element has it. Names are case-insensitive on HTML elements.
+   * @param {string} name - The attribute name.
+   */
+  removeAttribute(name) {
+    const key = attributeKey(this, name);
+    delete this.attributes[key];
+    delete this.attributeNamespaces[key];
+    delete this.attributeSpans[key];
+  }
+
+  /**
+   * The class names in the element's `class` attribute, as a live list: changing it changes the attribute.
+   * @type {ClassList}
+   */
+  get classList() {
+    return new ClassList(this);
+  }
+
+  /**
+   * Whether this is a void element such as `img` or `br`, which has no content and no end tag.
+   * @type {boolean}
+   */
+  get isVoid() {
+    return this.namespace === 'http://www.w3.org/1999/xhtml' && VOID_ELEMENTS.has(this.tag);
+  }
+
+  /**
+   * Whether this is an element such as `script` or `style` whose content is raw text rather than markup.
+   * @type {boolean}
+   */
+  get isRawText() {
+    return this.namespace === 'http://www.w3.org/1999/xhtml' && RAW_TEXT_ELEMENTS.has(this.tag);
   }
 
   /**
    * Returns the concatenated text content of the element and its children.
    * @param {object} [options={}] - Options for text serialization.
    * @param {string} [options.separator=' '] - The separator to use between text content of children.
+   * @param {boolean} [options.layout=false] - Whether to render the text as a browser lays it out, like `innerText`:
+   *   blocks on their own lines, `br` as a line break, whitespace collapsed outside `pre`, table cells separated by
+   *   tabs, hidden content left out and images replaced by their `alt` text.
    * @returns {string} The text content of the element.
    */
   toText(options = { separator: ' ' }) {
+    if (options.layout) {
+      return layoutText(this);
+    }
     return this.children.map(child => child.toText(options)).join('');
   }
 
+  /**
+   * Checks whether the element matches a CSS selector list, as understood by `query`.
+   * @param {string} selector - The CSS selector to use.
+   * @returns {boolean} Whether the element matches.
+   * @throws {SyntaxError} If the selector is malformed.
+   */
+  matches(selector) {
+    return matchesSelector(this, selector);
+  }
+
+  /**
+   * Finds the nearest element, starting with this one and going up through its ancestors, that matches a CSS
+   * selector list.
+   * @param {string} selector - The CSS selector to use.
+   * @returns {ElementNode|null} The matching element, or `null` if there is none.
+   * @throws {SyntaxError} If the selector is malformed.
+   */
+  closest(selector) {
+    const list = parseSelector(selector);
+    for (let node = this; node && node.type === 'element'; node = node.parent) {
+      if (matchesSelector(node, list)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
   }
 
 /**
@@ -489,11 +809,11 @@ export class TextNode extends Node {
   }
 
   /**
-   * Serializes the text node to an HTML string.
-   * @returns {string} The HTML string representation of the text node.
+   * @protected
+   * @returns {TextNode}
    */
-  toHTML(options) {
-    return this.text;
+  _cloneShallow() {
+    return new TextNode(this.text);
   }
 
   /**
@@ -511,6 +831,14 @@ export class TextNode extends Node {
   query(selector) {
     return [];
   }
+
+  /**
+   * Text nodes do not match any selectors.
+   * @returns {null}
+   */
+  queryOne(selector) {
+    return null;
+  }
 }
 
 /**
@@ -535,11 +863,11 @@ export class CommentNode extends Node {
   }
 
   /**
-   * Serializes the comment node to an HTML string.
-   * @returns {string} The HTML string representation of the comment node.
+   * @protected
+   * @returns {CommentNode}
    */
-  toHTML(options) {
-    return `<!--${this.text}-->`;
+  _cloneShallow() {
+    return new CommentNode(this.text);
   }
 
   /**
@@ -557,6 +885,14 @@ export class CommentNode extends Node {
   query(selector) {
     return [];
   }
+
+  /**
+   * Comment nodes do not match any selectors.
+   * @returns {null}
+   */
+  queryOne(selector) {
+    return null;
+  }
 }
 
 /**
@@ -597,17 +933,11 @@ export class DoctypeNode extends Node {
   }
 
   /**
-   * Serializes the doctype node to an HTML string.
-   * @returns {string} The HTML string representation of the doctype node.
+   * @protected
+   * @returns {DoctypeNode}
    */
-  toHTML(options) {
-    if (this.publicId) {
-      return `<!DOCTYPE ${this.name} PUBLIC "${this.publicId}" "${this.systemId}">`;
-    }
-    if (this.systemId) {
-      return `<!DOCTYPE ${this.name} SYSTEM "${this.systemId}">`;
-    }
-    return `<!DOCTYPE ${this.name}>`;
+  _cloneShallow() {
+    return new DoctypeNode(this.name, this.publicId, this.systemId);
   }
 
   /**
@@ -625,4 +955,139 @@ export class DoctypeNode extends Node {
   query(selector) {
     return [];
   }
+
+  /**
+   * Doctype nodes do not match any selectors.
+   * @returns {null}
+   */
+  queryOne(selector) {
+    return null;
+  }
+}
+
+/**
+ * @class ClassList
+ * @description The class names of an element, read from and written to its `class` attribute.
+ */
+class ClassList {
+  /**
+   * Creates an instance of ClassList.
+   * @param {ElementNode} element - The element whose classes the list holds.
+   */
+  constructor(element) {
+    this.element = element;
+  }
+
+  /**
+   * The class names, without duplicates.
+   * @returns {Array<string>}
+   */
+  values() {
+    const value = this.element.getAttribute('class') || '';
+    return [...new Set(value.split(ASCII_WHITESPACE).filter(Boolean))];
+  }
+
+  /**
+   * The number of class names.
+   * @type {number}
+   */
+  get length() {
+    return this.values().length;
+  }
+
+  /**
+   * Checks whether the element has a class.
+   * @param {string} token
+   * @returns {boolean}
+   */
+  contains(token) {
+    return this.values().includes(token);
+  }
+
+  /**
+   * Adds classes the element does not have yet.
+   * @param {...string} tokens
+   */
+  add(...tokens) {
+    const values = this.values();
+    for (const token of tokens) {
+      validateClassName(token);
+      if (!values.includes(token)) {
+        values.push(token);
+      }
+    }
+    this.element.setAttribute('class', values.join(' '));
+  }
+
+  /**
+   * Removes classes, if the element has them.
+   * @param {...string} tokens
+   */
+  remove(...tokens) {
+    tokens.forEach(validateClassName);
+    if (this.element.hasAttribute('class')) {
+      this.element.setAttribute('class', this.values().filter(value => !tokens.includes(value)).join(' '));
+    }
+  }
+
+  /**
+   * Adds a class if the element does not have it, and removes it otherwise.
+   * @param {string} token
+   * @param {boolean} [force] - If given, only adds (`true`) or only removes (`false`) the class.
+   * @returns {boolean} Whether the element has the class afterwards.
+   */
+  toggle(token, force) {
+    validateClassName(token);
+    const present = force === undefined ? !this.contains(token) : force;
+    if (present) {
+      this.add(token);
+    } else {
+      this.remove(token);
+    }
+    return present;
+  }
+
+  /**
+   * Replaces a class with another, keeping its position.
+   * @param {string} token - The class to replace.
+   * @param {string} newToken - The class to put in its place.
+   * @returns {boolean} Whether the element had the class.
+   */
+  replace(token, newToken) {
+    validateClassName(token);
+    validateClassName(newToken);
+    const values = this.values();
+    const index = values.indexOf(token);
+    if (index === -1) {
+      return false;
+    }
+    values.splice(index, 1, newToken);
+    this.element.setAttribute('class', [...new Set(values)].join(' '));
+    return true;
+  }
+
+  /**
+   * @returns {Iterator<string>}
+   */
+  [Symbol.iterator]() {
+    return this.values()[Symbol.iterator]();
+  }
+
+  /**
+   * @returns {string} The `class` attribute.
+   */
+  toString() {
+    return this.element.getAttribute('class') || '';
+  }
+}
+
+/**
+ * Checks that a class name can be stored in a `class` attribute.
+ * @param {string} token
+ * @throws {Error} If the name is empty or contains whitespace.
+ */
+function validateClassName(token) {
+  if (!token || ASCII_WHITESPACE.test(token)) {
+    throw new Error(`Invalid class name "${token}"`);
+  }
 }
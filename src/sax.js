@@ -0,0 +1,122 @@
+// src/sax.js
+
+import { Tokenizer, TEXT_ELEMENT_STATES } from './tokenizer.js';
+
+/**
+ * @class ScanSink
+ * @description Receives the tokenizer's tokens in place of a tree builder and hands them to event handlers.
+ * Without a tree to consult, it follows just enough structure to tokenize like the tree builder would:
+ * the content of `script`, `style`, `textarea` and the like is text, and CDATA sections are recognized inside
+ * `svg` and `math`.
+ */
+class ScanSink {
+  /**
+   * Creates an instance of ScanSink.
+   * @param {Tokenizer} tokenizer
+   * @param {object} handlers - The event handlers, as for `scanHTML`.
+   */
+  constructor(tokenizer, handlers) {
+    this.tokenizer = tokenizer;
+    this.handlers = handlers;
+    this.foreign_depth = 0; // The number of open svg and math elements
+    tokenizer.sink = this;
+  }
+
+  /**
+   * Whether a CDATA section is allowed where the tokenizer is.
+   * @returns {boolean}
+   */
+  in_foreign_content() {
+    return this.foreign_depth > 0;
+  }
+
+  /**
+   * Calls the handler for a token, and stops the tokenizer if the handler returns `false`.
+   * @param {Array<any>} token
+   */
+  process_token(token) {
+    const { attributes: attributeSpans, ...location } = token.location;
+    let result;
+    switch (token[0]) {
+      case 'StartTag': {
+        const [, name, attributes, selfClosing] = token;
+        if (this.foreign_depth === 0 && Object.hasOwn(TEXT_ELEMENT_STATES, name)) {
+          this.tokenizer.state = TEXT_ELEMENT_STATES[name];
+        } else if ((name === 'svg' || name === 'math') && !selfClosing) {
+          this.foreign_depth++;
+        }
+        result = this.call('onStartTag', { name, attributes, selfClosing, location, attributeSpans });
+        break;
+      }
+      case 'EndTag':
+        if ((token[1] === 'svg' || token[1] === 'math') && this.foreign_depth > 0) {
+          this.foreign_depth--;
+        }
+        result = this.call('onEndTag', { name: token[1], location });
+        break;
+      case 'Character':
+        result = this.call('onText', { text: token[1], location });
+        break;
+      case 'Comment':
+        result = this.call('onComment', { text: token[1], location });
+        break;
+      case 'DOCTYPE': {
+        const [, name, publicId, systemId, forceQuirks] = token;
+        result = this.call('onDoctype', { name, publicId, systemId, forceQuirks, location });
+        break;
+      }
+    }
+    if (result === false) {
+      this.tokenizer.stop();
+    }
+  }
+
+  /**
+   * Calls a handler, if there is one.
+   * @param {string} name
+   * @param {object} event
+   * @returns {*} What the handler returned.
+   */
+  call(name, event) {
+    return this.handlers[name] ? this.handlers[name](event) : undefined;
+  }
+}
+
+/**
+ * Scans an HTML string and reports what it finds to event handlers, without building a tree. Each handler receives
+ * an event with the token's `location` (`startIndex`, `endIndex`, `line` and `column`) and may return `false` to
+ * stop scanning.
+ *
+ * @param {string} html The HTML string to scan.
+ * @param {object} handlers The event handlers. All are optional.
+ * @param {function({name: string, attributes: object, selfClosing: boolean, location: object, attributeSpans: object}): (boolean|void)} [handlers.onStartTag]
+ * @param {function({name: string, location: object}): (boolean|void)} [handlers.onEndTag]
+ * @param {function({text: string, location: object}): (boolean|void)} [handlers.onText] Called once for each run of text.
+ * @param {function({text: string, location: object}): (boolean|void)} [handlers.onComment]
+ * @param {function({name: string|null, publicId: string|null, systemId: string|null, forceQuirks: boolean, location: object}): (boolean|void)} [handlers.onDoctype]
+ * @param {function(import('./errors.js').ParseError): (boolean|void)} [handlers.onError]
+ * @param {object} [options={}] Tokenizer options, such as `strict`.
+ */
+export function scanHTML(html, handlers, options = {}) {
+  createScanner(handlers, options).end(html);
+}
+
+/**
+ * Creates a scanner that takes the HTML in chunks, as it arrives, and reports what it finds to event handlers.
+ *
+ * @param {object} handlers The event handlers, as for `scanHTML`.
+ * @param {object} [options={}] Tokenizer options, such as `strict`.
+ * @returns {{write: function(string): void, end: function(string=): void}}
+ */
+export function createScanner(handlers, options = {}) {
+  const tokenizer = new Tokenizer({ ...options, onError: handlers.onError });
+  new ScanSink(tokenizer, handlers);
+
+  return {
+    write: (chunk) => tokenizer.write(chunk),
+    end: (chunk = '') => {
+      tokenizer.write(chunk);
+      tokenizer.end();
+    },
+  };
+}
@@ -0,0 +1,762 @@
+// src/selectors.js
+
+/**
+ * HTML attributes whose values selectors compare case-insensitively unless the `s` flag says otherwise.
+ * @type {Set<string>}
+ */
+const CASE_INSENSITIVE_ATTRIBUTES = new Set([
+  'accept', 'accept-charset', 'align', 'alink', 'axis', 'bgcolor', 'charset', 'checked', 'clear', 'codetype', 'color',
+  'compact', 'declare', 'defer', 'dir', 'direction', 'disabled', 'enctype', 'face', 'frame', 'hreflang', 'http-equiv',
+  'lang', 'language', 'link', 'media', 'method', 'multiple', 'nohref', 'noresize', 'noshade', 'nowrap', 'readonly',
+  'rel', 'rev', 'rules', 'scope', 'scrolling', 'selected', 'shape', 'target', 'text', 'type', 'valign', 'valuetype',
+  'vlink',
+]);
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const WHITESPACE = /[\t\n\f\r ]/;
+const NAME_CHARACTER = /[\w\-\u0080-￿]/;
+const NAME_START_CHARACTER = /[a-zA-Z_\u0080-￿]/;
+const COMBINATORS = new Set(['>', '+', '~']);
+const ATTRIBUTE_OPERATORS = new Set(['=', '~=', '|=', '^=', '$=', '*=']);
+
+/**
+ * An `An+B` argument, such as `odd`, `3`, `-n+2` or `2n + 1`. The groups are the sign and the number before `n`,
+ * the sign and the number after it, and a plain number.
+ * @type {RegExp}
+ */
+const AN_PLUS_B = /^(?:([+-]?)(\d*)[nN](?:[\t\n\f\r ]*([+-])[\t\n\f\r ]*(\d+))?|([+-]?\d+))(?![\w-])/;
+
+/**
+ * The pseudo-classes that take no argument, as the `An+B` positions they stand for. `:root` and `:empty` are
+ * matched by name.
+ * @type {Object<string, {a: number, b: number, last: boolean, ofType: boolean}[]>}
+ */
+const POSITIONAL_PSEUDO_CLASSES = {
+  'first-child': [{ a: 0, b: 1, last: false, ofType: false }],
+  'last-child': [{ a: 0, b: 1, last: true, ofType: false }],
+  'only-child': [{ a: 0, b: 1, last: false, ofType: false }, { a: 0, b: 1, last: true, ofType: false }],
+  'first-of-type': [{ a: 0, b: 1, last: false, ofType: true }],
+  'last-of-type': [{ a: 0, b: 1, last: true, ofType: true }],
+  'only-of-type': [{ a: 0, b: 1, last: false, ofType: true }, { a: 0, b: 1, last: true, ofType: true }],
+};
+
+/**
+ * The pseudo-classes that take an `An+B` argument.
+ * @type {Object<string, {last: boolean, ofType: boolean}>}
+ */
+const NTH_PSEUDO_CLASSES = {
+  'nth-child': { last: false, ofType: false },
+  'nth-last-child': { last: true, ofType: false },
+  'nth-of-type': { last: false, ofType: true },
+  'nth-last-of-type': { last: true, ofType: true },
+};
+
+/**
+ * The pseudo-classes that take a selector list. The list of `:has()` is relative: each of its selectors may start
+ * with a combinator, which relates it to the element being matched.
+ * @type {Set<string>}
+ */
+const LOGICAL_PSEUDO_CLASSES = new Set(['not', 'is', 'where', 'has']);
+
+/**
+ * @typedef {{type: 'tag', name: string}|{type: 'id', name: string}|{type: 'class', name: string}|
+ *   {type: 'attribute', name: string, operator: string|null, value: string, caseFlag: string|null}|
+ *   {type: 'pseudo', name: string}|
+ *   {type: 'pseudo', name: string, a: number, b: number, of: Array<ComplexSelector>|null}|
+ *   {type: 'pseudo', name: string, selectors: Array<ComplexSelector>}} SimpleSelector
+ * A single condition on an element. The universal selector `*` is a compound without conditions.
+ */
+
+/**
+ * @typedef {Array<{combinator: string|null, compound: Array<SimpleSelector>}>} ComplexSelector
+ * The compound selectors of a complex selector, from left to right. Each one's combinator (`' '`, `'>'`, `'+'` or
+ * `'~'`) says how it relates to the compound before it; the first one's is `null`, unless the selector is relative
+ * (in `:has()`), in which case it relates the first compound to the element the selector is anchored at.
+ */
+
+/**
+ * @typedef {Map<*, Map<import('./nodes.js').Node, SiblingPositions>>} PositionCache
+ * The sibling positions computed while a single query or match runs, by the way siblings are counted and then by
+ * parent, so that each parent's children are counted once whatever the number of siblings checked.
+ */
+
+/**
+ * @typedef {{groups: Map<import('./nodes.js').ElementNode, string>,
+ *   indexes: Map<import('./nodes.js').ElementNode, number>, counts: Map<string, number>}} SiblingPositions
+ * The children of a parent that are counted: the group each one is counted in, its index in the group, and the
+ * number of children in each group.
+ */
+
+/**
+ * Groups all siblings together, for `:nth-child()` and its relatives.
+ * @param {import('./nodes.js').ElementNode} sibling
+ * @returns {string}
+ */
+const ALL_SIBLINGS = () => '';
+
+/**
+ * Groups siblings by their type, for `:nth-of-type()` and its relatives.
+ * @param {import('./nodes.js').ElementNode} sibling
+ * @returns {string}
+ */
+const SAME_TYPE = (sibling) => `${sibling.namespace} ${sibling.tag}`;
+
+/**
+ * @class SelectorParser
+ * @description Reads a selector list, character by character, into complex selectors.
+ */
+class SelectorParser {
+  /**
+   * @param {string} selector
+   */
+  constructor(selector) {
+    this.selector = selector;
+    this.index = 0;
+    this.depth = 0; // The number of open parentheses around the current selector list
+  }
+
+  /**
+   * Throws the error for a malformed selector.
+   * @param {string} message
+   */
+  fail(message) {
+    throw new SyntaxError(`Invalid selector "${this.selector}": ${message} at position ${this.index}`);
+  }
+
+  /**
+   * @returns {string|undefined} The character at the current position.
+   */
+  peek() {
+    return this.selector[this.index];
+  }
+
+  /**
+   * Skips whitespace.
+   * @returns {boolean} Whether there was any.
+   */
+  skipWhitespace() {
+    const start = this.index;
+    while (this.index < this.selector.length && WHITESPACE.test(this.peek())) {
+      this.index++;
+    }
+    return this.index > start;
+  }
+
+  /**
+   * Reads a comma-separated selector list up to the end of the input, or inside parentheses up to the `)`.
+   * @param {boolean} [relative=false] - Whether the selectors may start with a combinator.
+   * @returns {Array<ComplexSelector>}
+   */
+  parseList(relative = false) {
+    const list = [];
+    do {
+      this.skipWhitespace();
+      list.push(this.parseComplex(relative));
+    } while (this.peek() === ',' && ++this.index);
+    if (this.depth === 0 && this.index < this.selector.length) {
+      this.fail(`unexpected "${this.peek()}"`);
+    }
+    return list;
+  }
+
+  /**
+   * Reads compound selectors joined by combinators, up to a comma, the end of the input or the `)` of the
+   * enclosing pseudo-class.
+   * @param {boolean} [relative=false] - Whether the selector may start with a combinator.
+   * @returns {ComplexSelector}
+   */
+  parseComplex(relative = false) {
+    let combinator = null;
+    if (relative) {
+      combinator = ' ';
+      if (COMBINATORS.has(this.peek())) {
+        combinator = this.peek();
+        this.index++;
+        this.skipWhitespace();
+      }
+    }
+    const complex = [{ combinator, compound: this.parseCompound() }];
+    for (;;) {
+      const whitespace = this.skipWhitespace();
+      const char = this.peek();
+      if (char === undefined || char === ',' || (char === ')' && this.depth > 0)) {
+        return complex;
+      }
+      let combinator = ' ';
+      if (COMBINATORS.has(char)) {
+        combinator = char;
+        this.index++;
+        this.skipWhitespace();
+      } else if (!whitespace) {
+        this.fail(`unexpected "${char}"`);
+      }
+      complex.push({ combinator, compound: this.parseCompound() });
+    }
+  }
+
+  /**
+   * Reads a compound selector: an optional tag name or `*`, then any number of id, class, attribute and
+   * pseudo-class selectors.
+   * @returns {Array<SimpleSelector>}
+   */
+  parseCompound() {
+    const compound = [];
+    const start = this.index;
+    if (this.peek() === '*') {
+      this.index++;
+    } else if (this.startsName()) {
+      compound.push({ type: 'tag', name: this.parseName() });
+    }
+    for (;;) {
+      const char = this.peek();
+      if (char === '#') {
+        this.index++;
+        if (!this.startsName(true)) {
+          this.fail('expected an id after "#"');
+        }
+        compound.push({ type: 'id', name: this.parseName(true) });
+      } else if (char === '.') {
+        this.index++;
+        if (!this.startsName()) {
+          this.fail('expected a class name after "."');
+        }
+        compound.push({ type: 'class', name: this.parseName() });
+      } else if (char === '[') {
+        compound.push(this.parseAttribute());
+      } else if (char === ':') {
+        compound.push(this.parsePseudoClass());
+      } else {
+        break;
+      }
+    }
+    if (this.index === start) {
+      this.fail(this.peek() === undefined ? 'expected a selector at the end' : `unexpected "${this.peek()}"`);
+    }
+    return compound;
+  }
+
+  /**
+   * Reads an attribute selector such as `[href]`, `[type=checkbox]` or `[lang|="en" i]`.
+   * @returns {SimpleSelector}
+   */
+  parseAttribute() {
+    this.index++; // [
+    this.skipWhitespace();
+    if (!this.startsName()) {
+      this.fail('expected an attribute name');
+    }
+    const name = this.parseName();
+    this.skipWhitespace();
+    let operator = null;
+    let value = '';
+    let caseFlag = null;
+    if (this.peek() !== ']') {
+      operator = this.peek() === '=' ? '=' : this.selector.slice(this.index, this.index + 2);
+      if (!ATTRIBUTE_OPERATORS.has(operator)) {
+        this.fail('expected "]" or an attribute operator');
+      }
+      this.index += operator.length;
+      this.skipWhitespace();
+      const char = this.peek();
+      if (char === '"' || char === "'") {
+        value = this.parseString();
+      } else if (this.startsName()) {
+        value = this.parseName();
+      } else {
+        this.fail('expected an attribute value');
+      }
+      const whitespace = this.skipWhitespace();
+      if (whitespace && /[iIsS]/.test(this.peek() || '') && !NAME_CHARACTER.test(this.selector[this.index + 1] || '')) {
+        caseFlag = this.peek().toLowerCase();
+        this.index++;
+        this.skipWhitespace();
+      }
+    }
+    if (this.peek() !== ']') {
+      this.fail('expected "]"');
+    }
+    this.index++;
+    return { type: 'attribute', name, operator, value, caseFlag };
+  }
+
+  /**
+   * Reads a pseudo-class such as `:first-child`, `:nth-child(2n+1 of .item)` or `:not(.hidden)`.
+   * @returns {SimpleSelector}
+   */
+  parsePseudoClass() {
+    this.index++; // :
+    if (this.peek() === ':') {
+      this.fail('pseudo-elements are not supported');
+    }
+    if (!this.startsName()) {
+      this.fail('expected a pseudo-class name after ":"');
+    }
+    const start = this.index;
+    const name = this.parseName().toLowerCase();
+    const functional = Object.hasOwn(NTH_PSEUDO_CLASSES, name) || LOGICAL_PSEUDO_CLASSES.has(name);
+    if (this.peek() !== '(') {
+      if (functional) {
+        this.fail(`expected "(" after ":${name}"`);
+      }
+      if (name !== 'root' && name !== 'empty' && !Object.hasOwn(POSITIONAL_PSEUDO_CLASSES, name)) {
+        this.index = start;
+        this.fail(`unknown pseudo-class ":${name}"`);
+      }
+      return { type: 'pseudo', name };
+    }
+    if (!functional) {
+      this.index = start;
+      this.fail(`unknown pseudo-class ":${name}()"`);
+    }
+    this.index++; // (
+    this.depth++;
+    this.skipWhitespace();
+    let pseudoClass;
+    if (LOGICAL_PSEUDO_CLASSES.has(name)) {
+      pseudoClass = { type: 'pseudo', name, selectors: this.parseList(name === 'has') };
+    } else {
+      pseudoClass = { type: 'pseudo', name, ...this.parseAnPlusB(), of: null };
+      if (this.skipWhitespace() && !NTH_PSEUDO_CLASSES[name].ofType && /^of[\t\n\f\r ]/i.test(this.selector.slice(this.index, this.index + 3))) {
+        this.index += 2;
+        pseudoClass.of = this.parseList();
+      }
+    }
+    if (this.peek() !== ')') {
+      this.fail('expected ")"');
+    }
+    this.index++;
+    this.depth--;
+    return pseudoClass;
+  }
+
+  /**
+   * Reads an `An+B` argument, or `odd` or `even`.
+   * @returns {{a: number, b: number}}
+   */
+  parseAnPlusB() {
+    const rest = this.selector.slice(this.index);
+    const keyword = /^(odd|even)(?![\w-])/i.exec(rest);
+    if (keyword) {
+      this.index += keyword[0].length;
+      return keyword[1].toLowerCase() === 'odd' ? { a: 2, b: 1 } : { a: 2, b: 0 };
+    }
+    const match = AN_PLUS_B.exec(rest);
+    if (!match) {
+      this.fail('expected an An+B argument such as "2n+1", "odd" or "3"');
+    }
+    this.index += match[0].length;
+    const [, aSign, aDigits, bSign, bDigits, number] = match;
+    if (number !== undefined) {
+      return { a: 0, b: parseInt(number, 10) };
+    }
+    const a = (aSign === '-' ? -1 : 1) * (aDigits === '' ? 1 : parseInt(aDigits, 10));
+    const b = bDigits === undefined ? 0 : (bSign === '-' ? -1 : 1) * parseInt(bDigits, 10);
+    return { a, b };
+  }
+
+  /**
+   * Whether a name (an identifier, or for an id any run of name characters) starts at the current position.
+   * @param {boolean} [hash=false] - Whether the name follows `#`, where it may start with a digit or `-`.
+   * @returns {boolean}
+   */
+  startsName(hash = false) {
+    const [char, next, after] = this.selector.slice(this.index, this.index + 3);
+    if (char === '\\') {
+      return next !== undefined;
+    }
+    if (hash) {
+      return char !== undefined && NAME_CHARACTER.test(char);
+    }
+    if (char === '-') {
+      return next !== undefined && (next === '-' || NAME_START_CHARACTER.test(next) || (next === '\\' && after !== undefined));
+    }
+    return char !== undefined && NAME_START_CHARACTER.test(char);
+  }
+
+  /**
+   * Reads a name, resolving escapes.
+   * @returns {string}
+   */
+  parseName() {
+    let name = '';
+    while (this.index < this.selector.length) {
+      const char = this.peek();
+      if (char === '\\') {
+        name += this.parseEscape();
+      } else if (NAME_CHARACTER.test(char)) {
+        name += char;
+        this.index++;
+      } else {
+        break;
+      }
+    }
+    return name;
+  }
+
+  /**
+   * Reads a quoted string, resolving escapes.
+   * @returns {string}
+   */
+  parseString() {
+    const quote = this.peek();
+    this.index++;
+    let value = '';
+    for (;;) {
+      const char = this.peek();
+      if (char === undefined) {
+        this.fail('unterminated string');
+      }
+      if (char === quote) {
+        this.index++;
+        return value;
+      }
+      if (char === '\\') {
+        if (this.selector[this.index + 1] === '\n') {
+          this.index += 2; // An escaped newline continues the string
+        } else {
+          value += this.parseEscape();
+        }
+      } else {
+        value += char;
+        this.index++;
+      }
+    }
+  }
+
+  /**
+   * Reads an escape: a backslash followed by up to six hex digits and an optional space, or by any other character.
+   * @returns {string} The escaped character.
+   */
+  parseEscape() {
+    this.index++; // \
+    const hex = /^[0-9a-fA-F]{1,6}/.exec(this.selector.slice(this.index, this.index + 6));
+    if (hex) {
+      this.index += hex[0].length;
+      if (WHITESPACE.test(this.peek() || '')) {
+        this.index++;
+      }
+      const code = parseInt(hex[0], 16);
+      return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '�' : String.fromCodePoint(code);
+    }
+    if (this.peek() === undefined) {
+      return '�';
+    }
+    return this.selector[this.index++];
+  }
+}
+
+/**
+ * Parses a selector list.
+ *
+ * @param {string} selector A selector list, such as `'ul > li.item, a[href^="http"]'`.
+ * @returns {Array<ComplexSelector>}
+ * @throws {SyntaxError} If the selector is malformed.
+ */
+export function parseSelector(selector) {
+  return new SelectorParser(String(selector)).parseList();
+}
+
+/**
+ * Checks an element against an attribute selector.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {SimpleSelector} selector
+ * @returns {boolean}
+ */
+function matchesAttribute(element, { name, operator, value, caseFlag }) {
+  // Attribute names are case-insensitive on HTML elements, whose attributes the parser lowercases.
+  const html = element.namespace === HTML_NAMESPACE;
+  const key = html ? name.toLowerCase() : name;
+  if (!Object.hasOwn(element.attributes, key)) {
+    return false;
+  }
+  if (!operator) {
+    return true;
+  }
+  let actual = element.attributes[key];
+  const ignoreCase = caseFlag === 'i' || (!caseFlag && html && CASE_INSENSITIVE_ATTRIBUTES.has(key));
+  if (ignoreCase) {
+    actual = actual.toLowerCase();
+    value = value.toLowerCase();
+  }
+  switch (operator) {
+    case '=':
+      return actual === value;
+    case '~=':
+      return value !== '' && !WHITESPACE.test(value) && actual.split(/[\t\n\f\r ]+/).includes(value);
+    case '|=':
+      return actual === value || actual.startsWith(value + '-');
+    case '^=':
+      return value !== '' && actual.startsWith(value);
+    case '$=':
+      return value !== '' && actual.endsWith(value);
+    case '*=':
+      return value !== '' && actual.includes(value);
+  }
+  return false;
+}
+
+/**
+ * Checks an element against every simple selector of a compound selector.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<SimpleSelector>} compound
+ * @param {PositionCache} cache
+ * @returns {boolean}
+ */
+function matchesCompound(element, compound, cache) {
+  return compound.every(selector => {
+    switch (selector.type) {
+      case 'tag':
+        return element.tag.toLowerCase() === selector.name.toLowerCase();
+      case 'id':
+        return element.attributes.id === selector.name;
+      case 'class':
+        return (element.attributes.class || '').split(/[\t\n\f\r ]+/).includes(selector.name);
+      case 'attribute':
+        return matchesAttribute(element, selector);
+      case 'pseudo':
+        return matchesPseudoClass(element, selector, cache);
+    }
+    return false;
+  });
+}
+
+/**
+ * Checks an element against a pseudo-class.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {SimpleSelector} selector
+ * @param {PositionCache} cache
+ * @returns {boolean}
+ */
+function matchesPseudoClass(element, selector, cache) {
+  const { name } = selector;
+  switch (name) {
+    case 'root':
+      return element.parent !== null && element.parent.type === 'document';
+    case 'empty':
+      return element.children.every(child => child.type === 'comment');
+    case 'not':
+      return !matchesList(element, selector.selectors, cache);
+    case 'is':
+    case 'where':
+      return matchesList(element, selector.selectors, cache);
+    case 'has':
+      return matchesHas(element, selector.selectors, cache);
+  }
+  if (Object.hasOwn(NTH_PSEUDO_CLASSES, name)) {
+    const { last, ofType } = NTH_PSEUDO_CLASSES[name];
+    if (ofType || !selector.of) {
+      return matchesNth(element, selector.a, selector.b, last, ofType ? SAME_TYPE : ALL_SIBLINGS, cache);
+    }
+    // The siblings matching the same selector list are counted alike, so the list itself identifies the count.
+    const matching = (sibling) => (matchesList(sibling, selector.of, cache) ? '' : null);
+    return matchesNth(element, selector.a, selector.b, last, matching, cache, selector.of);
+  }
+  return POSITIONAL_PSEUDO_CLASSES[name].every(({ a, b, last, ofType }) =>
+    matchesNth(element, a, b, last, ofType ? SAME_TYPE : ALL_SIBLINGS, cache)
+  );
+}
+
+/**
+ * Checks whether an element is the (An+B)th of the siblings counted, for some n of 0 or more.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {number} a
+ * @param {number} b
+ * @param {boolean} last - Whether to count from the last sibling back.
+ * @param {function(import('./nodes.js').ElementNode): string|null} group - The group a sibling element is counted
+ *   in, or null if it is not counted. The element is counted among the siblings in its own group.
+ * @param {PositionCache} cache
+ * @param {*} [key=group] - What identifies the way siblings are counted in the cache.
+ * @returns {boolean}
+ */
+function matchesNth(element, a, b, last, group, cache, key = group) {
+  if (!element.parent) {
+    return false;
+  }
+  const siblings = siblingPositions(element.parent, group, cache, key);
+  if (!siblings.groups.has(element)) {
+    return false;
+  }
+  const index = siblings.indexes.get(element);
+  const position = last ? siblings.counts.get(siblings.groups.get(element)) - index : index + 1;
+  if (a === 0) {
+    return position === b;
+  }
+  return (position - b) / a >= 0 && (position - b) % a === 0;
+}
+
+/**
+ * Counts the children of a parent in their groups, in a single pass, unless the cache already holds the count.
+ * @param {import('./nodes.js').Node} parent
+ * @param {function(import('./nodes.js').ElementNode): string|null} group
+ * @param {PositionCache} cache
+ * @param {*} key
+ * @returns {SiblingPositions}
+ */
+function siblingPositions(parent, group, cache, key) {
+  if (!cache.has(key)) {
+    cache.set(key, new Map());
+  }
+  const byParent = cache.get(key);
+  if (!byParent.has(parent)) {
+    const siblings = { groups: new Map(), indexes: new Map(), counts: new Map() };
+    for (const child of parent.children) {
+      const name = child.type === 'element' ? group(child) : null;
+      if (name !== null) {
+        const count = siblings.counts.get(name) ?? 0;
+        siblings.groups.set(child, name);
+        siblings.indexes.set(child, count);
+        siblings.counts.set(name, count + 1);
+      }
+    }
+    byParent.set(parent, siblings);
+  }
+  return byParent.get(parent);
+}
+
+/**
+ * Checks whether `:has()` holds for an element: whether, anchored at it, any of the relative selectors matches
+ * an element among its descendants or, for selectors starting with `+` or `~`, its later siblings and their
+ * descendants.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<ComplexSelector>} list
+ * @param {PositionCache} cache
+ * @returns {boolean}
+ */
+function matchesHas(element, list, cache) {
+  return list.some(complex => {
+    const siblings = complex[0].combinator === '+' || complex[0].combinator === '~';
+    const candidates = siblings ? followingElements(element) : element.elements();
+    for (const candidate of candidates) {
+      if (matchesComplex(candidate, complex, cache, complex.length - 1, element)) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Yields the element siblings after a node and their element descendants, in document order.
+ * @param {import('./nodes.js').Node} node
+ * @returns {Generator<import('./nodes.js').ElementNode>}
+ */
+function* followingElements(node) {
+  for (let sibling = node.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+    yield sibling;
+    yield* sibling.elements();
+  }
+}
+
+/**
+ * Checks an element against a selector list.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<ComplexSelector>} list
+ * @param {PositionCache} cache
+ * @returns {boolean}
+ */
+function matchesList(element, list, cache) {
+  return list.some(complex => matchesComplex(element, complex, cache));
+}
+
+/**
+ * Checks an element against a complex selector, from its last compound selector back to its first: each
+ * combinator says which elements around the current one may match the compound to its left.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {ComplexSelector} complex
+ * @param {PositionCache} cache
+ * @param {number} [index] - The compound the element must match, by default the last.
+ * @param {import('./nodes.js').ElementNode|null} [anchor=null] - The element a relative selector is anchored at.
+ * @returns {boolean}
+ */
+function matchesComplex(element, complex, cache, index = complex.length - 1, anchor = null) {
+  const { combinator, compound } = complex[index];
+  if (!matchesCompound(element, compound, cache)) {
+    return false;
+  }
+  if (combinator === null) {
+    return true;
+  }
+  // To the left of the first compound of a relative selector is its anchor.
+  const matchesLeft = index === 0
+    ? (node) => node === anchor
+    : (node) => matchesComplex(node, complex, cache, index - 1, anchor);
+  switch (combinator) {
+    case '>': {
+      const parent = element.parentElement;
+      return parent !== null && matchesLeft(parent);
+    }
+    case ' ':
+      for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+        if (matchesLeft(ancestor)) {
+          return true;
+        }
+      }
+      return false;
+    case '+': {
+      const previous = element.previousElementSibling;
+      return previous !== null && matchesLeft(previous);
+    }
+    case '~':
+      for (let previous = element.previousElementSibling; previous; previous = previous.previousElementSibling) {
+        if (matchesLeft(previous)) {
+          return true;
+        }
+      }
+      return false;
+  }
+  return false;
+}
+
+/**
+ * Checks whether an element matches a selector list.
+ *
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string|Array<ComplexSelector>} selector A selector list, or the result of `parseSelector`.
+ * @returns {boolean}
+ * @throws {SyntaxError} If the selector is malformed.
+ */
+export function matchesSelector(element, selector) {
+  const list = typeof selector === 'string' ? parseSelector(selector) : selector;
+  return element.type === 'element' && matchesList(element, list, new Map());
+}
+
+/**
+ * Finds the descendants of a node that match a selector list, in document order.
+ *
+ * @param {import('./nodes.js').Node} root
+ * @param {string|Array<ComplexSelector>} selector A selector list, or the result of `parseSelector`.
+ * @returns {Array<import('./nodes.js').ElementNode>}
+ * @throws {SyntaxError} If the selector is malformed.
+ */
+export function querySelectorAll(root, selector) {
+  const list = typeof selector === 'string' ? parseSelector(selector) : selector;
+  const cache = new Map();
+  const results = [];
+  for (const element of root.elements()) {
+    if (matchesList(element, list, cache)) {
+      results.push(element);
+    }
+  }
+  return results;
+}
+
+/**
+ * Finds the first descendant of a node, in document order, that matches a selector list. Stops searching at the
+ * first match.
+ *
+ * @param {import('./nodes.js').Node} root
+ * @param {string|Array<ComplexSelector>} selector A selector list, or the result of `parseSelector`.
+ * @returns {import('./nodes.js').ElementNode|null}
+ * @throws {SyntaxError} If the selector is malformed.
+ */
+export function querySelector(root, selector) {
+  const list = typeof selector === 'string' ? parseSelector(selector) : selector;
+  const cache = new Map();
+  for (const element of root.elements()) {
+    if (matchesList(element, list, cache)) {
+      return element;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,509 @@
+// src/serializer.js
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Elements the parser drops a newline right after the start tag of, so a newline that starts their content must
+ * be serialized twice.
+ * @type {Set<string>}
+ */
+const LEADING_NEWLINE_ELEMENTS = new Set(['listing', 'pre', 'textarea']);
+
+/**
+ * Elements laid out as blocks: pretty-printing puts each on its own line, and whitespace next to them is
+ * insignificant. Children of `head` are laid out as blocks too.
+ * @type {Set<string>}
+ */
+export const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'base', 'blockquote', 'body', 'caption', 'col', 'colgroup', 'dd', 'details',
+  'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'frame', 'frameset', 'h1',
+  'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'legend', 'li', 'link', 'listing',
+  'main', 'menu', 'meta', 'nav', 'ol', 'optgroup', 'option', 'p', 'plaintext', 'pre', 'search', 'section',
+  'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul', 'xmp',
+]);
+
+/**
+ * Attributes whose presence alone is their meaning, so `checked="checked"` can be written `checked`.
+ * @type {Set<string>}
+ */
+const BOOLEAN_ATTRIBUTES = new Set([
+  'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer', 'disabled',
+  'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule',
+  'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected',
+]);
+
+/**
+ * Elements a `p` element's end tag may be omitted before.
+ * @type {Set<string>}
+ */
+const P_END_TAG_CLOSERS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav',
+  'ol', 'p', 'pre', 'search', 'section', 'table', 'ul',
+]);
+
+/**
+ * Parents in which a `p` element's end tag must be kept even when nothing follows it.
+ * @type {Set<string>}
+ */
+const P_END_TAG_KEEPERS = new Set(['a', 'audio', 'del', 'ins', 'map', 'noscript', 'video']);
+
+/**
+ * Elements that, first in `body`, keep its start tag: without it they would be parsed into `head`.
+ * @type {Set<string>}
+ */
+const BODY_START_TAG_KEEPERS = new Set(['link', 'meta', 'noscript', 'script', 'style', 'template']);
+
+/**
+ * The character references that serialized text and attribute values use for the characters that could be read
+ * as markup, and for U+00A0 NO-BREAK SPACE, which would be invisible.
+ * @type {Object<string, string>}
+ */
+const ESCAPES = { '&': '&amp;', '\u00a0': '&nbsp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const WHITESPACE_RUN = /[\t\n\f\r ]+/g;
+const LEADING_WHITESPACE = /^[\t\n\f\r ]/;
+const UNSAFE_UNQUOTED = /[\t\n\f\r "'=<>`]/;
+
+/**
+ * @typedef {object} SerializerOptions
+ * @property {boolean} pretty - Whether to put block elements on their own lines and indent them.
+ * @property {number} indentSize - The number of spaces per level of indentation.
+ * @property {string} quote - The preferred quote character for attribute values.
+ * @property {boolean} switchQuotes - Whether to quote a value holding only the preferred quote character with the
+ *   other one.
+ * @property {boolean} omitAttributeQuotes - Whether to leave attribute values unquoted where that is safe.
+ * @property {boolean} sortAttributes - Whether to write attributes in name order.
+ * @property {boolean} minimizeBooleanAttributes - Whether to write empty and boolean attributes by name alone.
+ * @property {boolean} removeComments - Whether to leave out comments.
+ * @property {boolean} omitOptionalTags - Whether to leave out the tags the parser would imply.
+ * @property {boolean} collapseWhitespace - Whether to collapse whitespace outside preformatted content and drop
+ *   it where it is insignificant.
+ * @property {boolean} quirks - Whether the document is in quirks mode, where a `table` does not end a `p`.
+ */
+
+/**
+ * A child to serialize: a node and, for a text node, its text after whitespace collapsing.
+ * @typedef {{node: import('./nodes.js').Node, text: string|null}} Item
+ */
+
+/**
+ * Fills in the defaults of `toHTML` options.
+ * @param {object} options
+ * @param {import('./nodes.js').Node} node - The node being serialized.
+ * @returns {SerializerOptions}
+ */
+function resolveOptions(options, node) {
+  const minify = Boolean(options.minify);
+  const quote = options.quote ?? '"';
+  if (quote !== '"' && quote !== "'") {
+    throw new Error(`The quote option must be '"' or "'", not ${JSON.stringify(quote)}`);
+  }
+  let root = node;
+  while (root.parent) {
+    root = root.parent;
+  }
+  return {
+    pretty: !minify && (options.pretty ?? true),
+    indentSize: options.indentSize ?? 2,
+    quote,
+    switchQuotes: options.quote !== undefined,
+    omitAttributeQuotes: Boolean(options.omitAttributeQuotes),
+    sortAttributes: Boolean(options.sortAttributes),
+    minimizeBooleanAttributes: Boolean(options.minimizeBooleanAttributes),
+    removeComments: options.removeComments ?? minify,
+    omitOptionalTags: options.omitOptionalTags ?? minify,
+    collapseWhitespace: options.collapseWhitespace ?? minify,
+    quirks: root.type === 'document' && root.quirksMode === 'quirks',
+  };
+}
+
+/**
+ * Serializes a node and its descendants to HTML, following the WHATWG algorithm for serializing HTML fragments:
+ * text and attribute values are escaped, void elements have no end tag and the content of raw text elements is
+ * written as it is.
+ *
+ * @param {import('./nodes.js').Node} node
+ * @param {object} [options={}] Serialization options, as for `Node.toHTML`.
+ * @returns {string}
+ */
+export function serialize(node, options = {}) {
+  const settings = resolveOptions(options, node);
+  const preformatted = [...node.ancestors()].some(isPreformatted);
+  const item = { node, text: node.type === 'text' ? node.text : null };
+  const sibling = (other) => (other ? { node: other, text: other.type === 'text' ? other.text : null } : null);
+  return serializeItem(item, sibling(node.previousSibling), sibling(node.nextSibling), settings, 0, preformatted);
+}
+
+/**
+ * Serializes a node at a given depth of indentation. The first line is not indented: the caller places it.
+ * @param {Item} item
+ * @param {Item|null} previous - The sibling serialized before it, for deciding which tags to omit.
+ * @param {Item|null} next - The sibling serialized after it.
+ * @param {SerializerOptions} settings
+ * @param {number} depth
+ * @param {boolean} preformatted - Whether the node is inside an element whose whitespace is significant.
+ * @returns {string}
+ */
+function serializeItem(item, previous, next, settings, depth, preformatted) {
+  const { node } = item;
+  switch (node.type) {
+    case 'text':
+      return node.parent && node.parent.isRawText ? node.text : escapeText(item.text);
+    case 'comment':
+      return `<!--${node.text}-->`;
+    case 'doctype':
+      return serializeDoctype(node);
+    case 'element':
+      return serializeElement(node, previous, next, settings, depth, preformatted);
+  }
+  return serializeChildren(node, settings, depth, preformatted);
+}
+
+/**
+ * Serializes an element, its attributes and its descendants.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Item|null} previous
+ * @param {Item|null} next
+ * @param {SerializerOptions} settings
+ * @param {number} depth
+ * @param {boolean} preformatted
+ * @returns {string}
+ */
+function serializeElement(element, previous, next, settings, depth, preformatted) {
+  const startTag = `<${element.tag}${serializeAttributes(element, settings)}>`;
+  if (element.isVoid) {
+    return startTag;
+  }
+  const omit = settings.omitOptionalTags && !settings.pretty && element.namespace === HTML_NAMESPACE;
+  const endTag = omit && canOmitEndTag(element, next, settings) ? '' : `</${element.tag}>`;
+  if (element.isRawText) {
+    // Neither escaped nor indented: either would change the script or style it holds.
+    return startTag + element.children.map(child => child.text || '').join('') + endTag;
+  }
+
+  const inside = preformatted || isPreformatted(element);
+  const items = childItems(element, settings, inside);
+  let content = layout(element, items, settings, depth, inside);
+  const first = items[0];
+  if (element.namespace === HTML_NAMESPACE && LEADING_NEWLINE_ELEMENTS.has(element.tag) &&
+    first && first.text !== null && first.text.startsWith('\n')) {
+    content = '\n' + content;
+  }
+  const omitStart = omit && canOmitStartTag(element, items, previous, settings);
+  return (omitStart ? '' : startTag) + content + endTag;
+}
+
+/**
+ * Serializes the children of a document or document fragment: on separate lines when pretty-printing.
+ * @param {import('./nodes.js').Node} node
+ * @param {SerializerOptions} settings
+ * @param {number} depth
+ * @param {boolean} preformatted
+ * @returns {string}
+ */
+function serializeChildren(node, settings, depth, preformatted) {
+  const items = childItems(node, settings, preformatted);
+  if (!settings.pretty || preformatted) {
+    return serializeRun(items, settings, depth, preformatted);
+  }
+  return lines(node, items, settings, depth).join('\n');
+}
+
+/**
+ * Serializes the content of an element, laid out as lines of blocks and runs of inline content when
+ * pretty-printing an element laid out as a block.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<Item>} items - Its children, as `childItems` gives them.
+ * @param {SerializerOptions} settings
+ * @param {number} depth - The depth of the element.
+ * @param {boolean} preformatted
+ * @returns {string}
+ */
+function layout(element, items, settings, depth, preformatted) {
+  if (!settings.pretty || preformatted || !isBlockContainer(element)) {
+    return serializeRun(items, settings, depth + 1, preformatted);
+  }
+  const content = lines(element, items, settings, depth + 1);
+  if (content.length === 0) {
+    return '';
+  }
+  if (content.length === 1 && !isBlock(items[items.length - 1].node, element)) {
+    return content[0]; // Inline content alone stays on the line of its tags.
+  }
+  const indent = ' '.repeat((depth + 1) * settings.indentSize);
+  return '\n' + content.map(line => indent + line).join('\n') + '\n' + ' '.repeat(depth * settings.indentSize);
+}
+
+/**
+ * Groups children into lines: each block on its own, and each run of inline content between blocks on one.
+ * @param {import('./nodes.js').Node} parent
+ * @param {Array<Item>} items
+ * @param {SerializerOptions} settings
+ * @param {number} depth - The depth of the children.
+ * @returns {Array<string>} The lines, without indentation.
+ */
+function lines(parent, items, settings, depth) {
+  const result = [];
+  let run = '';
+  items.forEach((item, i) => {
+    const html = serializeItem(item, items[i - 1] || null, items[i + 1] || null, settings, depth, false);
+    if (isBlock(item.node, parent)) {
+      if (run) {
+        result.push(run);
+        run = '';
+      }
+      result.push(html);
+    } else {
+      run += html;
+    }
+  });
+  if (run) {
+    result.push(run);
+  }
+  return result;
+}
+
+/**
+ * Serializes children one after another, without adding whitespace.
+ * @param {Array<Item>} items
+ * @param {SerializerOptions} settings
+ * @param {number} depth - The depth of the children.
+ * @param {boolean} preformatted
+ * @returns {string}
+ */
+function serializeRun(items, settings, depth, preformatted) {
+  return items
+    .map((item, i) => serializeItem(item, items[i - 1] || null, items[i + 1] || null, settings, depth, preformatted))
+    .join('');
+}
+
+/**
+ * The children of a node as they will be serialized: without comments if they are removed and, when whitespace
+ * is collapsed or pretty-printed outside preformatted content, with each run of whitespace in text made a single
+ * space and whitespace next to blocks dropped.
+ * @param {import('./nodes.js').Node} parent
+ * @param {SerializerOptions} settings
+ * @param {boolean} preformatted
+ * @returns {Array<Item>}
+ */
+function childItems(parent, settings, preformatted) {
+  const children = settings.removeComments
+    ? parent.children.filter(child => child.type !== 'comment')
+    : parent.children;
+  const items = children.map(node => ({ node, text: node.type === 'text' ? node.text : null }));
+  if (preformatted || !(settings.collapseWhitespace || settings.pretty)) {
+    return items;
+  }
+  const trim = isBlockContainer(parent);
+  items.forEach((item, i) => {
+    if (item.text === null) {
+      return;
+    }
+    item.text = item.text.replace(WHITESPACE_RUN, ' ');
+    if (trim && (i === 0 || isBlock(items[i - 1].node, parent))) {
+      item.text = item.text.replace(/^ /, '');
+    }
+    if (trim && (i === items.length - 1 || isBlock(items[i + 1].node, parent))) {
+      item.text = item.text.replace(/ $/, '');
+    }
+  });
+  return items.filter(item => item.text !== '');
+}
+
+/**
+ * Whether a child is laid out as a block among its siblings.
+ * @param {import('./nodes.js').Node} node
+ * @param {import('./nodes.js').Node} parent
+ * @returns {boolean}
+ */
+function isBlock(node, parent) {
+  if (parent.type === 'document') {
+    return true;
+  }
+  return node.type === 'element' && node.namespace === HTML_NAMESPACE &&
+    (BLOCK_ELEMENTS.has(node.tag) || (parent.type === 'element' && parent.tag === 'head'));
+}
+
+/**
+ * Whether a node's content is laid out in blocks, so whitespace at the edges of its inline content is
+ * insignificant.
+ * @param {import('./nodes.js').Node} node
+ * @returns {boolean}
+ */
+function isBlockContainer(node) {
+  if (node.type !== 'element') {
+    return node.type === 'document' || node.type === 'document-fragment';
+  }
+  return node.namespace === HTML_NAMESPACE && BLOCK_ELEMENTS.has(node.tag) && !isPreformatted(node);
+}
+
+/**
+ * Whether whitespace in an element's content is significant.
+ * @param {import('./nodes.js').Node} node
+ * @returns {boolean}
+ */
+function isPreformatted(node) {
+  return node.type === 'element' && (node.isRawText || (node.namespace === HTML_NAMESPACE && LEADING_NEWLINE_ELEMENTS.has(node.tag)));
+}
+
+/**
+ * Whether an element's start tag may be omitted, as the WHATWG "optional tags" rules allow.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<Item>} items - Its children, as they will be serialized.
+ * @param {Item|null} previous - The sibling serialized before it.
+ * @param {SerializerOptions} settings
+ * @returns {boolean}
+ */
+function canOmitStartTag(element, items, previous, settings) {
+  if (Object.keys(element.attributes).length > 0) {
+    return false;
+  }
+  const first = items[0] || null;
+  const firstTag = first && first.node.type === 'element' ? first.node.tag : null;
+  const previousEndOmitted = previous !== null && previous.node.type === 'element' &&
+    canOmitEndTag(previous.node, { node: element, text: null }, settings);
+  switch (element.tag) {
+    case 'html':
+      return !first || first.node.type !== 'comment';
+    case 'head':
+      return !first || first.node.type === 'element';
+    case 'body':
+      if (!first) {
+        return true;
+      }
+      if (first.node.type === 'comment' || (first.text !== null && LEADING_WHITESPACE.test(first.text))) {
+        return false;
+      }
+      return !BODY_START_TAG_KEEPERS.has(firstTag);
+    case 'colgroup':
+      return firstTag === 'col' && !(previousEndOmitted && previous.node.tag === 'colgroup');
+    case 'tbody':
+      return firstTag === 'tr' && !(previousEndOmitted && ['tbody', 'thead', 'tfoot'].includes(previous.node.tag));
+  }
+  return false;
+}
+
+/**
+ * Whether an element's end tag may be omitted, as the WHATWG "optional tags" rules allow.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Item|null} next - The sibling serialized after it.
+ * @param {SerializerOptions} settings
+ * @returns {boolean}
+ */
+function canOmitEndTag(element, next, settings) {
+  const nextTag = next && next.node.type === 'element' && next.node.namespace === HTML_NAMESPACE
+    ? next.node.tag
+    : null;
+  const last = next === null;
+  const followedBySpaceOrComment = next !== null &&
+    (next.node.type === 'comment' || (next.text !== null && LEADING_WHITESPACE.test(next.text)));
+  switch (element.tag) {
+    case 'html':
+    case 'body':
+      return !next || next.node.type !== 'comment';
+    case 'head':
+    case 'caption':
+    case 'colgroup':
+      return !followedBySpaceOrComment;
+    case 'li':
+      return last || nextTag === 'li';
+    case 'dt':
+      return nextTag === 'dt' || nextTag === 'dd';
+    case 'dd':
+      return last || nextTag === 'dd' || nextTag === 'dt';
+    case 'rt':
+    case 'rp':
+      return last || nextTag === 'rt' || nextTag === 'rp';
+    case 'optgroup':
+      return last || nextTag === 'optgroup' || nextTag === 'hr';
+    case 'option':
+      return last || nextTag === 'option' || nextTag === 'optgroup' || nextTag === 'hr';
+    case 'thead':
+      return nextTag === 'tbody' || nextTag === 'tfoot';
+    case 'tbody':
+      return last || nextTag === 'tbody' || nextTag === 'tfoot';
+    case 'tfoot':
+      return last;
+    case 'tr':
+      return last || nextTag === 'tr';
+    case 'td':
+    case 'th':
+      return last || nextTag === 'td' || nextTag === 'th';
+    case 'p': {
+      if (nextTag !== null) {
+        // In quirks mode a table is put inside an open p element rather than closing it.
+        return P_END_TAG_CLOSERS.has(nextTag) && !(nextTag === 'table' && settings.quirks);
+      }
+      const parent = element.parent;
+      return last && parent !== null && parent.type === 'element' && parent.namespace === HTML_NAMESPACE &&
+        !P_END_TAG_KEEPERS.has(parent.tag) && !parent.tag.includes('-');
+    }
+  }
+  return false;
+}
+
+/**
+ * Serializes an element's attributes, each preceded by a space.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {SerializerOptions} settings
+ * @returns {string}
+ */
+function serializeAttributes(element, settings) {
+  const entries = Object.entries(element.attributes);
+  if (settings.sortAttributes) {
+    entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+  return entries.map(([name, value]) => ' ' + serializeAttribute(element, name, value, settings)).join('');
+}
+
+/**
+ * Serializes an attribute.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {string} name
+ * @param {string} value
+ * @param {SerializerOptions} settings
+ * @returns {string}
+ */
+function serializeAttribute(element, name, value, settings) {
+  if (settings.minimizeBooleanAttributes && (value === '' ||
+    (element.namespace === HTML_NAMESPACE && BOOLEAN_ATTRIBUTES.has(name) && value.toLowerCase() === name))) {
+    return name;
+  }
+  if (settings.omitAttributeQuotes && value !== '' && !UNSAFE_UNQUOTED.test(value)) {
+    return `${name}=${value.replace(/[&\u00a0]/g, char => ESCAPES[char])}`;
+  }
+  const other = settings.quote === '"' ? "'" : '"';
+  const quote = settings.switchQuotes && value.includes(settings.quote) && !value.includes(other)
+    ? other
+    : settings.quote;
+  return `${name}=${quote}${value.replace(new RegExp(`[&\u00a0<>${quote}]`, 'g'), char => ESCAPES[char])}${quote}`;
+}
+
+/**
+ * Escapes text for serialization outside raw text elements.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text.replace(/[&\u00a0<>]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Serializes a DOCTYPE, with its public and system identifiers if it has them.
+ * @param {import('./nodes.js').DoctypeNode} doctype
+ * @returns {string}
+ */
+function serializeDoctype(doctype) {
+  const name = doctype.name || '';
+  // Identifiers may contain either quote character, but never both.
+  const quote = (id) => (id.includes('"') ? `'${id}'` : `"${id}"`);
+  if (doctype.publicId !== null && doctype.publicId !== undefined) {
+    const systemId = doctype.systemId !== null && doctype.systemId !== undefined ? ` ${quote(doctype.systemId)}` : '';
+    return `<!DOCTYPE ${name} PUBLIC ${quote(doctype.publicId)}${systemId}>`;
+  }
+  if (doctype.systemId !== null && doctype.systemId !== undefined) {
+    return `<!DOCTYPE ${name} SYSTEM ${quote(doctype.systemId)}>`;
+  }
+  return `<!DOCTYPE ${name}>`;
+}
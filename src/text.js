@@ -0,0 +1,186 @@
+// src/text.js
+
+import { BLOCK_ELEMENTS } from './serializer.js';
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Elements that are never rendered, so their content is left out of the text.
+ * @type {Set<string>}
+ */
+const HIDDEN_ELEMENTS = new Set([
+  'area', 'base', 'basefont', 'datalist', 'head', 'iframe', 'link', 'meta', 'noembed', 'noframes', 'param',
+  'rp', 'script', 'source', 'style', 'template', 'title', 'track',
+]);
+
+/**
+ * Elements whose whitespace is rendered as it is.
+ * @type {Set<string>}
+ */
+const PREFORMATTED_ELEMENTS = new Set(['listing', 'plaintext', 'pre', 'textarea', 'xmp']);
+
+const WHITESPACE_RUN = /[\t\n\f\r ]+/g;
+const DISPLAY_NONE = /(?:^|;)\s*display\s*:\s*none\s*(?:!important\s*)?(?:;|$)/i;
+
+/**
+ * A piece of the text: a string, rendered with its whitespace collapsed unless it is preformatted, or the number
+ * of line breaks required at a block boundary. Adjacent boundaries merge into the largest of them, and boundaries
+ * at the start or end of the text are dropped.
+ * @typedef {{text: string, preformatted: boolean}|number} Item
+ */
+
+/**
+ * Renders a node's content as text the way a browser lays it out, like the DOM's `innerText`: blocks are put on
+ * their own lines and paragraphs are set apart by a blank line, `br` breaks the line, whitespace is collapsed
+ * outside preformatted content, table cells are separated by tabs and rows by line breaks, content that is not
+ * rendered is left out and images are replaced by their alternative text.
+ * @param {import('./nodes.js').Node} node
+ * @returns {string}
+ */
+export function layoutText(node) {
+  const items = [];
+  collect(node, items, false);
+  return join(items);
+}
+
+/**
+ * Appends the items of a node's children.
+ * @param {import('./nodes.js').Node} node
+ * @param {Array<Item>} items
+ * @param {boolean} preformatted - Whether the node's whitespace is rendered as it is.
+ */
+function collect(node, items, preformatted) {
+  for (const child of renderedChildren(node)) {
+    if (child.type === 'text') {
+      items.push({ text: child.text, preformatted });
+    } else if (child.type === 'element' && !isHidden(child)) {
+      collectElement(child, items, preformatted);
+    }
+  }
+}
+
+/**
+ * Appends the items of an element that is rendered.
+ * @param {import('./nodes.js').ElementNode} element
+ * @param {Array<Item>} items
+ * @param {boolean} preformatted - Whether the parent's whitespace is rendered as it is.
+ */
+function collectElement(element, items, preformatted) {
+  if (element.namespace !== HTML_NAMESPACE) {
+    collect(element, items, preformatted);
+    return;
+  }
+  const tag = element.tag;
+  if (tag === 'br') {
+    items.push({ text: '\n', preformatted: true });
+    return;
+  }
+  if (tag === 'img') {
+    items.push({ text: element.getAttribute('alt') ?? '', preformatted });
+    return;
+  }
+  preformatted = preformatted || PREFORMATTED_ELEMENTS.has(tag);
+  if (tag === 'td' || tag === 'th') {
+    items.push(0);
+    collect(element, items, preformatted);
+    items.push(0);
+    if (isCell(element.nextElementSibling)) {
+      items.push({ text: '\t', preformatted: true });
+    }
+    return;
+  }
+  const lineBreaks = tag === 'p' ? 2 : BLOCK_ELEMENTS.has(tag) ? 1 : null;
+  if (lineBreaks !== null) {
+    items.push(lineBreaks);
+  }
+  collect(element, items, preformatted);
+  if (lineBreaks !== null) {
+    items.push(lineBreaks);
+  }
+}
+
+/**
+ * Joins items into text, collapsing whitespace and resolving line break boundaries.
+ * @param {Array<Item>} items
+ * @returns {string}
+ */
+function join(items) {
+  let text = '';
+  // The last character written, kept apart as reading the end of the growing text would copy it each time.
+  let last = '';
+  let lineBreaks = 0;
+  let space = false;
+  const write = (value) => {
+    if (text && lineBreaks > 0) {
+      text += '\n'.repeat(lineBreaks);
+      last = '\n';
+    }
+    if (space && text && last !== '\t' && last !== '\n' && !value.startsWith('\n')) {
+      text += ' ';
+    }
+    text += value;
+    last = value[value.length - 1];
+    lineBreaks = 0;
+  };
+  for (const item of items) {
+    if (typeof item === 'number') {
+      lineBreaks = Math.max(lineBreaks, item);
+      space = false;
+    } else if (item.preformatted) {
+      if (item.text) {
+        write(item.text);
+        space = false;
+      }
+    } else {
+      const value = item.text.replace(WHITESPACE_RUN, ' ');
+      const leading = value.startsWith(' ');
+      const trailing = value.endsWith(' ');
+      const content = value.slice(leading ? 1 : 0, trailing ? -1 : undefined);
+      space = space || leading;
+      if (content) {
+        write(content);
+        space = trailing;
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * The children of a node that may be rendered: a closed `details` element shows only its summary.
+ * @param {import('./nodes.js').Node} node
+ * @returns {Array<import('./nodes.js').Node>}
+ */
+function renderedChildren(node) {
+  if (node.type === 'element' && node.namespace === HTML_NAMESPACE && node.tag === 'details' &&
+    !node.hasAttribute('open')) {
+    const summary = node.children.find(child => child.type === 'element' && child.tag === 'summary');
+    return summary ? [summary] : [];
+  }
+  return node.children;
+}
+
+/**
+ * Whether an element is not rendered: it is one that never is, has the `hidden` attribute, is a hidden input or
+ * has `display: none` in its `style` attribute.
+ * @param {import('./nodes.js').ElementNode} element
+ * @returns {boolean}
+ */
+export function isHidden(element) {
+  if (HIDDEN_ELEMENTS.has(element.tag) || element.hasAttribute('hidden')) {
+    return true;
+  }
+  if (element.tag === 'input' && element.getAttribute('type')?.toLowerCase() === 'hidden') {
+    return true;
+  }
+  return DISPLAY_NONE.test(element.getAttribute('style') ?? '');
+}
+
+/**
+ * Whether a node is a table cell.
+ * @param {import('./nodes.js').Node|null} node
+ * @returns {boolean}
+ */
+function isCell(node) {
+  return node !== null && node.namespace === HTML_NAMESPACE && (node.tag === 'td' || node.tag === 'th');
+}
@@ -1,8 +1,9 @@
 // src/tokenizer.js
 
 import { ParseError } from './errors.js';
+import { NAMED_CHARACTER_REFERENCES, NUMERIC_REPLACEMENTS } from './entities.js';
 
-const State = {
+export const State = {
   DATA: 1,
   TAG_OPEN: 2,
   TAG_NAME: 3,
@@ -16,8 +17,166 @@ const State = {
   ATTRIBUTE_VALUE_UNQUOTED: 11,
   COMMENT: 12,
   MARKUP_DECLARATION_OPEN: 13,
+  BOGUS_COMMENT: 14,
+  DOCTYPE: 15,
+  BEFORE_DOCTYPE_NAME: 16,
+  DOCTYPE_NAME: 17,
+  AFTER_DOCTYPE_NAME: 18,
+  AFTER_DOCTYPE_PUBLIC_KEYWORD: 19,
+  BEFORE_DOCTYPE_PUBLIC_IDENTIFIER: 20,
+  DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED: 21,
+  DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED: 22,
+  AFTER_DOCTYPE_PUBLIC_IDENTIFIER: 23,
+  BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS: 24,
+  AFTER_DOCTYPE_SYSTEM_KEYWORD: 25,
+  BEFORE_DOCTYPE_SYSTEM_IDENTIFIER: 26,
+  DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED: 27,
+  DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED: 28,
+  AFTER_DOCTYPE_SYSTEM_IDENTIFIER: 29,
+  BOGUS_DOCTYPE: 30,
+  CHARACTER_REFERENCE: 31,
+  NAMED_CHARACTER_REFERENCE: 32,
+  NUMERIC_CHARACTER_REFERENCE: 33,
+  HEXADECIMAL_CHARACTER_REFERENCE_START: 34,
+  DECIMAL_CHARACTER_REFERENCE_START: 35,
+  HEXADECIMAL_CHARACTER_REFERENCE: 36,
+  DECIMAL_CHARACTER_REFERENCE: 37,
+  AFTER_ATTRIBUTE_VALUE_QUOTED: 38,
+  SELF_CLOSING_START_TAG: 39,
+  RCDATA: 40,
+  RCDATA_LESS_THAN_SIGN: 41,
+  RCDATA_END_TAG_OPEN: 42,
+  RCDATA_END_TAG_NAME: 43,
+  RAWTEXT: 44,
+  RAWTEXT_LESS_THAN_SIGN: 45,
+  RAWTEXT_END_TAG_OPEN: 46,
+  RAWTEXT_END_TAG_NAME: 47,
+  SCRIPT_DATA: 48,
+  SCRIPT_DATA_LESS_THAN_SIGN: 49,
+  SCRIPT_DATA_END_TAG_OPEN: 50,
+  SCRIPT_DATA_END_TAG_NAME: 51,
+  SCRIPT_DATA_ESCAPE_START: 52,
+  SCRIPT_DATA_ESCAPE_START_DASH: 53,
+  SCRIPT_DATA_ESCAPED: 54,
+  SCRIPT_DATA_ESCAPED_DASH: 55,
+  SCRIPT_DATA_ESCAPED_DASH_DASH: 56,
+  SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN: 57,
+  SCRIPT_DATA_ESCAPED_END_TAG_OPEN: 58,
+  SCRIPT_DATA_ESCAPED_END_TAG_NAME: 59,
+  SCRIPT_DATA_DOUBLE_ESCAPE_START: 60,
+  SCRIPT_DATA_DOUBLE_ESCAPED: 61,
+  SCRIPT_DATA_DOUBLE_ESCAPED_DASH: 62,
+  SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH: 63,
+  SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN: 64,
+  SCRIPT_DATA_DOUBLE_ESCAPE_END: 65,
+  PLAINTEXT: 66,
+  CDATA_SECTION: 67,
+  CDATA_SECTION_BRACKET: 68,
+  CDATA_SECTION_END: 69,
+  COMMENT_START: 70,
+  COMMENT_START_DASH: 71,
+  COMMENT_LESS_THAN_SIGN: 72,
+  COMMENT_LESS_THAN_SIGN_BANG: 73,
+  COMMENT_LESS_THAN_SIGN_BANG_DASH: 74,
+  COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH: 75,
+  COMMENT_END_DASH: 76,
+  COMMENT_END: 77,
+  COMMENT_END_BANG: 78,
 };
 
+/**
+ * The state the content of each HTML element that holds only text is read in.
+ * @type {Object<string, number>}
+ */
+export const TEXT_ELEMENT_STATES = {
+  title: State.RCDATA,
+  textarea: State.RCDATA,
+  style: State.RAWTEXT,
+  xmp: State.RAWTEXT,
+  iframe: State.RAWTEXT,
+  noembed: State.RAWTEXT,
+  noframes: State.RAWTEXT,
+  script: State.SCRIPT_DATA,
+  plaintext: State.PLAINTEXT,
+};
+
+/**
+ * States whose characters belong to an attribute value.
+ * @type {Set<number>}
+ */
+const ATTRIBUTE_VALUE_STATES = new Set([
+  State.ATTRIBUTE_VALUE_DOUBLE_QUOTED, State.ATTRIBUTE_VALUE_SINGLE_QUOTED, State.ATTRIBUTE_VALUE_UNQUOTED,
+]);
+
+/**
+ * For the states that mostly read plain text, names or attribute values, the characters that need the state machine.
+ * Everything before the next of them is taken in one step.
+ * @type {Object<number, RegExp>}
+ */
+const RUN_ENDS = {
+  [State.DATA]: /[&<\0]/g,
+  [State.TAG_NAME]: /[\t\n\f\r />\0]/g,
+  [State.ATTRIBUTE_NAME]: /[\t\n\f\r />=\0"'<]/g,
+  [State.RCDATA]: /[&<\0]/g,
+  [State.RAWTEXT]: /[<\0]/g,
+  [State.SCRIPT_DATA]: /[<\0]/g,
+  [State.PLAINTEXT]: /\0/g,
+  [State.COMMENT]: /[<\-\0]/g,
+  [State.ATTRIBUTE_VALUE_DOUBLE_QUOTED]: /["&\0]/g,
+  [State.ATTRIBUTE_VALUE_SINGLE_QUOTED]: /['&\0]/g,
+  [State.ATTRIBUTE_VALUE_UNQUOTED]: /[\t\n\f\r &>\0"'<=`]/g,
+};
+
+/**
+ * For each state that reads the name of a possible end tag inside text-only content, the state to go back to
+ * when the name does not close the current element.
+ * @type {Object<number, number>}
+ */
+const TEXT_END_TAG_NAME_STATES = {
+  [State.RCDATA_END_TAG_NAME]: State.RCDATA,
+  [State.RAWTEXT_END_TAG_NAME]: State.RAWTEXT,
+  [State.SCRIPT_DATA_END_TAG_NAME]: State.SCRIPT_DATA,
+  [State.SCRIPT_DATA_ESCAPED_END_TAG_NAME]: State.SCRIPT_DATA_ESCAPED,
+};
+
+/**
+ * The characters the input stream should not contain, in three groups: control characters other than whitespace
+ * and NULL, noncharacters (U+FDD0 to U+FDEF and the last two code points of each plane), and lone surrogates.
+ * @type {RegExp}
+ */
+const INPUT_STREAM_ERRORS = new RegExp(
+  '([\\x01-\\x08\\x0B\\x0E-\\x1F\\x7F-\\x9F])' +
+  '|([\\uFDD0-\\uFDEF\\uFFFE\\uFFFF]' +
+  '|[\\uD83F\\uD87F\\uD8BF\\uD8FF\\uD93F\\uD97F\\uD9BF\\uD9FF\\uDA3F\\uDA7F\\uDABF\\uDAFF\\uDB3F\\uDB7F\\uDBBF\\uDBFF][\\uDFFE\\uDFFF])' +
+  '|[\\uD800-\\uDBFF](?![\\uDC00-\\uDFFF])|(?<![\\uD800-\\uDBFF])[\\uDC00-\\uDFFF]',
+  'g',
+);
+
+/**
+ * Whitespace as defined by the tokenizer: tab, line feed, form feed and space.
+ * @param {string} char
+ * @returns {boolean}
+ */
+function is_whitespace(char) {
+  return char === '\t' || char === '\n' || char === '\f' || char === ' ';
+}
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+function is_ascii_alphanumeric(char) {
+  return /^[a-zA-Z0-9]$/.test(char);
+}
+
+/**
+ * @param {string} char
+ * @returns {boolean}
+ */
+function is_hex_digit(char) {
+  return /^[0-9a-fA-F]$/.test(char);
+}
+
 export class Tokenizer {
   constructor(options = {}) {
     this.options = options;
@@ -30,188 +189,1445 @@ export class Tokenizer {
     this.index = 0;
     this.errors = [];
     this.tokens = [];
-    this.html = '';
+    this.input = ''; // The input written so far that has not been consumed yet
+    this.input_start = 0; // The index in the whole input of the first character of this.input
     this.current_attribute_name = ''; // To store the attribute name while parsing its value
     this.current_attribute_value = ''; // To store the attribute value
+    this.return_state = null; // The state to go back to once a character reference is resolved
+    this.temporary_buffer = ''; // The raw text of the character reference being read
+    this.character_reference_code = 0;
+    this.last_start_tag = null; // The name of the last start tag emitted, which RCDATA and raw text end at
+    this.sink = null; // A tree builder that receives tokens as they are emitted, instead of this.tokens
+    this.token_start = null; // The position of the "<" that began the current tag, comment or DOCTYPE
+    this.reference_start = null; // The position of the "&" that began the current character reference
+    this.attribute_start = null; // The position of the first character of the current attribute's name
+    this.attribute_end = 0; // The index just past the current attribute's name or value
+    this.pending_text = ''; // Characters not emitted yet, so that each run of text becomes a single token
+    this.pending_text_location = null;
+    this.stopped = false; // Set by stop(): the rest of the input is ignored
+    this.held = ''; // The last character of the last chunk when it may start a "\r\n" or a surrogate pair
+    this.dropped_crs = []; // The indices of the newlines whose "\r" was dropped, in the preprocessed input
+    this.input_errors = []; // The [index, code] of each character the input stream should not contain
+    this.next_input_error = 0; // The first of input_errors not reported yet
   }
 
+  /**
+   * Tokenizes an HTML string. Tokens go to the sink when there is one; otherwise they are collected and returned.
+   * @param {string} html
+   * @returns {Array<Array<any>>} The tokens, or an empty array when they went to the sink.
+   */
   run(html) {
-    this.html = html;
-    for (let i = 0; i < html.length; i++) {
-      const char = html[i];
-      this.consume(char);
-      this.index++;
-      if (char === '\n') {
-        this.line++;
-        this.column = 1;
+    this.write(html);
+    this.end();
+    return this.tokens;
+  }
+
+  /**
+   * Tokenizes the next chunk of the input. The state carries over to the next chunk, so a chunk may end anywhere,
+   * even inside a tag or a character reference.
+   * @param {string} chunk
+   */
+  write(chunk) {
+    this.tokenize(this.preprocess(chunk, false));
+  }
+
+  /**
+   * Finishes tokenizing once the whole input has been written.
+   */
+  end() {
+    if (this.held) {
+      this.tokenize(this.preprocess('', true));
+    }
+    if (!this.stopped) {
+      this.consume_eof();
+    }
+    this.flush_text();
+  }
+
+  /**
+   * Stops tokenizing: no more tokens are emitted, whatever input follows. Text already read is still emitted.
+   */
+  stop() {
+    this.flush_text();
+    this.stopped = true;
+  }
+
+  /**
+   * Tokenizes preprocessed input.
+   * @param {string} text
+   */
+  tokenize(text) {
+    this.input = this.input.slice(this.index - this.input_start) + text;
+    this.input_start = this.index;
+    const end = this.input_start + this.input.length;
+    while (this.index < end && !this.stopped) {
+      if (!this.consume_run()) {
+        const char = this.input[this.index - this.input_start];
+        this.report_input_errors(this.index + 1);
+        this.consume(char);
+        this.advance(char);
+      }
+    }
+  }
+
+  /**
+   * Preprocesses a chunk as the standard's input stream does. Each "\r\n" and each lone "\r" becomes a "\n",
+   * and the characters the input should not contain are noted, to be reported as they are consumed. A "\r" or a
+   * high surrogate at the end of the chunk is held back until the next chunk shows what follows it.
+   * @param {string} chunk
+   * @param {boolean} final - Whether this is the end of the input, so nothing is held back.
+   * @returns {string} The chunk's characters that are ready to be tokenized.
+   */
+  preprocess(chunk, final) {
+    let text = this.held + chunk;
+    this.held = '';
+    if (!final && /[\r\uD800-\uDBFF]$/.test(text)) {
+      this.held = text.slice(-1);
+      text = text.slice(0, -1);
+    }
+    const base = this.input_start + this.input.length;
+    let result = '';
+    let last = 0;
+    for (let cr = text.indexOf('\r'); cr !== -1; cr = text.indexOf('\r', last)) {
+      result += text.slice(last, cr) + '\n';
+      if (text[cr + 1] === '\n') {
+        this.dropped_crs.push(base + result.length - 1);
+        last = cr + 2;
       } else {
-        this.column++;
+        last = cr + 1;
       }
     }
-    return this.tokens;
+    result += text.slice(last);
+
+    INPUT_STREAM_ERRORS.lastIndex = 0;
+    for (let match = INPUT_STREAM_ERRORS.exec(result); match; match = INPUT_STREAM_ERRORS.exec(result)) {
+      const code = match[1] ? 'control-character-in-input-stream'
+        : match[2] ? 'noncharacter-in-input-stream' : 'surrogate-in-input-stream';
+      this.input_errors.push([base + match.index, code]);
+    }
+    return result;
+  }
+
+  /**
+   * Reports the noted input stream errors of the characters before an index, as they are consumed.
+   * @param {number} end
+   */
+  report_input_errors(end) {
+    while (this.next_input_error < this.input_errors.length && this.input_errors[this.next_input_error][0] < end) {
+      const [index, code] = this.input_errors[this.next_input_error++];
+      const before = this.input.slice(this.index - this.input_start, index - this.input_start);
+      const newline = before.lastIndexOf('\n');
+      let line = this.line;
+      for (let i = before.indexOf('\n'); i !== -1; i = before.indexOf('\n', i + 1)) {
+        line++;
+      }
+      const column = newline === -1 ? this.column + before.length : before.length - newline;
+      this.report(ParseError.fromCode(code, line, column, this.source_index(index)));
+    }
+    if (this.next_input_error === this.input_errors.length) {
+      this.input_errors = [];
+      this.next_input_error = 0;
+    }
+  }
+
+  /**
+   * Maps an index in the preprocessed input back to the input as written, where each "\r\n" is two characters.
+   * @param {number} index
+   * @returns {number}
+   */
+  source_index(index) {
+    let low = 0;
+    let high = this.dropped_crs.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.dropped_crs[middle] < index) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return index + low;
+  }
+
+  /**
+   * In states that read plain text, names or attribute values, consumes every character up to the next one that needs the
+   * state machine, all at once.
+   * @returns {boolean} Whether there were any such characters.
+   */
+  consume_run() {
+    const pattern = RUN_ENDS[this.state];
+    if (!pattern) {
+      return false;
+    }
+    const start = this.index - this.input_start;
+    pattern.lastIndex = start;
+    const match = pattern.exec(this.input);
+    const end = this.input_start + (match ? match.index : this.input.length);
+    if (end === this.index) {
+      return false;
+    }
+    const text = this.input.slice(start, end - this.input_start);
+    this.report_input_errors(end);
+    if (ATTRIBUTE_VALUE_STATES.has(this.state)) {
+      this.current_attribute_value += text;
+    } else if (this.state === State.TAG_NAME) {
+      this.current_token.tag += text.toLowerCase();
+    } else if (this.state === State.ATTRIBUTE_NAME) {
+      this.current_attribute_name += text.toLowerCase();
+      this.attribute_end = end;
+    } else if (this.state === State.COMMENT) {
+      this.buffer += text;
+    } else {
+      this.emit_characters(text, this.span(this.position(), end));
+    }
+    this.advance(text);
+    return true;
+  }
+
+  /**
+   * Moves the position past consumed characters.
+   * @param {string} text
+   */
+  advance(text) {
+    this.index += text.length;
+    let newline = text.indexOf('\n');
+    if (newline === -1) {
+      this.column += text.length;
+      return;
+    }
+    let last = newline;
+    while (newline !== -1) {
+      this.line++;
+      last = newline;
+      newline = text.indexOf('\n', newline + 1);
+    }
+    this.column = text.length - last;
+  }
+
+  /**
+   * The position of the character being consumed, or of one `offset` characters away from it on the same line.
+   * @param {number} [offset=0]
+   * @returns {{index: number, line: number, column: number}}
+   */
+  position(offset = 0) {
+    return { index: this.index + offset, line: this.line, column: this.column + offset };
   }
 
-  emit(token) {
-    this.tokens.push(token);
+  /**
+   * Creates a source location running from a position to an index.
+   * @param {{index: number, line: number, column: number}} start
+   * @param {number} [end] - The index just past the last character, by default the character being consumed.
+   * @returns {{startIndex: number, endIndex: number, line: number, column: number}}
+   */
+  span(start, end = this.index + 1) {
+    return { startIndex: this.source_index(start.index), endIndex: this.source_index(end), line: start.line, column: start.column };
+  }
+
+  /**
+   * Emits characters. They are held back and joined with the characters that follow them,
+   * until another kind of token or the end of the input.
+   * @param {string} data
+   * @param {object} [location] - By default, the character being consumed.
+   */
+  emit_characters(data, location = this.span(this.position())) {
+    if (this.pending_text) {
+      this.pending_text += data;
+      this.pending_text_location.endIndex = location.endIndex;
+    } else {
+      this.pending_text = data;
+      this.pending_text_location = location;
+    }
+  }
+
+  /**
+   * Emits the characters held back by emit_characters as a single Character token.
+   */
+  flush_text() {
+    if (this.pending_text) {
+      const data = this.pending_text;
+      this.pending_text = '';
+      this.emit(['Character', data], this.pending_text_location);
+    }
+  }
+
+  /**
+   * Emits a token, to the sink if there is one, along with its source location.
+   * @param {Array<any>} token
+   * @param {object} [location] - By default, the character being consumed.
+   */
+  emit(token, location = this.span(this.position())) {
+    if (token[0] !== 'Character') {
+      this.flush_text();
+    }
+    if (this.stopped) {
+      return;
+    }
+    // Not enumerable, so tokens still compare equal to plain html5lib-style arrays.
+    Object.defineProperty(token, 'location', { value: location });
+    if (this.sink) {
+      this.sink.process_token(token);
+    } else {
+      this.tokens.push(token);
+    }
   }
 
   consume(char) {
     switch (this.state) {
       case State.DATA:
         if (char === '<') {
+          this.token_start = this.position();
           this.state = State.TAG_OPEN;
+        } else if (char === '&') {
+          this.begin_character_reference();
         } else {
-          this.emit(['Character', char]);
+          if (char === '\0') {
+            // The NULL is emitted as it is: the tree builder decides whether to drop it or replace it.
+            this.error('unexpected-null-character');
+          }
+          this.emit_characters(char);
         }
         break;
       case State.TAG_OPEN:
         if (char === '!') {
           this.state = State.MARKUP_DECLARATION_OPEN;
-        } else if (/[a-zA-Z]/.test(char)) {
-          this.current_token = { type: 'start_tag', tag: char.toLowerCase(), attributes: {} };
-          this.state = State.TAG_NAME;
-          this.is_end_tag = false;
         } else if (char === '/') {
           this.state = State.END_TAG_OPEN;
+        } else if (/[a-zA-Z]/.test(char)) {
+          this.current_token = { type: 'start_tag', tag: '', attributes: {}, attributeSpans: {}, selfClosing: false };
+          this.is_end_tag = false;
+          this.state = State.TAG_NAME;
+          this.consume(char);
+        } else if (char === '?') {
+          this.error('unexpected-question-mark-instead-of-tag-name');
+          this.buffer = '';
+          this.state = State.BOGUS_COMMENT;
+          this.consume(char);
         } else {
-          this.error("Unexpected character in tag open state");
+          // Not a tag after all: the "<" is text.
+          this.error('invalid-first-character-of-tag-name');
+          this.emit_characters('<', this.span(this.token_start, this.index));
+          this.state = State.DATA;
+          this.consume(char);
         }
         break;
       case State.END_TAG_OPEN:
         if (/[a-zA-Z]/.test(char)) {
-          this.current_token = { type: 'end_tag', tag: char.toLowerCase() };
-          this.state = State.TAG_NAME;
+          this.current_token = { type: 'end_tag', tag: '', attributes: {}, attributeSpans: {}, selfClosing: false };
           this.is_end_tag = true;
+          this.state = State.TAG_NAME;
+          this.consume(char);
+        } else if (char === '>') {
+          this.error('missing-end-tag-name');
+          this.state = State.DATA;
         } else {
-          this.error("Unexpected character in end tag open state");
+          this.error('invalid-first-character-of-tag-name');
+          this.buffer = '';
+          this.state = State.BOGUS_COMMENT;
+          this.consume(char);
         }
         break;
       case State.TAG_NAME:
-        if (char === '>') {
-          this.emit_current_token();
-          this.state = State.DATA;
-        } else if (/\s/.test(char)) {
+        if (is_whitespace(char)) {
           this.state = State.BEFORE_ATTRIBUTE_NAME;
-        } else if (/[a-zA-Z]/.test(char)) {
-          this.current_token.tag += char.toLowerCase();
+        } else if (char === '/') {
+          this.state = State.SELF_CLOSING_START_TAG;
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_token.tag += '�';
         } else {
-          this.error("Unexpected character in tag name state");
+          this.current_token.tag += char.toLowerCase();
         }
         break;
       case State.BEFORE_ATTRIBUTE_NAME:
-        if (/\s/.test(char)) {
+        if (is_whitespace(char)) {
           // ignore
-        } else if (/[a-zA-Z]/.test(char)) {
-          this.current_attribute_name = char.toLowerCase(); // Start collecting attribute name
-          this.current_attribute_value = '';
+        } else if (char === '/' || char === '>') {
+          this.state = State.AFTER_ATTRIBUTE_NAME;
+          this.consume(char);
+        } else if (char === '=') {
+          this.error('unexpected-equals-sign-before-attribute-name');
+          this.start_attribute(char);
           this.state = State.ATTRIBUTE_NAME;
-        } else if (char === '>') {
-          this.emit_current_token();
-          this.state = State.DATA;
         } else {
-          this.error("Unexpected character in before attribute name state");
+          this.start_attribute('');
+          this.state = State.ATTRIBUTE_NAME;
+          this.consume(char);
         }
         break;
       case State.ATTRIBUTE_NAME:
-        if (char === '=') {
+        if (is_whitespace(char) || char === '/' || char === '>') {
+          this.state = State.AFTER_ATTRIBUTE_NAME;
+          this.consume(char);
+        } else if (char === '=') {
+          this.attribute_end = this.index + 1;
           this.state = State.BEFORE_ATTRIBUTE_VALUE;
-        } else if (/\s/.test(char) || char === '>') { // Attribute name ends with space or >
-          this.current_token.attributes[this.current_attribute_name] = ''; // Attribute with no value
-          this.current_attribute_name = '';
-          this.current_attribute_value = '';
-          this.state = State.BEFORE_ATTRIBUTE_NAME;
-          this.consume(char); // Re-consume the char for correct state handling
-        } else if (/[a-zA-Z]/.test(char)) {
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_attribute_name += '�';
+          this.attribute_end = this.index + 1;
+        } else {
+          if (char === '"' || char === "'" || char === '<') {
+            this.error('unexpected-character-in-attribute-name');
+          }
           this.current_attribute_name += char.toLowerCase();
+          this.attribute_end = this.index + 1;
+        }
+        break;
+      case State.AFTER_ATTRIBUTE_NAME:
+        if (is_whitespace(char)) {
+          // ignore
+        } else if (char === '/') {
+          this.state = State.SELF_CLOSING_START_TAG;
+        } else if (char === '=') {
+          this.attribute_end = this.index + 1;
+          this.state = State.BEFORE_ATTRIBUTE_VALUE;
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
         } else {
-          this.error("Unexpected character in attribute name state");
+          this.start_attribute('');
+          this.state = State.ATTRIBUTE_NAME;
+          this.consume(char);
         }
         break;
       case State.BEFORE_ATTRIBUTE_VALUE:
-        if (/\s/.test(char)) {
+        if (is_whitespace(char)) {
           // ignore
         } else if (char === '"') {
           this.state = State.ATTRIBUTE_VALUE_DOUBLE_QUOTED;
         } else if (char === "'") {
           this.state = State.ATTRIBUTE_VALUE_SINGLE_QUOTED;
-        } else if (/[^\s>]/.test(char)) { // Unquoted attribute value can't contain space or >
-          this.current_attribute_value += char;
-          this.state = State.ATTRIBUTE_VALUE_UNQUOTED;
+        } else if (char === '>') {
+          this.error('missing-attribute-value');
+          this.state = State.DATA;
+          this.emit_current_token();
         } else {
-          this.error("Unexpected character in before attribute value state");
+          this.state = State.ATTRIBUTE_VALUE_UNQUOTED;
+          this.consume(char);
         }
         break;
       case State.ATTRIBUTE_VALUE_DOUBLE_QUOTED:
-        if (char === '"') {
-          this.current_token.attributes[this.current_attribute_name] = this.current_attribute_value;
-          this.current_attribute_name = ''; // Clear current attribute name
-          this.current_attribute_value = ''; // Clear current attribute value
-          this.state = State.BEFORE_ATTRIBUTE_NAME;
+      case State.ATTRIBUTE_VALUE_SINGLE_QUOTED:
+        if (char === (this.state === State.ATTRIBUTE_VALUE_DOUBLE_QUOTED ? '"' : "'")) {
+          this.attribute_end = this.index + 1;
+          this.state = State.AFTER_ATTRIBUTE_VALUE_QUOTED;
+        } else if (char === '&') {
+          this.begin_character_reference();
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_attribute_value += '�';
         } else {
           this.current_attribute_value += char;
         }
         break;
-      case State.ATTRIBUTE_VALUE_SINGLE_QUOTED:
-        if (char === "'") {
-          this.current_token.attributes[this.current_attribute_name] = this.current_attribute_value;
-          this.current_attribute_name = ''; // Clear current attribute name
-          this.current_attribute_value = ''; // Clear current attribute value
+      case State.ATTRIBUTE_VALUE_UNQUOTED:
+        if (is_whitespace(char)) {
+          this.attribute_end = this.index;
           this.state = State.BEFORE_ATTRIBUTE_NAME;
+        } else if (char === '&') {
+          this.begin_character_reference();
+        } else if (char === '>') {
+          this.attribute_end = this.index;
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_attribute_value += '�';
         } else {
+          if (char === '"' || char === "'" || char === '<' || char === '=' || char === '`') {
+            this.error('unexpected-character-in-unquoted-attribute-value');
+          }
           this.current_attribute_value += char;
         }
         break;
-      case State.ATTRIBUTE_VALUE_UNQUOTED:
-        if (/\s/.test(char) || char === '>') {
-          this.current_token.attributes[this.current_attribute_name] = this.current_attribute_value;
-          this.current_attribute_name = ''; // Clear current attribute name
-          this.current_attribute_value = ''; // Clear current attribute value
+      case State.AFTER_ATTRIBUTE_VALUE_QUOTED:
+        if (is_whitespace(char)) {
           this.state = State.BEFORE_ATTRIBUTE_NAME;
-          this.consume(char); // Re-consume the char for correct state handling
+        } else if (char === '/') {
+          this.state = State.SELF_CLOSING_START_TAG;
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
         } else {
-          this.current_attribute_value += char;
+          this.error('missing-whitespace-between-attributes');
+          this.state = State.BEFORE_ATTRIBUTE_NAME;
+          this.consume(char);
+        }
+        break;
+      case State.SELF_CLOSING_START_TAG:
+        if (char === '>') {
+          this.current_token.selfClosing = true;
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          this.error('unexpected-solidus-in-tag');
+          this.state = State.BEFORE_ATTRIBUTE_NAME;
+          this.consume(char);
         }
         break;
       case State.MARKUP_DECLARATION_OPEN:
-          this.buffer += char;
-          if (this.buffer === '--') { // Check for '!--'
-              this.state = State.COMMENT;
-              this.buffer = ''; // Clear buffer for comment content
+        this.buffer += char;
+        if (this.buffer === '--') {
+          this.state = State.COMMENT_START;
+          this.buffer = ''; // Clear buffer for comment content
+        } else if (this.buffer.toLowerCase() === 'doctype') {
+          this.state = State.DOCTYPE;
+          this.buffer = '';
+        } else if (this.buffer === '[CDATA[') {
+          if (this.sink && this.sink.in_foreign_content()) {
+            this.state = State.CDATA_SECTION;
+            this.buffer = '';
           } else {
-              this.error("Unexpected character in markup declaration open state");
+            // CDATA sections only exist in SVG and MathML; in HTML the whole thing is a comment.
+            this.error('cdata-in-html-content');
+            this.state = State.BOGUS_COMMENT;
           }
-          break;
+        } else if (!'--'.startsWith(this.buffer) && !'doctype'.startsWith(this.buffer.toLowerCase()) &&
+          !'[CDATA['.startsWith(this.buffer)) {
+          // Neither a comment nor a DOCTYPE: everything after "<!" becomes a bogus comment.
+          this.error('incorrectly-opened-comment');
+          this.buffer = this.buffer.slice(0, -1);
+          this.state = State.BOGUS_COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_START:
+      case State.COMMENT_START_DASH:
+        if (char === '-') {
+          this.state = this.state === State.COMMENT_START ? State.COMMENT_START_DASH : State.COMMENT_END;
+        } else if (char === '>') {
+          this.error('abrupt-closing-of-empty-comment');
+          this.emit_comment();
+        } else {
+          if (this.state === State.COMMENT_START_DASH) {
+            this.buffer += '-';
+          }
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
       case State.COMMENT:
-        this.buffer += char;
-        if (this.buffer.endsWith('-->')) {
-          this.emit(['Comment', this.buffer.slice(0, -3)]);
+        if (char === '<') {
+          this.buffer += char;
+          this.state = State.COMMENT_LESS_THAN_SIGN;
+        } else if (char === '-') {
+          this.state = State.COMMENT_END_DASH;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.buffer += '�';
+        } else {
+          this.buffer += char;
+        }
+        break;
+      case State.COMMENT_LESS_THAN_SIGN:
+        if (char === '!') {
+          this.buffer += char;
+          this.state = State.COMMENT_LESS_THAN_SIGN_BANG;
+        } else if (char === '<') {
+          this.buffer += char;
+        } else {
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_LESS_THAN_SIGN_BANG:
+        // "<!--" inside a comment is reported as a nested comment once the "--" is seen.
+        if (char === '-') {
+          this.state = State.COMMENT_LESS_THAN_SIGN_BANG_DASH;
+        } else {
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_LESS_THAN_SIGN_BANG_DASH:
+        if (char === '-') {
+          this.state = State.COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH;
+        } else {
+          this.state = State.COMMENT_END_DASH;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH:
+        if (char !== '>') {
+          this.error('nested-comment');
+        }
+        this.state = State.COMMENT_END;
+        this.consume(char);
+        break;
+      case State.COMMENT_END_DASH:
+        if (char === '-') {
+          this.state = State.COMMENT_END;
+        } else {
+          this.buffer += '-';
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_END:
+        if (char === '>') {
+          this.emit_comment();
+        } else if (char === '!') {
+          this.state = State.COMMENT_END_BANG;
+        } else if (char === '-') {
+          this.buffer += '-';
+        } else {
+          this.buffer += '--';
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.COMMENT_END_BANG:
+        if (char === '-') {
+          this.buffer += '--!';
+          this.state = State.COMMENT_END_DASH;
+        } else if (char === '>') {
+          this.error('incorrectly-closed-comment');
+          this.emit_comment();
+        } else {
+          this.buffer += '--!';
+          this.state = State.COMMENT;
+          this.consume(char);
+        }
+        break;
+      case State.BOGUS_COMMENT:
+        if (char === '>') {
+          this.emit(['Comment', this.buffer], this.span(this.token_start));
           this.buffer = '';
           this.state = State.DATA;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.buffer += '�';
+        } else {
+          this.buffer += char;
+        }
+        break;
+      case State.DOCTYPE:
+        if (is_whitespace(char)) {
+          this.state = State.BEFORE_DOCTYPE_NAME;
+        } else if (char === '>') {
+          this.state = State.BEFORE_DOCTYPE_NAME;
+          this.consume(char);
+        } else {
+          this.error('missing-whitespace-before-doctype-name');
+          this.state = State.BEFORE_DOCTYPE_NAME;
+          this.consume(char);
+        }
+        break;
+      case State.BEFORE_DOCTYPE_NAME:
+        if (is_whitespace(char)) {
+          // ignore
+        } else if (char === '>') {
+          this.error('missing-doctype-name');
+          this.current_token = this.create_doctype_token();
+          this.current_token.forceQuirks = true;
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          this.current_token = this.create_doctype_token();
+          if (char === '\0') {
+            this.error('unexpected-null-character');
+            this.current_token.name = '�';
+          } else {
+            this.current_token.name = char.toLowerCase();
+          }
+          this.state = State.DOCTYPE_NAME;
+        }
+        break;
+      case State.DOCTYPE_NAME:
+        if (is_whitespace(char)) {
+          this.state = State.AFTER_DOCTYPE_NAME;
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_token.name += '�';
+        } else {
+          this.current_token.name += char.toLowerCase();
+        }
+        break;
+      case State.AFTER_DOCTYPE_NAME:
+        // The buffer collects a possible "PUBLIC" or "SYSTEM" keyword, matched case-insensitively.
+        if (this.buffer === '' && is_whitespace(char)) {
+          // ignore
+        } else if (this.buffer === '' && char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          this.buffer += char;
+          const keyword = this.buffer.toLowerCase();
+          if (keyword === 'public') {
+            this.buffer = '';
+            this.state = State.AFTER_DOCTYPE_PUBLIC_KEYWORD;
+          } else if (keyword === 'system') {
+            this.buffer = '';
+            this.state = State.AFTER_DOCTYPE_SYSTEM_KEYWORD;
+          } else if (!'public'.startsWith(keyword) && !'system'.startsWith(keyword)) {
+            this.error('invalid-character-sequence-after-doctype-name');
+            this.buffer = '';
+            this.current_token.forceQuirks = true;
+            this.state = State.BOGUS_DOCTYPE;
+            this.consume(char);
+          }
+        }
+        break;
+      case State.AFTER_DOCTYPE_PUBLIC_KEYWORD:
+      case State.AFTER_DOCTYPE_SYSTEM_KEYWORD: {
+        const isPublic = this.state === State.AFTER_DOCTYPE_PUBLIC_KEYWORD;
+        if (is_whitespace(char)) {
+          this.state = isPublic ? State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER : State.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+        } else if (char === '"' || char === "'") {
+          this.error(`missing-whitespace-after-doctype-${isPublic ? 'public' : 'system'}-keyword`);
+          this.state = isPublic ? State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER : State.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+          this.consume(char);
+        } else {
+          this.state = isPublic ? State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER : State.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER:
+      case State.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER: {
+        const isPublic = this.state === State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
+        const key = isPublic ? 'publicId' : 'systemId';
+        if (is_whitespace(char)) {
+          // ignore
+        } else if (char === '"') {
+          this.current_token[key] = '';
+          this.state = isPublic ? State.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED : State.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
+        } else if (char === "'") {
+          this.current_token[key] = '';
+          this.state = isPublic ? State.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED : State.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+        } else if (char === '>') {
+          this.error(`missing-doctype-${isPublic ? 'public' : 'system'}-identifier`);
+          this.current_token.forceQuirks = true;
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          this.error(`missing-quote-before-doctype-${isPublic ? 'public' : 'system'}-identifier`);
+          this.current_token.forceQuirks = true;
+          this.state = State.BOGUS_DOCTYPE;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED:
+      case State.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED:
+      case State.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED:
+      case State.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED: {
+        const isPublic = this.state === State.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED ||
+          this.state === State.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
+        const quote = this.state === State.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED ||
+          this.state === State.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED ? '"' : "'";
+        const key = isPublic ? 'publicId' : 'systemId';
+        if (char === quote) {
+          this.state = isPublic ? State.AFTER_DOCTYPE_PUBLIC_IDENTIFIER : State.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.current_token[key] += '�';
+        } else if (char === '>') {
+          this.error(`abrupt-doctype-${isPublic ? 'public' : 'system'}-identifier`);
+          this.current_token.forceQuirks = true;
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          this.current_token[key] += char;
+        }
+        break;
+      }
+      case State.AFTER_DOCTYPE_PUBLIC_IDENTIFIER:
+      case State.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS: {
+        const between = this.state === State.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
+        if (is_whitespace(char)) {
+          this.state = State.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (char === '"' || char === "'") {
+          if (!between) {
+            this.error('missing-whitespace-between-doctype-public-and-system-identifiers');
+          }
+          this.current_token.systemId = '';
+          this.state = char === '"' ? State.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED : State.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+        } else {
+          this.error('missing-quote-before-doctype-system-identifier');
+          this.current_token.forceQuirks = true;
+          this.state = State.BOGUS_DOCTYPE;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.AFTER_DOCTYPE_SYSTEM_IDENTIFIER:
+        if (is_whitespace(char)) {
+          // ignore
+        } else if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else {
+          // Unlike the other DOCTYPE errors, this one does not set the force-quirks flag.
+          this.error('unexpected-character-after-doctype-system-identifier');
+          this.state = State.BOGUS_DOCTYPE;
+          this.consume(char);
+        }
+        break;
+      case State.BOGUS_DOCTYPE:
+        if (char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+        }
+        break;
+      case State.CHARACTER_REFERENCE:
+        if (is_ascii_alphanumeric(char)) {
+          this.state = State.NAMED_CHARACTER_REFERENCE;
+          this.consume(char);
+        } else if (char === '#') {
+          this.temporary_buffer += char;
+          this.state = State.NUMERIC_CHARACTER_REFERENCE;
+        } else {
+          this.flush_character_reference(this.temporary_buffer);
+          this.state = this.return_state;
+          this.consume(char);
+        }
+        break;
+      case State.NAMED_CHARACTER_REFERENCE:
+        if (is_ascii_alphanumeric(char)) {
+          this.temporary_buffer += char;
+        } else if (!this.resolve_named_character_reference(char)) {
+          this.consume(char);
+        }
+        break;
+      case State.NUMERIC_CHARACTER_REFERENCE:
+        this.character_reference_code = 0;
+        if (char === 'x' || char === 'X') {
+          this.temporary_buffer += char;
+          this.state = State.HEXADECIMAL_CHARACTER_REFERENCE_START;
+        } else {
+          this.state = State.DECIMAL_CHARACTER_REFERENCE_START;
+          this.consume(char);
+        }
+        break;
+      case State.HEXADECIMAL_CHARACTER_REFERENCE_START:
+      case State.DECIMAL_CHARACTER_REFERENCE_START: {
+        const hex = this.state === State.HEXADECIMAL_CHARACTER_REFERENCE_START;
+        if (hex ? is_hex_digit(char) : /^[0-9]$/.test(char)) {
+          this.state = hex ? State.HEXADECIMAL_CHARACTER_REFERENCE : State.DECIMAL_CHARACTER_REFERENCE;
+          this.consume(char);
+        } else {
+          this.error('absence-of-digits-in-numeric-character-reference');
+          this.flush_character_reference(this.temporary_buffer);
+          this.state = this.return_state;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.HEXADECIMAL_CHARACTER_REFERENCE:
+      case State.DECIMAL_CHARACTER_REFERENCE: {
+        const hex = this.state === State.HEXADECIMAL_CHARACTER_REFERENCE;
+        if (hex ? is_hex_digit(char) : /^[0-9]$/.test(char)) {
+          // Clamp once out of range so very long references cannot overflow back into range.
+          const code = this.character_reference_code * (hex ? 16 : 10) + parseInt(char, 16);
+          this.character_reference_code = Math.min(code, 0x110000);
+        } else if (char === ';') {
+          this.finish_numeric_character_reference(this.index + 1);
+        } else {
+          this.error('missing-semicolon-after-character-reference');
+          this.finish_numeric_character_reference();
+          this.consume(char);
+        }
+        break;
+      }
+      case State.RCDATA:
+        if (char === '&') {
+          this.begin_character_reference();
+        } else if (char === '<') {
+          this.token_start = this.position();
+          this.state = State.RCDATA_LESS_THAN_SIGN;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.emit_characters('�');
+        } else {
+          this.emit_characters(char);
+        }
+        break;
+      case State.RAWTEXT:
+      case State.SCRIPT_DATA:
+        if (char === '<') {
+          this.token_start = this.position();
+          this.state = this.state === State.RAWTEXT ? State.RAWTEXT_LESS_THAN_SIGN : State.SCRIPT_DATA_LESS_THAN_SIGN;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.emit_characters('�');
+        } else {
+          this.emit_characters(char);
+        }
+        break;
+      case State.PLAINTEXT:
+        if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.emit_characters('�');
+        } else {
+          this.emit_characters(char);
+        }
+        break;
+      case State.RCDATA_LESS_THAN_SIGN:
+      case State.RAWTEXT_LESS_THAN_SIGN: {
+        const text_state = this.state === State.RCDATA_LESS_THAN_SIGN ? State.RCDATA : State.RAWTEXT;
+        if (char === '/') {
+          this.temporary_buffer = '';
+          this.state = text_state === State.RCDATA ? State.RCDATA_END_TAG_OPEN : State.RAWTEXT_END_TAG_OPEN;
+        } else {
+          this.emit_characters('<', this.span(this.token_start, this.index));
+          this.state = text_state;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.SCRIPT_DATA_LESS_THAN_SIGN:
+        if (char === '/') {
+          this.temporary_buffer = '';
+          this.state = State.SCRIPT_DATA_END_TAG_OPEN;
+        } else if (char === '!') {
+          this.emit_characters('<!', this.span(this.token_start));
+          this.state = State.SCRIPT_DATA_ESCAPE_START;
+        } else {
+          this.emit_characters('<', this.span(this.token_start, this.index));
+          this.state = State.SCRIPT_DATA;
+          this.consume(char);
+        }
+        break;
+      case State.RCDATA_END_TAG_OPEN:
+      case State.RAWTEXT_END_TAG_OPEN:
+      case State.SCRIPT_DATA_END_TAG_OPEN:
+      case State.SCRIPT_DATA_ESCAPED_END_TAG_OPEN: {
+        // Each "end tag open" state is directly followed by its "end tag name" state.
+        const name_state = this.state + 1;
+        if (/[a-zA-Z]/.test(char)) {
+          this.current_token = { type: 'end_tag', tag: '', attributes: {}, attributeSpans: {}, selfClosing: false };
+          this.is_end_tag = true;
+          this.state = name_state;
+          this.consume(char);
+        } else {
+          this.emit_characters('</', this.span(this.token_start, this.index));
+          this.state = TEXT_END_TAG_NAME_STATES[name_state];
+          this.consume(char);
+        }
+        break;
+      }
+      case State.RCDATA_END_TAG_NAME:
+      case State.RAWTEXT_END_TAG_NAME:
+      case State.SCRIPT_DATA_END_TAG_NAME:
+      case State.SCRIPT_DATA_ESCAPED_END_TAG_NAME: {
+        const appropriate = this.current_token.tag === this.last_start_tag;
+        if (appropriate && is_whitespace(char)) {
+          this.state = State.BEFORE_ATTRIBUTE_NAME;
+        } else if (appropriate && char === '/') {
+          this.state = State.SELF_CLOSING_START_TAG;
+        } else if (appropriate && char === '>') {
+          this.state = State.DATA;
+          this.emit_current_token();
+        } else if (/[a-zA-Z]/.test(char)) {
+          this.current_token.tag += char.toLowerCase();
+          this.temporary_buffer += char;
+        } else {
+          // Not the end of the element: what looked like an end tag is text.
+          this.emit_characters('</' + this.temporary_buffer, this.span(this.token_start, this.index));
+          this.current_token = null;
+          this.state = TEXT_END_TAG_NAME_STATES[this.state];
+          this.consume(char);
+        }
+        break;
+      }
+      case State.SCRIPT_DATA_ESCAPE_START:
+      case State.SCRIPT_DATA_ESCAPE_START_DASH:
+        if (char === '-') {
+          this.emit_characters('-');
+          this.state = this.state === State.SCRIPT_DATA_ESCAPE_START
+            ? State.SCRIPT_DATA_ESCAPE_START_DASH
+            : State.SCRIPT_DATA_ESCAPED_DASH_DASH;
+        } else {
+          this.state = State.SCRIPT_DATA;
+          this.consume(char);
+        }
+        break;
+      case State.SCRIPT_DATA_ESCAPED:
+      case State.SCRIPT_DATA_ESCAPED_DASH:
+      case State.SCRIPT_DATA_ESCAPED_DASH_DASH:
+        if (char === '-') {
+          this.emit_characters('-');
+          if (this.state === State.SCRIPT_DATA_ESCAPED) {
+            this.state = State.SCRIPT_DATA_ESCAPED_DASH;
+          } else {
+            this.state = State.SCRIPT_DATA_ESCAPED_DASH_DASH;
+          }
+        } else if (char === '<') {
+          this.token_start = this.position();
+          this.state = State.SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN;
+        } else if (char === '>' && this.state === State.SCRIPT_DATA_ESCAPED_DASH_DASH) {
+          this.emit_characters('>');
+          this.state = State.SCRIPT_DATA;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.emit_characters('�');
+          this.state = State.SCRIPT_DATA_ESCAPED;
+        } else {
+          this.emit_characters(char);
+          this.state = State.SCRIPT_DATA_ESCAPED;
+        }
+        break;
+      case State.SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN:
+        if (char === '/') {
+          this.temporary_buffer = '';
+          this.state = State.SCRIPT_DATA_ESCAPED_END_TAG_OPEN;
+        } else if (/[a-zA-Z]/.test(char)) {
+          this.temporary_buffer = '';
+          this.emit_characters('<', this.span(this.token_start, this.index));
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPE_START;
+          this.consume(char);
+        } else {
+          this.emit_characters('<', this.span(this.token_start, this.index));
+          this.state = State.SCRIPT_DATA_ESCAPED;
+          this.consume(char);
         }
         break;
+      case State.SCRIPT_DATA_DOUBLE_ESCAPE_START:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPE_END: {
+        // "<script" inside "<!--" starts a double-escaped section, and "</script" ends it.
+        const start = this.state === State.SCRIPT_DATA_DOUBLE_ESCAPE_START;
+        if (is_whitespace(char) || char === '/' || char === '>') {
+          const is_script = this.temporary_buffer === 'script';
+          if (start) {
+            this.state = is_script ? State.SCRIPT_DATA_DOUBLE_ESCAPED : State.SCRIPT_DATA_ESCAPED;
+          } else {
+            this.state = is_script ? State.SCRIPT_DATA_ESCAPED : State.SCRIPT_DATA_DOUBLE_ESCAPED;
+          }
+          this.emit_characters(char);
+        } else if (/[a-zA-Z]/.test(char)) {
+          this.temporary_buffer += char.toLowerCase();
+          this.emit_characters(char);
+        } else {
+          this.state = start ? State.SCRIPT_DATA_ESCAPED : State.SCRIPT_DATA_DOUBLE_ESCAPED;
+          this.consume(char);
+        }
+        break;
+      }
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH:
+        if (char === '-') {
+          this.emit_characters('-');
+          if (this.state === State.SCRIPT_DATA_DOUBLE_ESCAPED) {
+            this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH;
+          } else {
+            this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH;
+          }
+        } else if (char === '<') {
+          this.emit_characters('<');
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN;
+        } else if (char === '>' && this.state === State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH) {
+          this.emit_characters('>');
+          this.state = State.SCRIPT_DATA;
+        } else if (char === '\0') {
+          this.error('unexpected-null-character');
+          this.emit_characters('�');
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED;
+        } else {
+          this.emit_characters(char);
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED;
+        }
+        break;
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN:
+        if (char === '/') {
+          this.temporary_buffer = '';
+          this.emit_characters('/');
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPE_END;
+        } else {
+          this.state = State.SCRIPT_DATA_DOUBLE_ESCAPED;
+          this.consume(char);
+        }
+        break;
+      case State.CDATA_SECTION:
+        if (char === ']') {
+          this.state = State.CDATA_SECTION_BRACKET;
+        } else {
+          this.emit_characters(char);
+        }
+        break;
+      case State.CDATA_SECTION_BRACKET:
+        if (char === ']') {
+          this.state = State.CDATA_SECTION_END;
+        } else {
+          this.emit_characters(']', this.span(this.position(-1), this.index));
+          this.state = State.CDATA_SECTION;
+          this.consume(char);
+        }
+        break;
+      case State.CDATA_SECTION_END:
+        if (char === ']') {
+          this.emit_characters(']', this.span(this.position(-2), this.index - 1));
+        } else if (char === '>') {
+          this.state = State.DATA;
+        } else {
+          this.emit_characters(']]', this.span(this.position(-2), this.index));
+          this.state = State.CDATA_SECTION;
+          this.consume(char);
+        }
+        break;
+      default:
+        throw new Error(`Unknown tokenizer state: ${this.state}`);
+    }
+  }
+
+  /**
+   * Handles the end of the input in the current state. Unfinished comments, DOCTYPEs and text are emitted
+   * with the matching `eof-*` error; an unfinished tag is dropped.
+   */
+  consume_eof() {
+    switch (this.state) {
+      case State.TAG_OPEN:
+      case State.END_TAG_OPEN:
+        this.error('eof-before-tag-name');
+        this.emit_characters(this.state === State.TAG_OPEN ? '<' : '</', this.span(this.token_start, this.index));
+        break;
+      case State.TAG_NAME:
+      case State.BEFORE_ATTRIBUTE_NAME:
+      case State.ATTRIBUTE_NAME:
+      case State.AFTER_ATTRIBUTE_NAME:
+      case State.BEFORE_ATTRIBUTE_VALUE:
+      case State.ATTRIBUTE_VALUE_DOUBLE_QUOTED:
+      case State.ATTRIBUTE_VALUE_SINGLE_QUOTED:
+      case State.ATTRIBUTE_VALUE_UNQUOTED:
+      case State.AFTER_ATTRIBUTE_VALUE_QUOTED:
+      case State.SELF_CLOSING_START_TAG:
+        this.error('eof-in-tag');
+        this.current_token = null;
+        break;
+      case State.MARKUP_DECLARATION_OPEN:
+        // What was read of "--", "DOCTYPE" or "[CDATA[" becomes a bogus comment.
+        this.error('incorrectly-opened-comment');
+        this.emit(['Comment', this.buffer], this.span(this.token_start, this.index));
+        break;
+      case State.COMMENT_START:
+      case State.COMMENT_START_DASH:
+      case State.COMMENT:
+      case State.COMMENT_LESS_THAN_SIGN:
+      case State.COMMENT_LESS_THAN_SIGN_BANG:
+      case State.COMMENT_LESS_THAN_SIGN_BANG_DASH:
+      case State.COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH:
+      case State.COMMENT_END_DASH:
+      case State.COMMENT_END:
+      case State.COMMENT_END_BANG:
+        // Dashes read as the possible start of the closing "-->" were never added to the comment.
+        this.error('eof-in-comment');
+        this.emit(['Comment', this.buffer], this.span(this.token_start, this.index));
+        break;
+      case State.BOGUS_COMMENT:
+        this.emit(['Comment', this.buffer], this.span(this.token_start, this.index));
+        break;
+      case State.DOCTYPE:
+      case State.BEFORE_DOCTYPE_NAME:
+        this.current_token = this.create_doctype_token();
+        // fall through
+      case State.DOCTYPE_NAME:
+      case State.AFTER_DOCTYPE_NAME:
+      case State.AFTER_DOCTYPE_PUBLIC_KEYWORD:
+      case State.AFTER_DOCTYPE_SYSTEM_KEYWORD:
+      case State.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER:
+      case State.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER:
+      case State.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED:
+      case State.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED:
+      case State.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED:
+      case State.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED:
+      case State.AFTER_DOCTYPE_PUBLIC_IDENTIFIER:
+      case State.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS:
+      case State.AFTER_DOCTYPE_SYSTEM_IDENTIFIER:
+        // Part of a "PUBLIC" or "SYSTEM" keyword is not the keyword.
+        this.error(this.buffer ? 'invalid-character-sequence-after-doctype-name' : 'eof-in-doctype');
+        this.current_token.forceQuirks = true;
+        this.emit_current_token(this.index);
+        break;
+      case State.BOGUS_DOCTYPE:
+        this.emit_current_token(this.index);
+        break;
+      case State.CHARACTER_REFERENCE:
+        this.flush_character_reference(this.temporary_buffer);
+        this.state = this.return_state;
+        this.consume_eof();
+        break;
+      case State.NAMED_CHARACTER_REFERENCE:
+        this.resolve_named_character_reference('');
+        this.consume_eof();
+        break;
+      case State.NUMERIC_CHARACTER_REFERENCE:
+      case State.HEXADECIMAL_CHARACTER_REFERENCE_START:
+      case State.DECIMAL_CHARACTER_REFERENCE_START:
+        this.error('absence-of-digits-in-numeric-character-reference');
+        this.flush_character_reference(this.temporary_buffer);
+        this.state = this.return_state;
+        this.consume_eof();
+        break;
+      case State.HEXADECIMAL_CHARACTER_REFERENCE:
+      case State.DECIMAL_CHARACTER_REFERENCE:
+        this.error('missing-semicolon-after-character-reference');
+        this.finish_numeric_character_reference();
+        this.consume_eof();
+        break;
+      case State.RCDATA_LESS_THAN_SIGN:
+      case State.RAWTEXT_LESS_THAN_SIGN:
+      case State.SCRIPT_DATA_LESS_THAN_SIGN:
+      case State.SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN:
+        // Each "less-than sign" state is directly followed by its "end tag open" and "end tag name" states.
+        this.emit_characters('<', this.span(this.token_start, this.index));
+        this.state = TEXT_END_TAG_NAME_STATES[this.state + 2];
+        this.consume_eof();
+        break;
+      case State.RCDATA_END_TAG_OPEN:
+      case State.RAWTEXT_END_TAG_OPEN:
+      case State.SCRIPT_DATA_END_TAG_OPEN:
+      case State.SCRIPT_DATA_ESCAPED_END_TAG_OPEN:
+        this.emit_characters('</', this.span(this.token_start, this.index));
+        this.state = TEXT_END_TAG_NAME_STATES[this.state + 1];
+        this.consume_eof();
+        break;
+      case State.RCDATA_END_TAG_NAME:
+      case State.RAWTEXT_END_TAG_NAME:
+      case State.SCRIPT_DATA_END_TAG_NAME:
+      case State.SCRIPT_DATA_ESCAPED_END_TAG_NAME:
+        this.emit_characters('</' + this.temporary_buffer, this.span(this.token_start, this.index));
+        this.current_token = null;
+        this.state = TEXT_END_TAG_NAME_STATES[this.state];
+        this.consume_eof();
+        break;
+      case State.SCRIPT_DATA_ESCAPED:
+      case State.SCRIPT_DATA_ESCAPED_DASH:
+      case State.SCRIPT_DATA_ESCAPED_DASH_DASH:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPE_START:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN:
+      case State.SCRIPT_DATA_DOUBLE_ESCAPE_END:
+        this.error('eof-in-script-html-comment-like-text');
+        break;
+      case State.CDATA_SECTION:
+        this.error('eof-in-cdata');
+        break;
+      case State.CDATA_SECTION_BRACKET:
+        this.emit_characters(']', this.span(this.position(-1), this.index));
+        this.error('eof-in-cdata');
+        break;
+      case State.CDATA_SECTION_END:
+        this.emit_characters(']]', this.span(this.position(-2), this.index));
+        this.error('eof-in-cdata');
+        break;
       default:
-        this.error("Unknown state");
+        // The text states, where the input may simply end.
         break;
     }
   }
 
-  emit_current_token() {
+  /**
+   * Starts reading a character reference at an `&`, remembering the state to return to.
+   */
+  begin_character_reference() {
+    this.reference_start = this.position();
+    this.return_state = this.state;
+    this.temporary_buffer = '&';
+    this.state = State.CHARACTER_REFERENCE;
+  }
+
+  /**
+   * Whether the character reference being read is part of an attribute value.
+   * @returns {boolean}
+   */
+  is_in_attribute() {
+    return ATTRIBUTE_VALUE_STATES.has(this.return_state);
+  }
+
+  /**
+   * Appends the result of a character reference to the attribute value or emits it as text,
+   * depending on where the reference appeared.
+   * @param {string} text - The decoded characters, or the raw reference when it was not decoded.
+   * @param {number} [end] - The index just past the reference. By default the reference ended before the character
+   * being consumed.
+   */
+  flush_character_reference(text, end = this.index) {
+    if (this.is_in_attribute()) {
+      this.current_attribute_value += text;
+    } else {
+      this.emit_characters(text, this.span(this.reference_start, end));
+    }
+    this.temporary_buffer = '';
+  }
+
+  /**
+   * Resolves the name collected in the temporary buffer against the named character reference table,
+   * once a character that cannot be part of a name is seen. The longest matching name wins.
+   * @param {string} char - The character that ended the name, or `''` at the end of the input.
+   * @returns {boolean} Whether the character was part of the reference: the `;` of a match. If not, the caller
+   * consumes it in the state the reference appeared in.
+   */
+  resolve_named_character_reference(char) {
+    const name = this.temporary_buffer.slice(1);
+    this.state = this.return_state;
+
+    if (char === ';' && Object.hasOwn(NAMED_CHARACTER_REFERENCES, name + ';')) {
+      this.flush_character_reference(NAMED_CHARACTER_REFERENCES[name + ';'], this.index + 1);
+      return true;
+    }
+
+    // Only the legacy names can match without a semicolon.
+    let length = name.length;
+    while (length > 0 && !Object.hasOwn(NAMED_CHARACTER_REFERENCES, name.slice(0, length))) {
+      length--;
+    }
+
+    if (length === 0) {
+      if (char === ';') {
+        this.error('unknown-named-character-reference');
+      }
+      this.flush_character_reference(this.temporary_buffer);
+    } else {
+      const next = length < name.length ? name[length] : char;
+      if (this.is_in_attribute() && (next === '=' || is_ascii_alphanumeric(next))) {
+        // Historical reasons: "&copy=" in a URL query string is left alone.
+        this.flush_character_reference(this.temporary_buffer);
+      } else {
+        this.error('missing-semicolon-after-character-reference');
+        this.flush_character_reference(NAMED_CHARACTER_REFERENCES[name.slice(0, length)] + name.slice(length));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Turns the collected numeric character reference code into a character,
+   * replacing code points that may not appear in a document.
+   * @param {number} [end] - The index just past the reference, by default that of the character being consumed.
+   */
+  finish_numeric_character_reference(end = this.index) {
+    let code = this.character_reference_code;
+    if (code === 0) {
+      this.error('null-character-reference');
+      code = 0xfffd;
+    } else if (code > 0x10ffff) {
+      this.error('character-reference-outside-unicode-range');
+      code = 0xfffd;
+    } else if (code >= 0xd800 && code <= 0xdfff) {
+      this.error('surrogate-character-reference');
+      code = 0xfffd;
+    } else if ((code >= 0xfdd0 && code <= 0xfdef) || (code & 0xfffe) === 0xfffe) {
+      this.error('noncharacter-character-reference');
+    } else if (code === 0x0d || ((code <= 0x1f || (code >= 0x7f && code <= 0x9f)) && !is_whitespace(String.fromCharCode(code)))) {
+      this.error('control-character-reference');
+      if (Object.hasOwn(NUMERIC_REPLACEMENTS, code)) {
+        code = NUMERIC_REPLACEMENTS[code];
+      }
+    }
+    this.state = this.return_state;
+    this.flush_character_reference(String.fromCodePoint(code), end);
+  }
+
+  /**
+   * Creates a new DOCTYPE token whose name and identifiers are missing until the tokenizer finds them.
+   * @returns {{type: string, name: string|null, publicId: string|null, systemId: string|null, forceQuirks: boolean}}
+   */
+  create_doctype_token() {
+    return { type: 'doctype', name: null, publicId: null, systemId: null, forceQuirks: false };
+  }
+
+  /**
+   * Starts a new attribute on the current tag token, after storing the previous one.
+   * @param {string} name - The first characters of the attribute name.
+   */
+  start_attribute(name) {
+    this.commit_attribute();
+    this.attribute_start = this.position();
+    this.attribute_end = this.index + name.length;
+    this.current_attribute_name = name;
+    this.current_attribute_value = '';
+  }
+
+  /**
+   * Stores the attribute being read on the current tag token. When a tag repeats an attribute,
+   * the first occurrence wins.
+   */
+  commit_attribute() {
+    if (this.current_attribute_name === '') {
+      return;
+    }
+    if (Object.hasOwn(this.current_token.attributes, this.current_attribute_name)) {
+      this.error('duplicate-attribute');
+    } else {
+      this.current_token.attributes[this.current_attribute_name] = this.current_attribute_value;
+      this.current_token.attributeSpans[this.current_attribute_name] = this.span(this.attribute_start, this.attribute_end);
+    }
+    this.current_attribute_name = '';
+    this.current_attribute_value = '';
+  }
+
+  /**
+   * Emits the comment being read, which ends with the character being consumed.
+   */
+  emit_comment() {
+    this.emit(['Comment', this.buffer], this.span(this.token_start));
+    this.buffer = '';
+    this.state = State.DATA;
+  }
+
+  /**
+   * Emits the tag or DOCTYPE token being read.
+   * @param {number} [end] - The index just past the token, by default that of the character being consumed.
+   */
+  emit_current_token(end = this.index + 1) {
     if(!this.current_token) return;
-    if (this.current_token.type === 'start_tag') {
-      this.emit(['StartTag', this.current_token.tag, this.current_token.attributes]);
+    if (this.current_token.type === 'doctype') {
+      const { name, publicId, systemId, forceQuirks } = this.current_token;
+      this.emit(['DOCTYPE', name, publicId, systemId, forceQuirks], this.span(this.token_start, end));
+    } else if (this.current_token.type === 'start_tag') {
+      this.commit_attribute();
+      this.last_start_tag = this.current_token.tag;
+      const { tag, attributes, attributeSpans, selfClosing } = this.current_token;
+      this.emit(['StartTag', tag, attributes, selfClosing], { ...this.span(this.token_start), attributes: attributeSpans });
     } else {
-      this.emit(['EndTag', this.current_token.tag]);
+      this.commit_attribute();
+      if (Object.keys(this.current_token.attributes).length > 0) {
+        this.error('end-tag-with-attributes');
+      }
+      if (this.current_token.selfClosing) {
+        this.error('end-tag-with-trailing-solidus');
+      }
+      this.emit(['EndTag', this.current_token.tag], this.span(this.token_start));
     }
     this.current_token = null;
   }
 
-  error(message) {
-    const error = new ParseError(message, this.line, this.column, this.index);
+  /**
+   * Reports a parse error at the current position.
+   * @param {string} code - The error's code, a key of `ERROR_CODES`.
+   */
+  error(code) {
+    this.report(ParseError.fromCode(code, this.line, this.column, this.source_index(this.index)));
+  }
+
+  /**
+   * Reports a parse error, found here or by the tree builder: throws it in strict mode, collects it if asked to,
+   * and hands it to the `onError` callback, which may stop parsing.
+   * @param {ParseError} error
+   */
+  report(error) {
     if (this.options.strict) {
       throw error;
     }
     if (this.options.collectErrors) {
       this.errors.push(error);
     }
+    if (this.options.onError && this.options.onError(error) === false) {
+      this.stop();
+    }
   }
 }
\ No newline at end of file
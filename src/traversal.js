@@ -0,0 +1,300 @@
+// src/traversal.js
+
+/**
+ * The constants of a tree walker's `whatToShow` mask and of the results of its filter, as in the DOM.
+ * @type {Readonly<Object<string, number>>}
+ */
+export const NodeFilter = Object.freeze({
+  FILTER_ACCEPT: 1,
+  FILTER_REJECT: 2,
+  FILTER_SKIP: 3,
+  SHOW_ALL: 0xffffffff,
+  SHOW_ELEMENT: 0x1,
+  SHOW_TEXT: 0x4,
+  SHOW_COMMENT: 0x80,
+  SHOW_DOCUMENT: 0x100,
+  SHOW_DOCUMENT_TYPE: 0x200,
+  SHOW_DOCUMENT_FRAGMENT: 0x400,
+});
+
+/**
+ * The `whatToShow` bit of each node type.
+ * @type {Object<string, number>}
+ */
+const SHOW_BITS = {
+  'element': NodeFilter.SHOW_ELEMENT,
+  'text': NodeFilter.SHOW_TEXT,
+  'comment': NodeFilter.SHOW_COMMENT,
+  'document': NodeFilter.SHOW_DOCUMENT,
+  'doctype': NodeFilter.SHOW_DOCUMENT_TYPE,
+  'document-fragment': NodeFilter.SHOW_DOCUMENT_FRAGMENT,
+};
+
+/**
+ * @class TreeWalker
+ * @description Moves through the nodes under a root, seeing only the nodes its `whatToShow` mask and filter
+ * accept, like the DOM's TreeWalker. A node the filter skips is passed over but its children are still seen;
+ * a node it rejects is passed over together with its descendants.
+ */
+export class TreeWalker {
+  /**
+   * @type {import('./nodes.js').Node}
+   * @description The node the walker stays within.
+   */
+  root;
+
+  /**
+   * @type {number}
+   * @description The `NodeFilter.SHOW_*` bits of the node types the walker sees.
+   */
+  whatToShow;
+
+  /**
+   * @type {function(import('./nodes.js').Node): number|{acceptNode: function(import('./nodes.js').Node): number}|null}
+   * @description Decides, for each node of a type the walker sees, whether to accept, skip or reject it.
+   */
+  filter;
+
+  /**
+   * @type {import('./nodes.js').Node}
+   * @description The node the walker is at. It may be set to any node.
+   */
+  currentNode;
+
+  /**
+   * Creates an instance of TreeWalker.
+   * @param {import('./nodes.js').Node} root
+   * @param {number} [whatToShow=NodeFilter.SHOW_ALL]
+   * @param {function(import('./nodes.js').Node): number|{acceptNode: function(import('./nodes.js').Node): number}|null} [filter=null]
+   */
+  constructor(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    this.root = root;
+    this.whatToShow = whatToShow;
+    this.filter = filter;
+    this.currentNode = root;
+  }
+
+  /**
+   * Moves to the closest ancestor of the current node, within the root, that the walker accepts.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  parentNode() {
+    let node = this.currentNode;
+    while (node && node !== this.root) {
+      node = node.parent;
+      if (node && this.acceptNode(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Moves to the first visible child of the current node.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  firstChild() {
+    return this.traverseChildren(true);
+  }
+
+  /**
+   * Moves to the last visible child of the current node.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  lastChild() {
+    return this.traverseChildren(false);
+  }
+
+  /**
+   * Moves to the next visible sibling of the current node.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  nextSibling() {
+    return this.traverseSiblings(true);
+  }
+
+  /**
+   * Moves to the previous visible sibling of the current node.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  previousSibling() {
+    return this.traverseSiblings(false);
+  }
+
+  /**
+   * Moves to the visible node before the current one in document order, within the root.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  previousNode() {
+    let node = this.currentNode;
+    while (node !== this.root) {
+      let sibling = node.previousSibling;
+      while (sibling) {
+        node = sibling;
+        let result = this.acceptNode(node);
+        while (result !== NodeFilter.FILTER_REJECT && node.children.length > 0) {
+          node = node.lastChild;
+          result = this.acceptNode(node);
+        }
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        sibling = node.previousSibling;
+      }
+      if (node === this.root || !node.parent) {
+        return null;
+      }
+      node = node.parent;
+      if (this.acceptNode(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Moves to the visible node after the current one in document order, within the root.
+   * @returns {import('./nodes.js').Node|null} The new current node, or `null` if there is none.
+   */
+  nextNode() {
+    let node = this.currentNode;
+    let result = NodeFilter.FILTER_ACCEPT;
+    for (;;) {
+      while (result !== NodeFilter.FILTER_REJECT && node.children.length > 0) {
+        node = node.firstChild;
+        result = this.acceptNode(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+      }
+      let sibling = null;
+      for (let temporary = node; temporary && !sibling; temporary = temporary.parent) {
+        if (temporary === this.root) {
+          return null;
+        }
+        sibling = temporary.nextSibling;
+      }
+      if (!sibling) {
+        return null;
+      }
+      node = sibling;
+      result = this.acceptNode(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Yields the visible nodes after the current one in document order, moving the walker to each in turn.
+   * @returns {Generator<import('./nodes.js').Node>}
+   */
+  *[Symbol.iterator]() {
+    for (let node = this.nextNode(); node; node = this.nextNode()) {
+      yield node;
+    }
+  }
+
+  /**
+   * Checks a node against the walker's mask and filter.
+   * @param {import('./nodes.js').Node} node
+   * @returns {number} `NodeFilter.FILTER_ACCEPT`, `FILTER_SKIP` or `FILTER_REJECT`.
+   */
+  acceptNode(node) {
+    if (!(this.whatToShow & SHOW_BITS[node.type])) {
+      return NodeFilter.FILTER_SKIP;
+    }
+    if (!this.filter) {
+      return NodeFilter.FILTER_ACCEPT;
+    }
+    return typeof this.filter === 'function' ? this.filter(node) : this.filter.acceptNode(node);
+  }
+
+  /**
+   * Moves to the first or last visible child of the current node, looking into the children of skipped nodes.
+   * @param {boolean} first - Whether to look for the first child rather than the last.
+   * @returns {import('./nodes.js').Node|null}
+   */
+  traverseChildren(first) {
+    let node = first ? this.currentNode.firstChild : this.currentNode.lastChild;
+    while (node) {
+      const result = this.acceptNode(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+      if (result === NodeFilter.FILTER_SKIP) {
+        const child = first ? node.firstChild : node.lastChild;
+        if (child) {
+          node = child;
+          continue;
+        }
+      }
+      for (;;) {
+        const sibling = first ? node.nextSibling : node.previousSibling;
+        if (sibling) {
+          node = sibling;
+          break;
+        }
+        const parent = node.parent;
+        if (!parent || parent === this.root || parent === this.currentNode) {
+          return null;
+        }
+        node = parent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Moves to the next or previous visible sibling of the current node, looking into the children of skipped
+   * siblings and out of skipped parents.
+   * @param {boolean} next - Whether to look for the next sibling rather than the previous.
+   * @returns {import('./nodes.js').Node|null}
+   */
+  traverseSiblings(next) {
+    let node = this.currentNode;
+    if (node === this.root) {
+      return null;
+    }
+    for (;;) {
+      let sibling = next ? node.nextSibling : node.previousSibling;
+      while (sibling) {
+        node = sibling;
+        const result = this.acceptNode(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        sibling = next ? node.firstChild : node.lastChild;
+        if (result === NodeFilter.FILTER_REJECT || !sibling) {
+          sibling = next ? node.nextSibling : node.previousSibling;
+        }
+      }
+      node = node.parent;
+      if (!node || node === this.root || this.acceptNode(node) === NodeFilter.FILTER_ACCEPT) {
+        return null;
+      }
+    }
+  }
+}
+
+/**
+ * Creates a tree walker over the nodes under a root.
+ *
+ * @param {import('./nodes.js').Node} root The node to walk under. The walker starts at it.
+ * @param {number} [whatToShow=NodeFilter.SHOW_ALL] The node types to see, as `NodeFilter.SHOW_*` bits combined
+ *   with `|`, e.g. `NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT`.
+ * @param {function(import('./nodes.js').Node): number|{acceptNode: function(import('./nodes.js').Node): number}|null} [filter=null]
+ *   Called with each node of a type the walker sees. It returns `NodeFilter.FILTER_ACCEPT` to see the node,
+ *   `FILTER_SKIP` to pass over it but not its children, or `FILTER_REJECT` to pass over it and its descendants.
+ * @returns {TreeWalker}
+ */
+export function createTreeWalker(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+  return new TreeWalker(root, whatToShow, filter);
+}
@@ -1,9 +1,457 @@
 // src/tree-builder.js
-import { DocumentNode, ElementNode, TextNode, CommentNode } from './nodes.js';
+import { DocumentNode, DocumentFragmentNode, ElementNode, TextNode, CommentNode, DoctypeNode } from './nodes.js';
+import { State, TEXT_ELEMENT_STATES } from './tokenizer.js';
+import { ParseError } from './errors.js';
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Public identifier prefixes that put the document into quirks mode.
+ * @type {Array<string>}
+ */
+const QUIRKS_PUBLIC_ID_PREFIXES = [
+  '+//silmaril//dtd html pro v0r11 19970101//',
+  '-//as//dtd html 3.0 aswedit + extensions//',
+  '-//advasoft ltd//dtd html 3.0 aswedit + extensions//',
+  '-//ietf//dtd html 2.0 level 1//',
+  '-//ietf//dtd html 2.0 level 2//',
+  '-//ietf//dtd html 2.0 strict level 1//',
+  '-//ietf//dtd html 2.0 strict level 2//',
+  '-//ietf//dtd html 2.0 strict//',
+  '-//ietf//dtd html 2.0//',
+  '-//ietf//dtd html 2.1e//',
+  '-//ietf//dtd html 3.0//',
+  '-//ietf//dtd html 3.2 final//',
+  '-//ietf//dtd html 3.2//',
+  '-//ietf//dtd html 3//',
+  '-//ietf//dtd html level 0//',
+  '-//ietf//dtd html level 1//',
+  '-//ietf//dtd html level 2//',
+  '-//ietf//dtd html level 3//',
+  '-//ietf//dtd html strict level 0//',
+  '-//ietf//dtd html strict level 1//',
+  '-//ietf//dtd html strict level 2//',
+  '-//ietf//dtd html strict level 3//',
+  '-//ietf//dtd html strict//',
+  '-//ietf//dtd html//',
+  '-//metrius//dtd metrius presentational//',
+  '-//microsoft//dtd internet explorer 2.0 html strict//',
+  '-//microsoft//dtd internet explorer 2.0 html//',
+  '-//microsoft//dtd internet explorer 2.0 tables//',
+  '-//microsoft//dtd internet explorer 3.0 html strict//',
+  '-//microsoft//dtd internet explorer 3.0 html//',
+  '-//microsoft//dtd internet explorer 3.0 tables//',
+  '-//netscape comm. corp.//dtd html//',
+  '-//netscape comm. corp.//dtd strict html//',
+  "-//o'reilly and associates//dtd html 2.0//",
+  "-//o'reilly and associates//dtd html extended 1.0//",
+  "-//o'reilly and associates//dtd html extended relaxed 1.0//",
+  '-//sq//dtd html 2.0 hotmetal + extensions//',
+  '-//softquad software//dtd hotmetal pro 6.0::19990601::extensions to html 4.0//',
+  '-//softquad//dtd hotmetal pro 4.0::19971010::extensions to html 4.0//',
+  '-//spyglass//dtd html 2.0 extended//',
+  '-//sun microsystems corp.//dtd hotjava html//',
+  '-//sun microsystems corp.//dtd hotjava strict html//',
+  '-//w3c//dtd html 3 1995-03-24//',
+  '-//w3c//dtd html 3.2 draft//',
+  '-//w3c//dtd html 3.2 final//',
+  '-//w3c//dtd html 3.2//',
+  '-//w3c//dtd html 3.2s draft//',
+  '-//w3c//dtd html 4.0 frameset//',
+  '-//w3c//dtd html 4.0 transitional//',
+  '-//w3c//dtd html experimental 19960712//',
+  '-//w3c//dtd html experimental 970421//',
+  '-//w3c//dtd w3 html//',
+  '-//w3o//dtd w3 html 3.0//',
+  '-//webtechs//dtd mozilla html 2.0//',
+  '-//webtechs//dtd mozilla html//',
+];
+
+/**
+ * Public identifiers that put the document into quirks mode when matched exactly.
+ * @type {Array<string>}
+ */
+const QUIRKS_PUBLIC_IDS = ['-//w3o//dtd w3 html strict 3.0//en//', '-/w3c/dtd html 4.0 transitional/en', 'html'];
+
+/**
+ * Public identifier prefixes that put the document into quirks mode when the system identifier is missing,
+ * and into limited-quirks mode otherwise.
+ * @type {Array<string>}
+ */
+const HTML4_PUBLIC_ID_PREFIXES = ['-//w3c//dtd html 4.01 frameset//', '-//w3c//dtd html 4.01 transitional//'];
+
+/**
+ * Public identifier prefixes that put the document into limited-quirks mode.
+ * @type {Array<string>}
+ */
+const LIMITED_QUIRKS_PUBLIC_ID_PREFIXES = ['-//w3c//dtd xhtml 1.0 frameset//', '-//w3c//dtd xhtml 1.0 transitional//'];
+
+/**
+ * Determines the document mode implied by a DOCTYPE token.
+ * @param {string|null} name - The DOCTYPE name.
+ * @param {string|null} publicId - The public identifier.
+ * @param {string|null} systemId - The system identifier.
+ * @param {boolean} forceQuirks - The token's force-quirks flag.
+ * @returns {string} 'quirks', 'limited-quirks' or 'no-quirks'.
+ */
+function doctype_mode(name, publicId, systemId, forceQuirks) {
+  const pub = publicId === null ? null : publicId.toLowerCase();
+  const sys = systemId === null ? null : systemId.toLowerCase();
+  if (
+    forceQuirks ||
+    name !== 'html' ||
+    (pub !== null && QUIRKS_PUBLIC_IDS.includes(pub)) ||
+    sys === 'http://www.ibm.com/data/dtd/v11/ibmxhtml1-transitional.dtd' ||
+    (pub !== null && QUIRKS_PUBLIC_ID_PREFIXES.some(prefix => pub.startsWith(prefix))) ||
+    (pub !== null && sys === null && HTML4_PUBLIC_ID_PREFIXES.some(prefix => pub.startsWith(prefix)))
+  ) {
+    return 'quirks';
+  }
+  if (
+    pub !== null &&
+    (LIMITED_QUIRKS_PUBLIC_ID_PREFIXES.some(prefix => pub.startsWith(prefix)) ||
+      (sys !== null && HTML4_PUBLIC_ID_PREFIXES.some(prefix => pub.startsWith(prefix))))
+  ) {
+    return 'limited-quirks';
+  }
+  return 'no-quirks';
+}
+
+const InsertionMode = {
+  INITIAL: 1,
+  BEFORE_HTML: 2,
+  BEFORE_HEAD: 3,
+  IN_HEAD: 4,
+  IN_HEAD_NOSCRIPT: 5,
+  AFTER_HEAD: 6,
+  IN_BODY: 7,
+  TEXT: 8,
+  IN_TABLE: 9,
+  IN_TABLE_TEXT: 10,
+  IN_CAPTION: 11,
+  IN_COLUMN_GROUP: 12,
+  IN_TABLE_BODY: 13,
+  IN_ROW: 14,
+  IN_CELL: 15,
+  IN_SELECT: 16,
+  IN_SELECT_IN_TABLE: 17,
+  IN_TEMPLATE: 18,
+  AFTER_BODY: 19,
+  IN_FRAMESET: 20,
+  AFTER_FRAMESET: 21,
+  AFTER_AFTER_BODY: 22,
+  AFTER_AFTER_FRAMESET: 23,
+};
+
+/**
+ * Elements in the "special" parsing category.
+ * @type {Set<string>}
+ */
+const SPECIAL_ELEMENTS = new Set([
+  'address', 'applet', 'area', 'article', 'aside', 'base', 'basefont', 'bgsound', 'blockquote', 'body', 'br',
+  'button', 'caption', 'center', 'col', 'colgroup', 'dd', 'details', 'dir', 'div', 'dl', 'dt', 'embed',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'head', 'header', 'hgroup', 'hr', 'html', 'iframe', 'img', 'input', 'keygen', 'li', 'link', 'listing', 'main',
+  'marquee', 'menu', 'meta', 'nav', 'noembed', 'noframes', 'noscript', 'object', 'ol', 'p', 'param', 'plaintext',
+  'pre', 'script', 'search', 'section', 'select', 'source', 'style', 'summary', 'table', 'tbody', 'td',
+  'template', 'textarea', 'tfoot', 'th', 'thead', 'title', 'tr', 'track', 'ul', 'wbr', 'xmp',
+]);
+
+/**
+ * Elements that bound each kind of scope used by the "has an element in scope" checks.
+ * @type {Object<string, Set<string>>}
+ */
+const SCOPES = {
+  default: new Set(['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template']),
+  list_item: new Set(['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template', 'ol', 'ul']),
+  button: new Set(['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template', 'button']),
+  table: new Set(['html', 'table', 'template']),
+};
+
+/**
+ * Foreign elements that bound every scope except table scope, as `namespace tag` keys.
+ * @type {Set<string>}
+ */
+const FOREIGN_SCOPE_BOUNDARIES = new Set([
+  `${MATHML_NAMESPACE} mi`, `${MATHML_NAMESPACE} mo`, `${MATHML_NAMESPACE} mn`, `${MATHML_NAMESPACE} ms`,
+  `${MATHML_NAMESPACE} mtext`, `${MATHML_NAMESPACE} annotation-xml`,
+  `${SVG_NAMESPACE} foreignObject`, `${SVG_NAMESPACE} desc`, `${SVG_NAMESPACE} title`,
+]);
+
+/**
+ * Maps a lowercased name to its camel-cased form.
+ * @param {Array<string>} names
+ * @returns {Map<string, string>}
+ */
+function case_table(names) {
+  return new Map(names.map(name => [name.toLowerCase(), name]));
+}
+
+/**
+ * SVG element names the tokenizer lowercases, in their proper case.
+ * @type {Map<string, string>}
+ */
+const SVG_TAG_NAMES = case_table([
+  'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion', 'animateTransform', 'clipPath',
+  'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+  'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight',
+  'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient',
+  'radialGradient', 'textPath',
+]);
+
+/**
+ * SVG attribute names the tokenizer lowercases, in their proper case.
+ * @type {Map<string, string>}
+ */
+const SVG_ATTRIBUTE_NAMES = case_table([
+  'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode', 'clipPathUnits',
+  'diffuseConstant', 'edgeMode', 'filterUnits', 'glyphRef', 'gradientTransform', 'gradientUnits', 'kernelMatrix',
+  'kernelUnitLength', 'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust', 'limitingConeAngle', 'markerHeight',
+  'markerUnits', 'markerWidth', 'maskContentUnits', 'maskUnits', 'numOctaves', 'pathLength',
+  'patternContentUnits', 'patternTransform', 'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ',
+  'preserveAlpha', 'preserveAspectRatio', 'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur',
+  'requiredExtensions', 'requiredFeatures', 'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset',
+  'stdDeviation', 'stitchTiles', 'surfaceScale', 'systemLanguage', 'tableValues', 'targetX', 'targetY',
+  'textLength', 'viewBox', 'viewTarget', 'xChannelSelector', 'yChannelSelector', 'zoomAndPan',
+]);
+
+/**
+ * MathML attribute names the tokenizer lowercases, in their proper case.
+ * @type {Map<string, string>}
+ */
+const MATHML_ATTRIBUTE_NAMES = case_table(['definitionURL']);
+
+/**
+ * The namespaces of the prefixed attributes foreign elements may carry.
+ * @type {Object<string, string>}
+ */
+const FOREIGN_ATTRIBUTE_NAMESPACES = {
+  'xlink:actuate': XLINK_NAMESPACE,
+  'xlink:arcrole': XLINK_NAMESPACE,
+  'xlink:href': XLINK_NAMESPACE,
+  'xlink:role': XLINK_NAMESPACE,
+  'xlink:show': XLINK_NAMESPACE,
+  'xlink:title': XLINK_NAMESPACE,
+  'xlink:type': XLINK_NAMESPACE,
+  'xml:lang': XML_NAMESPACE,
+  'xml:space': XML_NAMESPACE,
+  'xmlns': XMLNS_NAMESPACE,
+  'xmlns:xlink': XMLNS_NAMESPACE,
+};
+
+/**
+ * HTML start tags that end foreign content: the open SVG or MathML elements are closed before they are processed.
+ * `font` is one of them only when it has a `color`, `face` or `size` attribute.
+ * @type {Set<string>}
+ */
+const BREAKOUT_ELEMENTS = new Set([
+  'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'embed', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta', 'nobr', 'ol', 'p', 'pre',
+  'ruby', 's', 'small', 'span', 'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u', 'ul', 'var',
+]);
+
+/**
+ * Elements whose end tags are implied by the "generate implied end tags" algorithm.
+ * @type {Set<string>}
+ */
+const IMPLIED_END_TAGS = new Set(['dd', 'dt', 'li', 'optgroup', 'option', 'p', 'rb', 'rp', 'rt', 'rtc']);
+
+/**
+ * Elements whose end tags are implied when generating all implied end tags thoroughly.
+ * @type {Set<string>}
+ */
+const IMPLIED_END_TAGS_THOROUGHLY = new Set([
+  ...IMPLIED_END_TAGS, 'caption', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+]);
+
+/**
+ * Elements that may still be open at the end of the body without a parse error.
+ * @type {Set<string>}
+ */
+const END_OF_BODY_ALLOWED = new Set([
+  ...IMPLIED_END_TAGS_THOROUGHLY, 'body', 'html',
+]);
+
+const CLOSES_P_ELEMENT = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'header', 'hgroup', 'main', 'menu', 'nav', 'ol', 'p', 'search', 'section',
+  'summary', 'ul',
+]);
+
+const BLOCK_END_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'button', 'center', 'details', 'dialog', 'dir', 'div', 'dl',
+  'fieldset', 'figcaption', 'figure', 'footer', 'header', 'hgroup', 'listing', 'main', 'menu', 'nav', 'ol', 'pre',
+  'search', 'section', 'summary', 'ul',
+]);
+
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * Elements that are tracked in the list of active formatting elements and reopened when misnested.
+ * @type {Set<string>}
+ */
+const FORMATTING_ELEMENTS = new Set([
+  'a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike', 'strong', 'tt', 'u',
+]);
+
+/**
+ * Entry in the list of active formatting elements that separates formatting inside an applet, object,
+ * marquee, template, table cell or caption from formatting outside of it.
+ */
+const MARKER = null;
+
+const TABLE_SECTIONS = new Set(['tbody', 'tfoot', 'thead']);
+
+const FOSTER_PARENTING_TARGETS = new Set(['table', 'tbody', 'tfoot', 'thead', 'tr']);
+
+const WHITESPACE = /^[\t\n\f\r ]*$/;
+const LEADING_WHITESPACE = /^[\t\n\f\r ]*/;
+
+/**
+ * Whether a node is an HTML element with one of the given tag names.
+ * @param {import('./nodes.js').Node|undefined} node
+ * @param {Set<string>|string} tags
+ * @returns {boolean}
+ */
+function is_html(node, tags) {
+  if (!node || node.type !== 'element' || node.namespace !== HTML_NAMESPACE) {
+    return false;
+  }
+  return typeof tags === 'string' ? node.tag === tags : tags.has(node.tag);
+}
+
+/**
+ * Whether a node is one of the SVG and MathML elements that bound element scopes.
+ * @param {import('./nodes.js').Node|undefined} node
+ * @returns {boolean}
+ */
+function is_foreign_scope_boundary(node) {
+  return !!node && node.type === 'element' && FOREIGN_SCOPE_BOUNDARIES.has(`${node.namespace} ${node.tag}`);
+}
+
+/**
+ * Whether a node belongs to the "special" parsing category.
+ * @param {import('./nodes.js').Node} node
+ * @returns {boolean}
+ */
+function is_special(node) {
+  return is_html(node, SPECIAL_ELEMENTS) || is_foreign_scope_boundary(node);
+}
+
+/**
+ * Whether a node is a MathML text integration point, whose content is parsed as HTML text and phrasing.
+ * @param {import('./nodes.js').Node|undefined} node
+ * @returns {boolean}
+ */
+function is_mathml_text_integration_point(node) {
+  return !!node && node.namespace === MATHML_NAMESPACE && ['mi', 'mo', 'mn', 'ms', 'mtext'].includes(node.tag);
+}
+
+/**
+ * Whether a node is an HTML integration point, whose content is parsed as HTML.
+ * @param {import('./nodes.js').Node|undefined} node
+ * @returns {boolean}
+ */
+function is_html_integration_point(node) {
+  if (!node || node.type !== 'element') {
+    return false;
+  }
+  if (node.namespace === MATHML_NAMESPACE && node.tag === 'annotation-xml') {
+    const encoding = (node.attributes.encoding || '').toLowerCase();
+    return encoding === 'text/html' || encoding === 'application/xhtml+xml';
+  }
+  return node.namespace === SVG_NAMESPACE && ['foreignObject', 'desc', 'title'].includes(node.tag);
+}
+
+/**
+ * Renames the attributes of a token using a case-adjustment table.
+ * @param {object} attributes
+ * @param {Map<string, string>} names
+ * @returns {object} The adjusted attributes.
+ */
+function adjust_attributes(attributes, names) {
+  const adjusted = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    adjusted[names.get(name) || name] = value;
+  }
+  return adjusted;
+}
+
+/**
+ * Splits character data into its leading whitespace and the rest.
+ * @param {string} data
+ * @returns {Array<string>} The whitespace prefix and the remaining characters.
+ */
+function split_leading_whitespace(data) {
+  const whitespace = data.match(LEADING_WHITESPACE)[0];
+  return [whitespace, data.slice(whitespace.length)];
+}
+
+/**
+ * Appends a node to a parent, or inserts it before a reference child of that parent.
+ * @param {import('./nodes.js').Node} parent
+ * @param {import('./nodes.js').Node} node
+ * @param {import('./nodes.js').Node|null} [before=null]
+ */
+function insert_node(parent, node, before = null) {
+  parent._insertChild(node, before && before.parent === parent ? before : null);
+}
+
+/**
+ * Sets the end of each element in a subtree from its end tag or, when its end tag was omitted, from its content.
+ * @param {import('./nodes.js').Node} node
+ */
+function finish_location(node) {
+  for (const child of node.children) {
+    finish_location(child);
+    if (!node.endTagSpan) {
+      node.endIndex = Math.max(node.endIndex, child.endIndex);
+    }
+  }
+  if (node.endTagSpan) {
+    node.endIndex = node.endTagSpan.endIndex;
+  }
+}
+
+/**
+ * Detaches a node from its parent, if it has one.
+ * @param {import('./nodes.js').Node} node
+ */
+function remove_node(node) {
+  if (node.parent) {
+    node.parent._removeChild(node);
+  }
+}
+
+/**
+ * The code of the parse error for a token that is not allowed where it appears.
+ * @param {Array<any>} token
+ * @returns {string}
+ */
+function misplaced_code(token) {
+  switch (token[0]) {
+    case 'StartTag':
+      return 'misplaced-start-tag';
+    case 'EndTag':
+      return 'misplaced-end-tag';
+    case 'DOCTYPE':
+      return 'misplaced-doctype';
+    default:
+      return 'misplaced-text';
+  }
+}
 
 /**
  * @class TreeBuilder
- * @description Constructs a DOM tree from a sequence of tokens.
+ * @description Constructs a DOM tree from a sequence of tokens, following the HTML tree construction
+ * algorithm: each token is handled according to the current insertion mode, so implied elements such as
+ * `html`, `head`, `body` and `tbody` are created and misnested markup is fixed up the way browsers do.
  */
 export class TreeBuilder {
   /**
@@ -14,105 +462,2539 @@ export class TreeBuilder {
 
   /**
    * @private
-   * @type {Array<import('./nodes.js').Node>}
-   * @description A stack of open nodes, used to maintain the hierarchy of the DOM tree.
+   * @type {Array<ElementNode>}
+   * @description The stack of open elements. The document itself is not part of it.
    */
   stack;
 
   /**
    * Creates an instance of TreeBuilder.
+   * @param {import('./tokenizer.js').Tokenizer} [tokenizer=null] - The tokenizer to read tokens from. The tree builder
+   * switches its state when an element's content is raw text, RCDATA or script data.
+   * @param {ElementNode|string} [context=null] - For a fragment, the element (or HTML tag name) it is parsed inside.
    */
-  constructor() {
+  constructor(tokenizer = null, context = null) {
+    this.tokenizer = tokenizer;
+    if (tokenizer) {
+      tokenizer.sink = this;
+    }
     this.document = new DocumentNode();
-    this.stack = [this.document];
+    this.stack = [];
+    this.mode = InsertionMode.INITIAL;
+    this.original_mode = null; // The mode to return to after the text and "in table text" modes
+    this.template_modes = []; // The stack of template insertion modes
+    this.head_element = null;
+    this.form_element = null;
+    this.frameset_ok = true;
+    this.foster_parenting = false;
+    this.skip_next_newline = false; // Set after <pre>, <listing> and <textarea>, whose first newline is dropped
+    this.pending_table_characters = [];
+    this.active_formatting = []; // Entries are {element, token} pairs or MARKER
+    this.self_closing_acknowledged = false;
+    this.token = null; // The token being processed, whose source location new nodes take
+    this.scripting = false; // Scripts never run here, so <noscript> content is parsed as markup
+    this.context = null;
+    this.fragment = null; // The parsed children of the context, once a fragment has been parsed
+    if (context) {
+      this.start_fragment(typeof context === 'string' ? new ElementNode(context) : context);
+    }
+  }
+
+  /**
+   * Sets up the parser for the HTML fragment parsing algorithm: the content is parsed into an `html` element
+   * standing in for the context, starting in the tokenizer state and insertion mode the context calls for.
+   * @param {ElementNode} context
+   */
+  start_fragment(context) {
+    this.context = context;
+    for (let node = context.parent; node; node = node.parent) {
+      if (node.type === 'document') {
+        this.document.quirksMode = node.quirksMode;
+      }
+    }
+    if (is_html(context, context.tag) && Object.hasOwn(TEXT_ELEMENT_STATES, context.tag)) {
+      this.switch_tokenizer(context.tag);
+    }
+    const root = new ElementNode('html');
+    insert_node(this.document, root);
+    this.stack.push(root);
+    if (is_html(context, 'template')) {
+      this.template_modes.push(InsertionMode.IN_TEMPLATE);
+    }
+    this.reset_insertion_mode();
+    for (let node = context; node; node = node.parent) {
+      if (is_html(node, 'form')) {
+        this.form_element = node;
+        break;
+      }
+    }
   }
 
   /**
    * Gets the current node on top of the stack.
-   * @returns {import('./nodes.js').Node} The current active node.
+   * @returns {ElementNode|undefined} The current active node.
    */
   get current_node() {
     return this.stack[this.stack.length - 1];
   }
 
   /**
-   * Processes a sequence of tokens to build the DOM tree.
-   * @param {Array<Array<any>>} tokens - The array of tokens generated by the Tokenizer.
+   * Tokenizes an HTML string and builds the DOM tree from its tokens, followed by the end of the input.
+   * @param {string} html - The HTML string to parse.
+   */
+  run(html) {
+    this.write(html);
+    this.end();
+  }
+
+  /**
+   * Tokenizes the next chunk of the input and builds as much of the tree as it allows.
+   * @param {string} chunk
+   */
+  write(chunk) {
+    this.tokenizer.write(chunk);
+  }
+
+  /**
+   * Finishes the tree once the whole input has been written.
+   */
+  end() {
+    this.tokenizer.end();
+    this.process_token(['EOF']);
+    if (this.context) {
+      this.fragment = new DocumentFragmentNode();
+      for (const child of [...this.document.children[0].children]) {
+        insert_node(this.fragment, child);
+      }
+    }
+    const root = this.fragment || this.document;
+    root.startIndex = 0;
+    root.endIndex = this.tokenizer.source_index(this.tokenizer.index);
+    root.line = 1;
+    root.column = 1;
+    for (const child of root.children) {
+      finish_location(child);
+    }
+  }
+
+  /**
+   * Gives a new node the source location of the token being processed.
+   * @param {import('./nodes.js').Node} node
+   * @returns {import('./nodes.js').Node} The node.
+   */
+  locate(node) {
+    const location = this.token && this.token.location;
+    if (location) {
+      node.startIndex = location.startIndex;
+      node.endIndex = location.endIndex;
+      node.line = location.line;
+      node.column = location.column;
+    }
+    return node;
+  }
+
+  /**
+   * Records the end tag that closed an element, once processing it has taken the element off the stack
+   * (or, for `body` and `html`, moved past their content).
+   * @param {Array<any>} token - The end tag token.
+   * @param {Array<ElementNode>} open - The stack of open elements before the token was processed.
    */
-  run(tokens) {
-    for (const token of tokens) {
-      this.process_token(token);
+  locate_end_tag(token, open) {
+    const name = token[1];
+    let closed = null;
+    if ((name === 'body' || name === 'html') &&
+      (this.mode === InsertionMode.AFTER_BODY || this.mode === InsertionMode.AFTER_AFTER_BODY)) {
+      closed = this.stack[this.last_in_stack(name)];
+    } else {
+      closed = open.findLast(node => node.tag.toLowerCase() === name && !this.stack.includes(node));
+    }
+    if (closed && !closed.endTagSpan) {
+      const { startIndex, endIndex, line, column } = token.location;
+      closed.endTagSpan = { startIndex, endIndex, line, column };
     }
   }
 
   /**
-   * Processes a single token and updates the DOM tree.
+   * Processes a single token according to the current insertion mode.
    * @param {Array<any>} token - The token to process.
    */
   process_token(token) {
-    const type = token[0];
-    if (type === 'Character') {
-      this.process_char(token[1]);
-    } else if (type === 'StartTag') {
-      this.start_tag(token);
-    } else if (type === 'EndTag') {
-      this.end_tag(token);
-    } else if (type === 'Comment') {
-      this.comment(token);
+    if (this.skip_next_newline) {
+      this.skip_next_newline = false;
+      if (token[0] === 'Character' && token[1].startsWith('\n')) {
+        if (token[1].length === 1) {
+          return;
+        }
+        token = ['Character', token[1].slice(1)];
+      }
+    }
+    this.self_closing_acknowledged = false;
+    this.token = token;
+    const open = token[0] === 'EndTag' && token.location ? [...this.stack] : null;
+    if (this.in_foreign_content(token)) {
+      this.process_foreign_content(token);
+    } else {
+      this.process_token_in_mode(this.mode, token);
+    }
+    if (open) {
+      this.locate_end_tag(token, open);
+    }
+    if (token[0] === 'StartTag' && token[3] && !this.self_closing_acknowledged) {
+      this.error('non-void-html-element-start-tag-with-trailing-solidus');
+    }
+  }
+
+  /**
+   * Reports a parse error at the token being processed, through the tokenizer so that it is collected, thrown
+   * or passed to `onError` like the tokenizer's own errors.
+   * @param {string} code - The error's code, a key of `ERROR_CODES`.
+   */
+  error(code) {
+    if (!this.tokenizer) {
+      return;
+    }
+    const location = (this.token && this.token.location) || this.tokenizer.span(this.tokenizer.position());
+    const { line, column, startIndex } = location;
+    this.tokenizer.report(ParseError.fromCode(code, line, column, startIndex));
+  }
+
+  /**
+   * Removes the characters a mode does not allow from text, reporting a parse error for each one.
+   * @param {string} data
+   * @param {RegExp} pattern - Matches the characters to remove. It must be global.
+   * @param {string} code - The error's code.
+   * @param {string} [replacement=''] - What replaces each character.
+   * @returns {string} The remaining text.
+   */
+  drop_characters(data, pattern, code, replacement = '') {
+    return data.replace(pattern, () => {
+      this.error(code);
+      return replacement;
+    });
+  }
+
+  /**
+   * The node whose namespace decides how tokens are parsed.
+   * @returns {ElementNode|undefined}
+   */
+  get adjusted_current_node() {
+    return this.context && this.stack.length === 1 ? this.context : this.current_node;
+  }
+
+  /**
+   * Whether a token, or a CDATA section when no token is given, is parsed with the rules for foreign content
+   * rather than those of the current insertion mode.
+   * @param {Array<any>} [token]
+   * @returns {boolean}
+   */
+  in_foreign_content(token) {
+    const node = this.adjusted_current_node;
+    if (!node || node.namespace === HTML_NAMESPACE) {
+      return false;
+    }
+    if (!token) {
+      return true;
+    }
+    const [type, name] = token;
+    if (type === 'EOF') {
+      return false;
+    }
+    if (is_mathml_text_integration_point(node) &&
+      (type === 'Character' || (type === 'StartTag' && name !== 'mglyph' && name !== 'malignmark'))) {
+      return false;
+    }
+    if (node.namespace === MATHML_NAMESPACE && node.tag === 'annotation-xml' && type === 'StartTag' && name === 'svg') {
+      return false;
+    }
+    return !(is_html_integration_point(node) && (type === 'StartTag' || type === 'Character'));
+  }
+
+  /**
+   * Processes a token inside SVG or MathML content.
+   * @param {Array<any>} token
+   */
+  process_foreign_content(token) {
+    const [type, name, attributes] = token;
+    switch (type) {
+      case 'Character': {
+        // A NULL is inserted as U+FFFD, but does not count as content that rules out a frameset.
+        if (!WHITESPACE.test(token[1].replace(/\0/g, ''))) {
+          this.frameset_ok = false;
+        }
+        this.insert_characters(this.drop_characters(token[1], /\0/g, 'unexpected-null-character', '\uFFFD'));
+        return;
+      }
+      case 'Comment':
+        this.insert_comment(token);
+        return;
+      case 'DOCTYPE':
+        this.error('misplaced-doctype');
+        return;
+      case 'StartTag': {
+        const breaks_out = BREAKOUT_ELEMENTS.has(name) ||
+          (name === 'font' && ['color', 'face', 'size'].some(key => Object.hasOwn(attributes, key)));
+        if (!breaks_out) {
+          this.insert_foreign_element(token, this.adjusted_current_node.namespace);
+          return;
+        }
+        break;
+      }
+      case 'EndTag': {
+        if (name === 'br' || name === 'p') {
+          break;
+        }
+        let index = this.stack.length - 1;
+        let node = this.stack[index];
+        if (node.tag.toLowerCase() !== name) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        while (index > 0) {
+          if (node.tag.toLowerCase() === name) {
+            this.stack.length = index;
+            return;
+          }
+          node = this.stack[--index];
+          if (node.namespace === HTML_NAMESPACE) {
+            this.process_token_in_mode(this.mode, token);
+            return;
+          }
+        }
+        return;
+      }
+    }
+    // An HTML tag closes the open foreign elements
+    this.error('html-content-in-foreign-content');
+    while (this.current_node.namespace !== HTML_NAMESPACE &&
+      !is_mathml_text_integration_point(this.current_node) && !is_html_integration_point(this.current_node)) {
+      this.stack.pop();
+    }
+    this.process_token_in_mode(this.mode, token);
+  }
+
+  /**
+   * Processes a token again in the current insertion mode, after a mode switch.
+   * @param {Array<any>} token - The token to reprocess.
+   */
+  reprocess(token) {
+    this.process_token_in_mode(this.mode, token);
+  }
+
+  /**
+   * Processes a token using the rules of the given insertion mode, which may differ from the current one.
+   * @param {number} mode - The insertion mode whose rules apply.
+   * @param {Array<any>} token - The token to process.
+   */
+  process_token_in_mode(mode, token) {
+    switch (mode) {
+      case InsertionMode.INITIAL: return this.initial_mode(token);
+      case InsertionMode.BEFORE_HTML: return this.before_html_mode(token);
+      case InsertionMode.BEFORE_HEAD: return this.before_head_mode(token);
+      case InsertionMode.IN_HEAD: return this.in_head_mode(token);
+      case InsertionMode.IN_HEAD_NOSCRIPT: return this.in_head_noscript_mode(token);
+      case InsertionMode.AFTER_HEAD: return this.after_head_mode(token);
+      case InsertionMode.IN_BODY: return this.in_body_mode(token);
+      case InsertionMode.TEXT: return this.text_mode(token);
+      case InsertionMode.IN_TABLE: return this.in_table_mode(token);
+      case InsertionMode.IN_TABLE_TEXT: return this.in_table_text_mode(token);
+      case InsertionMode.IN_CAPTION: return this.in_caption_mode(token);
+      case InsertionMode.IN_COLUMN_GROUP: return this.in_column_group_mode(token);
+      case InsertionMode.IN_TABLE_BODY: return this.in_table_body_mode(token);
+      case InsertionMode.IN_ROW: return this.in_row_mode(token);
+      case InsertionMode.IN_CELL: return this.in_cell_mode(token);
+      case InsertionMode.IN_SELECT: return this.in_select_mode(token);
+      case InsertionMode.IN_SELECT_IN_TABLE: return this.in_select_in_table_mode(token);
+      case InsertionMode.IN_TEMPLATE: return this.in_template_mode(token);
+      case InsertionMode.AFTER_BODY: return this.after_body_mode(token);
+      case InsertionMode.IN_FRAMESET: return this.in_frameset_mode(token);
+      case InsertionMode.AFTER_FRAMESET: return this.after_frameset_mode(token);
+      case InsertionMode.AFTER_AFTER_BODY: return this.after_after_body_mode(token);
+      case InsertionMode.AFTER_AFTER_FRAMESET: return this.after_after_frameset_mode(token);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tree manipulation helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Finds where a new node should be inserted, taking foster parenting into account.
+   * @param {ElementNode} [target=this.current_node] - The node that would normally receive the new node.
+   * @returns {{parent: import('./nodes.js').Node, before: import('./nodes.js').Node|null}}
+   */
+  appropriate_insertion_place(target = this.current_node) {
+    if (!target) {
+      return { parent: this.document, before: null };
+    }
+    if (this.foster_parenting && is_html(target, FOSTER_PARENTING_TARGETS)) {
+      const last_template = this.last_in_stack('template');
+      const last_table = this.last_in_stack('table');
+      if (last_template !== -1 && (last_table === -1 || last_template > last_table)) {
+        return { parent: this.stack[last_template], before: null };
+      }
+      if (last_table === -1) {
+        return { parent: this.stack[0], before: null };
+      }
+      const table = this.stack[last_table];
+      if (table.parent) {
+        return { parent: table.parent, before: table };
+      }
+      return { parent: this.stack[last_table - 1], before: null };
+    }
+    return { parent: target, before: null };
+  }
+
+  /**
+   * Returns the index of the topmost HTML element with the given tag name in the stack, or -1.
+   * @param {string} tag
+   * @returns {number}
+   */
+  last_in_stack(tag) {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      if (is_html(this.stack[i], tag)) {
+        return i;
+      }
     }
+    return -1;
   }
 
   /**
-   * Processes a character token, adding it as a TextNode to the current node.
-   * @param {string} char - The character to process.
+   * Creates an ElementNode for a start tag token.
+   * @param {Array<any>} token - The start tag token.
+   * @param {string} [namespace=HTML_NAMESPACE]
+   * @returns {ElementNode}
    */
-  process_char(char) {
-    const parent = this.current_node;
-    if (parent.children.length > 0 && parent.children[parent.children.length - 1].type === 'text') {
-      parent.children[parent.children.length - 1].text += char;
+  create_element(token, namespace = HTML_NAMESPACE) {
+    const [, name, attributes] = token;
+    let names = null;
+    if (namespace === SVG_NAMESPACE) {
+      names = SVG_ATTRIBUTE_NAMES;
+    } else if (namespace === MATHML_NAMESPACE) {
+      names = MATHML_ATTRIBUTE_NAMES;
+    }
+    const element = new ElementNode(namespace === SVG_NAMESPACE ? SVG_TAG_NAMES.get(name) || name : name, namespace);
+    element.attributes = names ? adjust_attributes(attributes, names) : { ...attributes };
+    if (names) {
+      for (const key of Object.keys(element.attributes)) {
+        if (Object.hasOwn(FOREIGN_ATTRIBUTE_NAMESPACES, key)) {
+          element.attributeNamespaces[key] = FOREIGN_ATTRIBUTE_NAMESPACES[key];
+        }
+      }
+    }
+
+    this.locate(element);
+    if (token === this.token && token.location) {
+      const { attributes: spans, ...span } = token.location;
+      element.startTagSpan = span;
+      element.attributeSpans = names ? adjust_attributes(spans, names) : { ...spans };
     } else {
-      const text_node = new TextNode(char);
-      parent.children.push(text_node);
-      text_node.parent = parent;
+      // Implied by the parser, or a copy of a formatting element: it starts, empty, where the current token does.
+      element.endIndex = element.startIndex;
     }
+    return element;
+  }
+
+  /**
+   * Creates an element for a start tag token, inserts it at the appropriate place and pushes it onto the stack.
+   * @param {Array<any>} token - The start tag token.
+   * @param {string} [namespace=HTML_NAMESPACE]
+   * @returns {ElementNode} The inserted element.
+   */
+  insert_element(token, namespace = HTML_NAMESPACE) {
+    const element = this.create_element(token, namespace);
+    const { parent, before } = this.appropriate_insertion_place();
+    insert_node(parent, element, before);
+    this.stack.push(element);
+    return element;
+  }
+
+  /**
+   * Inserts an element that cannot have content, such as `img` or `meta`, and pops it right away.
+   * This acknowledges the start tag's self-closing flag: `<img/>` is fine, while `<div/>` is an error
+   * and opens a div like `<div>` does.
+   * @param {Array<any>} token - The start tag token.
+   * @returns {ElementNode} The inserted element.
+   */
+  insert_void_element(token) {
+    const element = this.insert_element(token);
+    this.stack.pop();
+    this.self_closing_acknowledged = true;
+    return element;
   }
 
   /**
-   * Processes a start tag token, creating an ElementNode and pushing it onto the stack.
+   * Copies a start tag's attributes onto an existing element, keeping those the element already has.
+   * @param {ElementNode} element
    * @param {Array<any>} token - The start tag token.
    */
-  start_tag(token) {
-    const parent = this.current_node;
-    const element = new ElementNode(token[1]);
-    element.attributes = token[2];
-    parent.children.push(element);
-    element.parent = parent;
-    if (token[1] !== 'br') { // Special handling for self-closing 'br' for now
-        this.stack.push(element);
+  merge_attributes(element, token) {
+    const spans = token.location ? token.location.attributes : {};
+    for (const [key, value] of Object.entries(token[2])) {
+      if (!Object.hasOwn(element.attributes, key)) {
+        element.attributes[key] = value;
+        if (spans[key]) {
+          element.attributeSpans[key] = spans[key];
+        }
+      }
     }
   }
 
   /**
-   * Processes an end tag token, popping the corresponding node from the stack.
-   * @param {Array<any>} token - The end tag token.
+   * Inserts an SVG or MathML element for a start tag token, fixing the case of its tag and attribute names.
+   * A self-closing start tag is acknowledged and its element popped right away.
+   * @param {Array<any>} token - The start tag token.
+   * @param {string} namespace - SVG_NAMESPACE or MATHML_NAMESPACE.
    */
-  end_tag(token) {
-    const current_node = this.current_node;
-    if (current_node.tag === token[1]) {
+  insert_foreign_element(token, namespace) {
+    this.insert_element(token, namespace);
+    if (token[3]) {
       this.stack.pop();
+      this.self_closing_acknowledged = true;
+    }
+  }
+
+  /**
+   * Inserts an element the parser implies, such as `html`, `head`, `body` or `tbody`, that has no tag in the source.
+   * @param {string} tag
+   * @returns {ElementNode} The inserted element.
+   */
+  insert_implied_element(tag) {
+    return this.insert_element(['StartTag', tag, {}]);
+  }
+
+  /**
+   * Inserts characters at the appropriate place, merging them into a preceding text node.
+   * @param {string} data
+   */
+  insert_characters(data) {
+    if (!data) {
+      return;
+    }
+    const { parent, before } = this.appropriate_insertion_place();
+    if (parent === this.document) {
+      return; // Text is never a child of the document.
+    }
+    const index = before ? parent.children.indexOf(before) : parent.children.length;
+    const previous = parent.children[index - 1];
+    if (previous && previous.type === 'text') {
+      previous.text += data;
+      if (this.token && this.token.location) {
+        previous.endIndex = Math.max(previous.endIndex, this.token.location.endIndex);
+      }
     } else {
-      // handle mismatch later
+      insert_node(parent, this.locate(new TextNode(data)), before);
     }
   }
 
   /**
-   * Processes a comment token, creating a CommentNode and adding it to the current node.
+   * Inserts a comment, by default at the appropriate place.
    * @param {Array<any>} token - The comment token.
+   * @param {import('./nodes.js').Node} [parent] - A node to append the comment to instead.
+   */
+  insert_comment(token, parent) {
+    const comment = this.locate(new CommentNode(token[1]));
+    if (parent) {
+      insert_node(parent, comment);
+    } else {
+      const place = this.appropriate_insertion_place();
+      insert_node(place.parent, comment, place.before);
+    }
+  }
+
+  /**
+   * Pops elements until an HTML element with one of the given tag names has been popped.
+   * @param {Set<string>|string} tags
+   */
+  pop_until(tags) {
+    while (this.stack.length) {
+      const node = this.stack.pop();
+      if (is_html(node, tags)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Pops elements while the current node is not one of the given HTML elements.
+   * @param {Set<string>} tags
+   */
+  clear_stack_back_to(tags) {
+    while (this.stack.length && !is_html(this.current_node, tags)) {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Whether an element is in scope: it is on the stack, above every element bounding that kind of scope.
+   * @param {string|ElementNode} target - A tag name, or a specific element.
+   * @param {string} [scope='default'] - 'default', 'list_item', 'button', 'table' or 'select'.
+   * @returns {boolean}
+   */
+  has_element_in_scope(target, scope = 'default') {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const node = this.stack[i];
+      if (typeof target === 'string' ? is_html(node, target) : node === target) {
+        return true;
+      }
+      if (scope === 'select') {
+        if (!is_html(node, 'optgroup') && !is_html(node, 'option')) {
+          return false;
+        }
+      } else if (is_html(node, SCOPES[scope]) || (scope !== 'table' && is_foreign_scope_boundary(node))) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether any of the given elements is in scope.
+   * @param {Iterable<string>} tags
+   * @param {string} [scope='default']
+   * @returns {boolean}
+   */
+  has_any_element_in_scope(tags, scope = 'default') {
+    for (const tag of tags) {
+      if (this.has_element_in_scope(tag, scope)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Pops elements whose end tags may be omitted, such as `p` and `li`.
+   * @param {string} [except] - A tag name to leave open.
    */
-  comment(token) {
-    const parent = this.current_node;
-    const comment = new CommentNode(token[1]);
-    parent.children.push(comment);
-    comment.parent = parent;
+  generate_implied_end_tags(except) {
+    while (is_html(this.current_node, IMPLIED_END_TAGS) && this.current_node.tag !== except) {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Pops every element whose end tag may be omitted, including table parts.
+   */
+  generate_all_implied_end_tags_thoroughly() {
+    while (is_html(this.current_node, IMPLIED_END_TAGS_THOROUGHLY)) {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Closes the `p` element in button scope.
+   */
+  close_p_element() {
+    this.generate_implied_end_tags('p');
+    if (!is_html(this.current_node, 'p')) {
+      this.error('closing-of-element-with-open-child-elements');
+    }
+    this.pop_until('p');
+  }
+
+  /**
+   * Closes a `p` element if one is in button scope, as many block-level start tags do.
+   */
+  close_p_element_in_button_scope() {
+    if (this.has_element_in_scope('p', 'button')) {
+      this.close_p_element();
+    }
+  }
+
+  /**
+   * Adds a formatting element to the list of active formatting elements. Like Noah's Ark, the list keeps
+   * at most three identical entries (same tag name and attributes) after the last marker.
+   * @param {ElementNode} element
+   * @param {Array<any>} token - The start tag token the element was created for.
+   */
+  push_active_formatting(element, token) {
+    const attributes = Object.entries(element.attributes);
+    const identical = [];
+    for (let i = this.active_formatting.length - 1; i >= 0; i--) {
+      const entry = this.active_formatting[i];
+      if (entry === MARKER) {
+        break;
+      }
+      const other = entry.element;
+      if (
+        other.tag === element.tag &&
+        other.namespace === element.namespace &&
+        Object.keys(other.attributes).length === attributes.length &&
+        attributes.every(([key, value]) => Object.hasOwn(other.attributes, key) && other.attributes[key] === value)
+      ) {
+        identical.push(i);
+      }
+    }
+    if (identical.length >= 3) {
+      this.active_formatting.splice(identical[identical.length - 1], 1);
+    }
+    this.active_formatting.push({ element, token });
+  }
+
+  /**
+   * Returns the index of an element in the list of active formatting elements, or -1.
+   * @param {ElementNode} element
+   * @returns {number}
+   */
+  active_formatting_index(element) {
+    return this.active_formatting.findIndex(entry => entry !== MARKER && entry.element === element);
+  }
+
+  /**
+   * Reopens formatting elements that were implicitly closed, so that `<b>1<p>2` keeps "2" in bold.
+   */
+  reconstruct_active_formatting_elements() {
+    const list = this.active_formatting;
+    if (list.length === 0) {
+      return;
+    }
+    const last = list[list.length - 1];
+    if (last === MARKER || this.stack.includes(last.element)) {
+      return;
+    }
+    let i = list.length - 1;
+    while (i > 0) {
+      const entry = list[i - 1];
+      if (entry === MARKER || this.stack.includes(entry.element)) {
+        break;
+      }
+      i--;
+    }
+    for (; i < list.length; i++) {
+      const { token } = list[i];
+      list[i] = { element: this.insert_element(token), token };
+    }
+  }
+
+  /**
+   * Removes entries from the list of active formatting elements up to and including the last marker.
+   */
+  clear_active_formatting_to_last_marker() {
+    while (this.active_formatting.length) {
+      if (this.active_formatting.pop() === MARKER) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * The adoption agency algorithm: closes a formatting element even when other elements were opened inside
+   * it, splitting and re-parenting nodes so that `<b><p>x</b>y` becomes `<b></b><p><b>x</b>y</p>`.
+   * @param {Array<any>} token - The end tag token (or the start tag of an `a` or `nobr` that closes one).
+   * @returns {boolean} `false` if the token must instead be handled like any other end tag.
+   */
+  adoption_agency(token) {
+    const subject = token[1];
+    if (is_html(this.current_node, subject) && this.active_formatting_index(this.current_node) === -1) {
+      this.stack.pop();
+      return true;
+    }
+
+    for (let outer = 0; outer < 8; outer++) {
+      let formatting_index = -1;
+      for (let i = this.active_formatting.length - 1; i >= 0; i--) {
+        const entry = this.active_formatting[i];
+        if (entry === MARKER) {
+          break;
+        }
+        if (is_html(entry.element, subject)) {
+          formatting_index = i;
+          break;
+        }
+      }
+      if (formatting_index === -1) {
+        return false;
+      }
+
+      const formatting = this.active_formatting[formatting_index];
+      const formatting_element = formatting.element;
+      const stack_index = this.stack.indexOf(formatting_element);
+      if (stack_index === -1) {
+        this.error('end-tag-without-matching-open-element');
+        this.active_formatting.splice(formatting_index, 1);
+        return true;
+      }
+      if (!this.has_element_in_scope(formatting_element)) {
+        this.error('end-tag-without-matching-open-element');
+        return true;
+      }
+      if (formatting_element !== this.current_node) {
+        this.error('misnested-formatting-element');
+      }
+
+      let furthest_block_index = -1;
+      for (let i = stack_index + 1; i < this.stack.length; i++) {
+        if (is_special(this.stack[i])) {
+          furthest_block_index = i;
+          break;
+        }
+      }
+      if (furthest_block_index === -1) {
+        this.stack.length = stack_index;
+        this.active_formatting.splice(formatting_index, 1);
+        return true;
+      }
+
+      const furthest_block = this.stack[furthest_block_index];
+      const common_ancestor = this.stack[stack_index - 1];
+      let bookmark = formatting_index;
+      let node_index = furthest_block_index;
+      let last_node = furthest_block;
+
+      for (let inner = 1; ; inner++) {
+        node_index--;
+        let node = this.stack[node_index];
+        if (node === formatting_element) {
+          break;
+        }
+        let entry_index = this.active_formatting_index(node);
+        if (inner > 3 && entry_index !== -1) {
+          this.active_formatting.splice(entry_index, 1);
+          if (entry_index < bookmark) {
+            bookmark--;
+          }
+          entry_index = -1;
+        }
+        if (entry_index === -1) {
+          this.stack.splice(node_index, 1);
+          continue;
+        }
+        const { token: node_token } = this.active_formatting[entry_index];
+        node = this.create_element(node_token);
+        this.active_formatting[entry_index] = { element: node, token: node_token };
+        this.stack[node_index] = node;
+        if (last_node === furthest_block) {
+          bookmark = entry_index + 1;
+        }
+        remove_node(last_node);
+        insert_node(node, last_node);
+        last_node = node;
+      }
+
+      remove_node(last_node);
+      const place = this.appropriate_insertion_place(common_ancestor);
+      insert_node(place.parent, last_node, place.before);
+
+      const element = this.create_element(formatting.token);
+      // The children keep their indices, as they keep their order.
+      for (const child of furthest_block.children) {
+        child.parent = element;
+      }
+      element.children = furthest_block.children;
+      furthest_block.children = [];
+      insert_node(furthest_block, element);
+
+      const old_index = this.active_formatting.indexOf(formatting);
+      this.active_formatting.splice(old_index, 1);
+      if (old_index < bookmark) {
+        bookmark--;
+      }
+      this.active_formatting.splice(bookmark, 0, { element, token: formatting.token });
+
+      this.stack.splice(this.stack.indexOf(formatting_element), 1);
+      this.stack.splice(this.stack.indexOf(furthest_block) + 1, 0, element);
+    }
+    return true;
+  }
+
+  /**
+   * Picks the insertion mode from the elements on the stack, after the stack was popped past table parts or a select.
+   */
+  reset_insertion_mode() {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const last = i === 0;
+      const node = last && this.context ? this.context : this.stack[i];
+      if (is_html(node, 'select')) {
+        if (!last) {
+          for (let j = i - 1; j >= 0; j--) {
+            if (is_html(this.stack[j], 'template')) {
+              break;
+            }
+            if (is_html(this.stack[j], 'table')) {
+              this.mode = InsertionMode.IN_SELECT_IN_TABLE;
+              return;
+            }
+          }
+        }
+        this.mode = InsertionMode.IN_SELECT;
+        return;
+      }
+      if (!last && is_html(node, new Set(['td', 'th']))) {
+        this.mode = InsertionMode.IN_CELL;
+        return;
+      }
+      if (is_html(node, 'tr')) {
+        this.mode = InsertionMode.IN_ROW;
+        return;
+      }
+      if (is_html(node, TABLE_SECTIONS)) {
+        this.mode = InsertionMode.IN_TABLE_BODY;
+        return;
+      }
+      if (is_html(node, 'caption')) {
+        this.mode = InsertionMode.IN_CAPTION;
+        return;
+      }
+      if (is_html(node, 'colgroup')) {
+        this.mode = InsertionMode.IN_COLUMN_GROUP;
+        return;
+      }
+      if (is_html(node, 'table')) {
+        this.mode = InsertionMode.IN_TABLE;
+        return;
+      }
+      if (is_html(node, 'template')) {
+        this.mode = this.template_modes[this.template_modes.length - 1];
+        return;
+      }
+      if (!last && is_html(node, 'head')) {
+        this.mode = InsertionMode.IN_HEAD;
+        return;
+      }
+      if (is_html(node, 'body')) {
+        this.mode = InsertionMode.IN_BODY;
+        return;
+      }
+      if (is_html(node, 'frameset')) {
+        this.mode = InsertionMode.IN_FRAMESET;
+        return;
+      }
+      if (is_html(node, 'html')) {
+        this.mode = this.head_element ? InsertionMode.AFTER_HEAD : InsertionMode.BEFORE_HEAD;
+        return;
+      }
+      if (last) {
+        this.mode = InsertionMode.IN_BODY;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Inserts an element whose content is raw text or RCDATA, such as `title` or `style`,
+   * and switches to the text mode until its end tag.
+   * @param {Array<any>} token - The start tag token.
+   */
+  parse_text_element(token) {
+    this.insert_element(token);
+    this.switch_tokenizer(token[1]);
+    this.original_mode = this.mode;
+    this.mode = InsertionMode.TEXT;
+  }
+
+  /**
+   * Switches the tokenizer to the state that reads the content of a text-only element.
+   * @param {string} name - The element's tag name.
+   */
+  switch_tokenizer(name) {
+    if (this.tokenizer) {
+      this.tokenizer.state = TEXT_ELEMENT_STATES[name] || State.RAWTEXT; // RAWTEXT for <noscript> with scripting
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Insertion modes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The "initial" insertion mode: expects an optional DOCTYPE and decides the document's quirks mode.
+   * @param {Array<any>} token
+   */
+  initial_mode(token) {
+    const [type] = token;
+    if (type === 'Character') {
+      const rest = token[1].replace(LEADING_WHITESPACE, '');
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (type === 'Comment') {
+      this.insert_comment(token, this.document);
+      return;
+    } else if (type === 'DOCTYPE') {
+      const [, name, publicId, systemId, forceQuirks] = token;
+      if (name !== 'html' || publicId !== null || (systemId !== null && systemId !== 'about:legacy-compat')) {
+        this.error('non-conforming-doctype');
+      }
+      const doctype = this.locate(new DoctypeNode(name, publicId, systemId));
+      insert_node(this.document, doctype);
+      this.document.quirksMode = doctype_mode(name, publicId, systemId, forceQuirks);
+      this.mode = InsertionMode.BEFORE_HTML;
+      return;
+    }
+    this.error('missing-doctype');
+    this.document.quirksMode = 'quirks';
+    this.mode = InsertionMode.BEFORE_HTML;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "before html" insertion mode: creates the `html` root element.
+   * @param {Array<any>} token
+   */
+  before_html_mode(token) {
+    const [type, name] = token;
+    if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    }
+    if (type === 'Comment') {
+      this.insert_comment(token, this.document);
+      return;
+    }
+    if (type === 'Character') {
+      const rest = token[1].replace(LEADING_WHITESPACE, '');
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    }
+    if (type === 'StartTag' && name === 'html') {
+      this.insert_element(token);
+      this.mode = InsertionMode.BEFORE_HEAD;
+      return;
+    }
+    if (type === 'EndTag' && !['head', 'body', 'html', 'br'].includes(name)) {
+      this.error('end-tag-without-matching-open-element');
+      return;
+    }
+    this.insert_implied_element('html');
+    this.mode = InsertionMode.BEFORE_HEAD;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "before head" insertion mode: creates the `head` element.
+   * @param {Array<any>} token
+   */
+  before_head_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character') {
+      const rest = token[1].replace(LEADING_WHITESPACE, '');
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (type === 'Comment') {
+      this.insert_comment(token);
+      return;
+    } else if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    } else if (type === 'StartTag' && name === 'html') {
+      this.in_body_mode(token);
+      return;
+    } else if (type === 'StartTag' && name === 'head') {
+      this.head_element = this.insert_element(token);
+      this.mode = InsertionMode.IN_HEAD;
+      return;
+    } else if (type === 'EndTag' && !['head', 'body', 'html', 'br'].includes(name)) {
+      this.error('end-tag-without-matching-open-element');
+      return;
+    }
+    this.head_element = this.insert_implied_element('head');
+    this.mode = InsertionMode.IN_HEAD;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in head" insertion mode: handles metadata content.
+   * @param {Array<any>} token
+   */
+  in_head_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.insert_characters(whitespace);
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (type === 'Comment') {
+      this.insert_comment(token);
+      return;
+    } else if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    } else if (type === 'StartTag') {
+      switch (name) {
+        case 'html':
+          this.in_body_mode(token);
+          return;
+        case 'base':
+        case 'basefont':
+        case 'bgsound':
+        case 'link':
+        case 'meta':
+          this.insert_void_element(token);
+          return;
+        case 'title':
+          this.parse_text_element(token);
+          return;
+        case 'noscript':
+          if (!this.scripting) {
+            this.insert_element(token);
+            this.mode = InsertionMode.IN_HEAD_NOSCRIPT;
+            return;
+          }
+          this.parse_text_element(token);
+          return;
+        case 'noframes':
+        case 'style':
+        case 'script':
+          this.parse_text_element(token);
+          return;
+        case 'template':
+          this.insert_element(token);
+          this.active_formatting.push(MARKER);
+          this.frameset_ok = false;
+          this.mode = InsertionMode.IN_TEMPLATE;
+          this.template_modes.push(InsertionMode.IN_TEMPLATE);
+          return;
+        case 'head':
+          this.error('misplaced-start-tag');
+          return;
+      }
+    } else if (type === 'EndTag') {
+      if (name === 'head') {
+        this.stack.pop();
+        this.mode = InsertionMode.AFTER_HEAD;
+        return;
+      }
+      if (name === 'template') {
+        if (this.last_in_stack('template') === -1) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        this.generate_all_implied_end_tags_thoroughly();
+        if (!is_html(this.current_node, 'template')) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.pop_until('template');
+        this.clear_active_formatting_to_last_marker();
+        this.template_modes.pop();
+        this.reset_insertion_mode();
+        return;
+      }
+      if (!['body', 'html', 'br'].includes(name)) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+    }
+    this.stack.pop();
+    this.mode = InsertionMode.AFTER_HEAD;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in head noscript" insertion mode: handles `<noscript>` inside `<head>` when scripting is disabled.
+   * @param {Array<any>} token
+   */
+  in_head_noscript_mode(token) {
+    const [type, name] = token;
+    if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    }
+    if (type === 'StartTag' && name === 'html') {
+      this.in_body_mode(token);
+      return;
+    }
+    if (type === 'EndTag' && name === 'noscript') {
+      this.stack.pop();
+      this.mode = InsertionMode.IN_HEAD;
+      return;
+    }
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.in_head_mode(['Character', whitespace]);
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (
+      type === 'Comment' ||
+      (type === 'StartTag' && ['basefont', 'bgsound', 'link', 'meta', 'noframes', 'style'].includes(name))
+    ) {
+      this.in_head_mode(token);
+      return;
+    } else if ((type === 'StartTag' && ['head', 'noscript'].includes(name)) || (type === 'EndTag' && name !== 'br')) {
+      this.error(name === 'noscript' && type === 'StartTag' ? 'nested-noscript-in-head' : misplaced_code(token));
+      return;
+    }
+    this.error('disallowed-content-in-noscript-in-head');
+    this.stack.pop();
+    this.mode = InsertionMode.IN_HEAD;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "after head" insertion mode: expects `<body>` or `<frameset>`.
+   * @param {Array<any>} token
+   */
+  after_head_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.insert_characters(whitespace);
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (type === 'Comment') {
+      this.insert_comment(token);
+      return;
+    } else if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    } else if (type === 'StartTag') {
+      switch (name) {
+        case 'html':
+          this.in_body_mode(token);
+          return;
+        case 'body':
+          this.insert_element(token);
+          this.frameset_ok = false;
+          this.mode = InsertionMode.IN_BODY;
+          return;
+        case 'frameset':
+          this.insert_element(token);
+          this.mode = InsertionMode.IN_FRAMESET;
+          return;
+        case 'base':
+        case 'basefont':
+        case 'bgsound':
+        case 'link':
+        case 'meta':
+        case 'noframes':
+        case 'script':
+        case 'style':
+        case 'template':
+        case 'title': {
+          // Metadata after </head> still goes into the head element
+          this.error('abandoned-head-element-child');
+          this.stack.push(this.head_element);
+          this.in_head_mode(token);
+          const index = this.stack.indexOf(this.head_element);
+          if (index !== -1) {
+            this.stack.splice(index, 1);
+          }
+          return;
+        }
+        case 'head':
+          this.error('misplaced-start-tag');
+          return;
+      }
+    } else if (type === 'EndTag') {
+      if (name === 'template') {
+        this.in_head_mode(token);
+        return;
+      }
+      if (!['body', 'html', 'br'].includes(name)) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+    }
+    this.insert_implied_element('body');
+    this.mode = InsertionMode.IN_BODY;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in body" insertion mode: handles the content of the document.
+   * @param {Array<any>} token
+   */
+  in_body_mode(token) {
+    const [type] = token;
+    switch (type) {
+      case 'Character': {
+        const data = this.drop_characters(token[1], /\0/g, 'unexpected-null-character');
+        if (!data) {
+          return;
+        }
+        this.reconstruct_active_formatting_elements();
+        this.insert_characters(data);
+        if (!WHITESPACE.test(data)) {
+          this.frameset_ok = false;
+        }
+        return;
+      }
+      case 'Comment':
+        this.insert_comment(token);
+        return;
+      case 'DOCTYPE':
+        this.error('misplaced-doctype');
+        return;
+      case 'StartTag':
+        this.in_body_start_tag(token);
+        return;
+      case 'EndTag':
+        this.in_body_end_tag(token);
+        return;
+      case 'EOF':
+        if (this.template_modes.length) {
+          this.in_template_mode(token);
+          return;
+        }
+        if (this.stack.some(node => !is_html(node, END_OF_BODY_ALLOWED))) {
+          this.error('open-elements-left-after-eof');
+        }
+    }
+  }
+
+  /**
+   * Handles a start tag in the "in body" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_body_start_tag(token) {
+    const [, name, attributes] = token;
+    switch (name) {
+      case 'html':
+        // Its attributes are merged into the root element
+        this.error('misplaced-start-tag');
+        if (this.last_in_stack('template') === -1) {
+          this.merge_attributes(this.stack[0], token);
+        }
+        return;
+      case 'base':
+      case 'basefont':
+      case 'bgsound':
+      case 'link':
+      case 'meta':
+      case 'noframes':
+      case 'script':
+      case 'style':
+      case 'template':
+      case 'title':
+        this.in_head_mode(token);
+        return;
+      case 'body': {
+        // Its attributes are merged into the body element
+        this.error('misplaced-start-tag');
+        const body = this.stack[1];
+        if (!is_html(body, 'body') || this.last_in_stack('template') !== -1) {
+          return;
+        }
+        this.frameset_ok = false;
+        this.merge_attributes(body, token);
+        return;
+      }
+      case 'frameset':
+        this.error('misplaced-start-tag');
+        if (!is_html(this.stack[1], 'body') || !this.frameset_ok) {
+          return;
+        }
+        remove_node(this.stack[1]);
+        this.stack.length = 1;
+        this.insert_element(token);
+        this.mode = InsertionMode.IN_FRAMESET;
+        return;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        this.close_p_element_in_button_scope();
+        if (is_html(this.current_node, HEADINGS)) {
+          this.error('nested-element');
+          this.stack.pop();
+        }
+        this.insert_element(token);
+        return;
+      case 'pre':
+      case 'listing':
+        this.close_p_element_in_button_scope();
+        this.insert_element(token);
+        this.skip_next_newline = true;
+        this.frameset_ok = false;
+        return;
+      case 'form':
+        if (this.form_element && this.last_in_stack('template') === -1) {
+          this.error('nested-element');
+          return;
+        }
+        this.close_p_element_in_button_scope();
+        {
+          const form = this.insert_element(token);
+          if (this.last_in_stack('template') === -1) {
+            this.form_element = form;
+          }
+        }
+        return;
+      case 'li':
+      case 'dd':
+      case 'dt': {
+        this.frameset_ok = false;
+        const closes = name === 'li' ? new Set(['li']) : new Set(['dd', 'dt']);
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+          const node = this.stack[i];
+          if (is_html(node, closes)) {
+            this.generate_implied_end_tags(node.tag);
+            if (!is_html(this.current_node, node.tag)) {
+              this.error('closing-of-element-with-open-child-elements');
+            }
+            this.pop_until(node.tag);
+            break;
+          }
+          if (is_special(node) && !is_html(node, new Set(['address', 'div', 'p']))) {
+            break;
+          }
+        }
+        this.close_p_element_in_button_scope();
+        this.insert_element(token);
+        return;
+      }
+      case 'plaintext':
+        this.close_p_element_in_button_scope();
+        this.insert_element(token);
+        this.switch_tokenizer('plaintext');
+        return;
+      case 'button':
+        if (this.has_element_in_scope('button')) {
+          this.error('nested-element');
+          this.generate_implied_end_tags();
+          this.pop_until('button');
+        }
+        this.reconstruct_active_formatting_elements();
+        this.insert_element(token);
+        this.frameset_ok = false;
+        return;
+      case 'a': {
+        for (let i = this.active_formatting.length - 1; i >= 0 && this.active_formatting[i] !== MARKER; i--) {
+          const { element } = this.active_formatting[i];
+          if (is_html(element, 'a')) {
+            // An <a> inside another <a> closes it first
+            this.error('nested-element');
+            this.adoption_agency(['EndTag', 'a']);
+            const index = this.active_formatting_index(element);
+            if (index !== -1) {
+              this.active_formatting.splice(index, 1);
+            }
+            const stack_index = this.stack.indexOf(element);
+            if (stack_index !== -1) {
+              this.stack.splice(stack_index, 1);
+            }
+            break;
+          }
+        }
+        this.reconstruct_active_formatting_elements();
+        this.push_active_formatting(this.insert_element(token), token);
+        return;
+      }
+      case 'nobr':
+        this.reconstruct_active_formatting_elements();
+        if (this.has_element_in_scope('nobr')) {
+          this.error('nested-element');
+          this.adoption_agency(['EndTag', 'nobr']);
+          this.reconstruct_active_formatting_elements();
+        }
+        this.push_active_formatting(this.insert_element(token), token);
+        return;
+      case 'b':
+      case 'big':
+      case 'code':
+      case 'em':
+      case 'font':
+      case 'i':
+      case 's':
+      case 'small':
+      case 'strike':
+      case 'strong':
+      case 'tt':
+      case 'u':
+        this.reconstruct_active_formatting_elements();
+        this.push_active_formatting(this.insert_element(token), token);
+        return;
+      case 'applet':
+      case 'marquee':
+      case 'object':
+        this.reconstruct_active_formatting_elements();
+        this.insert_element(token);
+        this.active_formatting.push(MARKER);
+        this.frameset_ok = false;
+        return;
+      case 'table':
+        if (this.document.quirksMode !== 'quirks') {
+          this.close_p_element_in_button_scope();
+        }
+        this.insert_element(token);
+        this.frameset_ok = false;
+        this.mode = InsertionMode.IN_TABLE;
+        return;
+      case 'area':
+      case 'br':
+      case 'embed':
+      case 'img':
+      case 'keygen':
+      case 'wbr':
+        this.reconstruct_active_formatting_elements();
+        this.insert_void_element(token);
+        this.frameset_ok = false;
+        return;
+      case 'input': {
+        this.reconstruct_active_formatting_elements();
+        this.insert_void_element(token);
+        const inputType = attributes.type;
+        if (inputType === undefined || inputType.toLowerCase() !== 'hidden') {
+          this.frameset_ok = false;
+        }
+        return;
+      }
+      case 'param':
+      case 'source':
+      case 'track':
+        this.insert_void_element(token);
+        return;
+      case 'hr':
+        this.close_p_element_in_button_scope();
+        this.insert_void_element(token);
+        this.frameset_ok = false;
+        return;
+      case 'image':
+        // Treated as <img>
+        this.error('image-start-tag');
+        this.reprocess(['StartTag', 'img', attributes, token[3]]);
+        return;
+      case 'textarea':
+        this.insert_element(token);
+        this.switch_tokenizer('textarea');
+        this.skip_next_newline = true;
+        this.original_mode = this.mode;
+        this.frameset_ok = false;
+        this.mode = InsertionMode.TEXT;
+        return;
+      case 'xmp':
+        this.close_p_element_in_button_scope();
+        this.reconstruct_active_formatting_elements();
+        this.frameset_ok = false;
+        this.parse_text_element(token);
+        return;
+      case 'iframe':
+        this.frameset_ok = false;
+        this.parse_text_element(token);
+        return;
+      case 'noembed':
+        this.parse_text_element(token);
+        return;
+      case 'noscript':
+        if (this.scripting) {
+          this.parse_text_element(token);
+          return;
+        }
+        break;
+      case 'select':
+        this.reconstruct_active_formatting_elements();
+        this.insert_element(token);
+        this.frameset_ok = false;
+        if ([
+          InsertionMode.IN_TABLE, InsertionMode.IN_CAPTION, InsertionMode.IN_TABLE_BODY,
+          InsertionMode.IN_ROW, InsertionMode.IN_CELL,
+        ].includes(this.mode)) {
+          this.mode = InsertionMode.IN_SELECT_IN_TABLE;
+        } else {
+          this.mode = InsertionMode.IN_SELECT;
+        }
+        return;
+      case 'optgroup':
+      case 'option':
+        if (is_html(this.current_node, 'option')) {
+          this.stack.pop();
+        }
+        this.reconstruct_active_formatting_elements();
+        this.insert_element(token);
+        return;
+      case 'rb':
+      case 'rtc':
+        if (this.has_element_in_scope('ruby')) {
+          this.generate_implied_end_tags();
+          if (!is_html(this.current_node, 'ruby')) {
+            this.error('misplaced-start-tag');
+          }
+        }
+        this.insert_element(token);
+        return;
+      case 'rp':
+      case 'rt':
+        if (this.has_element_in_scope('ruby')) {
+          this.generate_implied_end_tags('rtc');
+          if (!is_html(this.current_node, new Set(['ruby', 'rtc']))) {
+            this.error('misplaced-start-tag');
+          }
+        }
+        this.insert_element(token);
+        return;
+      case 'math':
+        this.reconstruct_active_formatting_elements();
+        this.insert_foreign_element(token, MATHML_NAMESPACE);
+        return;
+      case 'svg':
+        this.reconstruct_active_formatting_elements();
+        this.insert_foreign_element(token, SVG_NAMESPACE);
+        return;
+      case 'caption':
+      case 'col':
+      case 'colgroup':
+      case 'frame':
+      case 'head':
+      case 'tbody':
+      case 'td':
+      case 'tfoot':
+      case 'th':
+      case 'thead':
+      case 'tr':
+        this.error('misplaced-start-tag');
+        return;
+    }
+    if (CLOSES_P_ELEMENT.has(name)) {
+      this.close_p_element_in_button_scope();
+    } else {
+      this.reconstruct_active_formatting_elements();
+    }
+    this.insert_element(token);
+  }
+
+  /**
+   * Handles an end tag in the "in body" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_body_end_tag(token) {
+    const [, name] = token;
+    switch (name) {
+      case 'template':
+        this.in_head_mode(token);
+        return;
+      case 'body':
+      case 'html':
+        if (!this.has_element_in_scope('body')) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        if (this.stack.some(node => !is_html(node, END_OF_BODY_ALLOWED))) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.mode = InsertionMode.AFTER_BODY;
+        if (name === 'html') {
+          this.reprocess(token);
+        }
+        return;
+      case 'form':
+        if (this.last_in_stack('template') === -1) {
+          const form = this.form_element;
+          this.form_element = null;
+          if (!form || !this.has_element_in_scope(form)) {
+            this.error('end-tag-without-matching-open-element');
+            return;
+          }
+          this.generate_implied_end_tags();
+          if (this.current_node !== form) {
+            this.error('closing-of-element-with-open-child-elements');
+          }
+          this.stack.splice(this.stack.indexOf(form), 1);
+        } else {
+          if (!this.has_element_in_scope('form')) {
+            this.error('end-tag-without-matching-open-element');
+            return;
+          }
+          this.generate_implied_end_tags();
+          if (!is_html(this.current_node, 'form')) {
+            this.error('closing-of-element-with-open-child-elements');
+          }
+          this.pop_until('form');
+        }
+        return;
+      case 'p':
+        if (!this.has_element_in_scope('p', 'button')) {
+          // Act as if <p> had been seen
+          this.error('end-tag-without-matching-open-element');
+          this.insert_implied_element('p');
+        }
+        this.close_p_element();
+        return;
+      case 'li':
+        if (!this.has_element_in_scope('li', 'list_item')) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        this.generate_implied_end_tags('li');
+        if (!is_html(this.current_node, 'li')) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.pop_until('li');
+        return;
+      case 'dd':
+      case 'dt':
+        if (!this.has_element_in_scope(name)) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        this.generate_implied_end_tags(name);
+        if (!is_html(this.current_node, name)) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.pop_until(name);
+        return;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        if (!this.has_any_element_in_scope(HEADINGS)) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        this.generate_implied_end_tags();
+        if (!is_html(this.current_node, name)) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.pop_until(HEADINGS);
+        return;
+      case 'applet':
+      case 'marquee':
+      case 'object':
+        if (!this.has_element_in_scope(name)) {
+          this.error('end-tag-without-matching-open-element');
+          return;
+        }
+        this.generate_implied_end_tags();
+        if (!is_html(this.current_node, name)) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.pop_until(name);
+        this.clear_active_formatting_to_last_marker();
+        return;
+      case 'br':
+        // Treated as <br>
+        this.error('misplaced-end-tag');
+        this.in_body_start_tag(['StartTag', 'br', {}]);
+        return;
+    }
+    if (FORMATTING_ELEMENTS.has(name)) {
+      if (!this.adoption_agency(token)) {
+        this.any_other_end_tag(token);
+      }
+      return;
+    }
+    if (BLOCK_END_TAGS.has(name)) {
+      if (!this.has_element_in_scope(name)) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.generate_implied_end_tags();
+      if (!is_html(this.current_node, name)) {
+        this.error('closing-of-element-with-open-child-elements');
+      }
+      this.pop_until(name);
+      return;
+    }
+    this.any_other_end_tag(token);
+  }
+
+  /**
+   * The "any other end tag" steps of the "in body" insertion mode: closes the nearest open element with
+   * the same name, unless a special element is in the way.
+   * @param {Array<any>} token
+   */
+  any_other_end_tag(token) {
+    const [, name] = token;
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const node = this.stack[i];
+      if (is_html(node, name)) {
+        this.generate_implied_end_tags(name);
+        if (this.current_node !== node) {
+          this.error('closing-of-element-with-open-child-elements');
+        }
+        this.stack.length = i;
+        return;
+      }
+      if (is_special(node)) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+    }
+  }
+
+  /**
+   * The "text" insertion mode: collects the content of raw text and RCDATA elements.
+   * @param {Array<any>} token
+   */
+  text_mode(token) {
+    const [type] = token;
+    if (type === 'Character') {
+      this.insert_characters(token[1]);
+      return;
+    }
+    if (type === 'EOF') {
+      this.error('eof-in-element-that-can-contain-only-text');
+      this.stack.pop();
+      this.mode = this.original_mode;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag') {
+      this.stack.pop();
+      this.mode = this.original_mode;
+    }
+    // Other tokens cannot be produced inside raw text.
+  }
+
+  /**
+   * The "in table" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_table_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character' && is_html(this.current_node, new Set(['table', 'tbody', 'template', 'tfoot', 'thead', 'tr']))) {
+      this.pending_table_characters = [];
+      this.original_mode = this.mode;
+      this.mode = InsertionMode.IN_TABLE_TEXT;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'Comment') {
+      this.insert_comment(token);
+      return;
+    }
+    if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    }
+    if (type === 'StartTag') {
+      switch (name) {
+        case 'caption':
+          this.clear_stack_back_to(SCOPES.table);
+          this.active_formatting.push(MARKER);
+          this.insert_element(token);
+          this.mode = InsertionMode.IN_CAPTION;
+          return;
+        case 'colgroup':
+          this.clear_stack_back_to(SCOPES.table);
+          this.insert_element(token);
+          this.mode = InsertionMode.IN_COLUMN_GROUP;
+          return;
+        case 'col':
+          this.clear_stack_back_to(SCOPES.table);
+          this.insert_implied_element('colgroup');
+          this.mode = InsertionMode.IN_COLUMN_GROUP;
+          this.reprocess(token);
+          return;
+        case 'tbody':
+        case 'tfoot':
+        case 'thead':
+          this.clear_stack_back_to(SCOPES.table);
+          this.insert_element(token);
+          this.mode = InsertionMode.IN_TABLE_BODY;
+          return;
+        case 'td':
+        case 'th':
+        case 'tr':
+          this.clear_stack_back_to(SCOPES.table);
+          this.insert_implied_element('tbody');
+          this.mode = InsertionMode.IN_TABLE_BODY;
+          this.reprocess(token);
+          return;
+        case 'table':
+          this.error('nested-element');
+          if (!this.has_element_in_scope('table', 'table')) {
+            return;
+          }
+          this.pop_until('table');
+          this.reset_insertion_mode();
+          this.reprocess(token);
+          return;
+        case 'style':
+        case 'script':
+        case 'template':
+          this.in_head_mode(token);
+          return;
+        case 'input': {
+          const inputType = token[2].type;
+          if (inputType === undefined || inputType.toLowerCase() !== 'hidden') {
+            break;
+          }
+          // Hidden inputs stay inside the table
+          this.error('misplaced-start-tag');
+          this.insert_void_element(token);
+          return;
+        }
+        case 'form':
+          this.error('misplaced-start-tag');
+          if (this.form_element || this.last_in_stack('template') !== -1) {
+            return;
+          }
+          this.form_element = this.insert_element(token);
+          this.stack.pop();
+          return;
+      }
+    } else if (type === 'EndTag') {
+      switch (name) {
+        case 'table':
+          if (!this.has_element_in_scope('table', 'table')) {
+            this.error('end-tag-without-matching-open-element');
+            return;
+          }
+          this.pop_until('table');
+          this.reset_insertion_mode();
+          return;
+        case 'body':
+        case 'caption':
+        case 'col':
+        case 'colgroup':
+        case 'html':
+        case 'tbody':
+        case 'td':
+        case 'tfoot':
+        case 'th':
+        case 'thead':
+        case 'tr':
+          this.error('misplaced-end-tag');
+          return;
+        case 'template':
+          this.in_head_mode(token);
+          return;
+      }
+    } else if (type === 'EOF') {
+      this.in_body_mode(token);
+      return;
+    }
+    // Content that does not belong in a table is moved in front of it
+    this.error('foster-parented-content');
+    this.foster_parenting = true;
+    this.in_body_mode(token);
+    this.foster_parenting = false;
+  }
+
+  /**
+   * The "in table text" insertion mode: buffers text seen directly inside a table so that non-whitespace
+   * text can be foster-parented in front of the table.
+   * @param {Array<any>} token
+   */
+  in_table_text_mode(token) {
+    if (token[0] === 'Character') {
+      const data = this.drop_characters(token[1], /\0/g, 'unexpected-null-character');
+      if (data) {
+        this.pending_table_characters.push(data);
+      }
+      return;
+    }
+    const pending = this.pending_table_characters.join('');
+    this.pending_table_characters = [];
+    if (!WHITESPACE.test(pending)) {
+      this.error('foster-parented-content');
+      this.foster_parenting = true;
+      this.in_body_mode(['Character', pending]);
+      this.foster_parenting = false;
+    } else {
+      this.insert_characters(pending);
+    }
+    this.mode = this.original_mode;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in caption" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_caption_mode(token) {
+    const [type, name] = token;
+    const closes_caption = (type === 'EndTag' && (name === 'caption' || name === 'table')) || (
+      type === 'StartTag' &&
+      ['caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'].includes(name)
+    );
+    if (closes_caption) {
+      if (!this.has_element_in_scope('caption', 'table')) {
+        this.error(misplaced_code(token));
+        return;
+      }
+      this.generate_implied_end_tags();
+      if (!is_html(this.current_node, 'caption')) {
+        this.error('closing-of-element-with-open-child-elements');
+      }
+      this.pop_until('caption');
+      this.clear_active_formatting_to_last_marker();
+      this.mode = InsertionMode.IN_TABLE;
+      if (name !== 'caption' || type !== 'EndTag') {
+        this.reprocess(token);
+      }
+      return;
+    }
+    if (type === 'EndTag' && ['body', 'col', 'colgroup', 'html', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'].includes(name)) {
+      this.error('misplaced-end-tag');
+      return;
+    }
+    this.in_body_mode(token);
+  }
+
+  /**
+   * The "in column group" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_column_group_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.insert_characters(whitespace);
+      if (!rest) {
+        return;
+      }
+      token = ['Character', rest];
+    } else if (type === 'Comment') {
+      this.insert_comment(token);
+      return;
+    } else if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    } else if (type === 'StartTag' && name === 'html') {
+      this.in_body_mode(token);
+      return;
+    } else if (type === 'StartTag' && name === 'col') {
+      this.insert_void_element(token);
+      return;
+    } else if (type === 'EndTag' && name === 'colgroup') {
+      if (!is_html(this.current_node, 'colgroup')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.stack.pop();
+      this.mode = InsertionMode.IN_TABLE;
+      return;
+    } else if (type === 'EndTag' && name === 'col') {
+      this.error('misplaced-end-tag');
+      return;
+    } else if (name === 'template' && (type === 'StartTag' || type === 'EndTag')) {
+      this.in_head_mode(token);
+      return;
+    } else if (type === 'EOF') {
+      this.in_body_mode(token);
+      return;
+    }
+    if (!is_html(this.current_node, 'colgroup')) {
+      this.error(misplaced_code(token));
+      return;
+    }
+    this.stack.pop();
+    this.mode = InsertionMode.IN_TABLE;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in table body" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_table_body_mode(token) {
+    const [type, name] = token;
+    const context = new Set(['tbody', 'tfoot', 'thead', 'template', 'html']);
+    if (type === 'StartTag' && name === 'tr') {
+      this.clear_stack_back_to(context);
+      this.insert_element(token);
+      this.mode = InsertionMode.IN_ROW;
+      return;
+    }
+    if (type === 'StartTag' && (name === 'th' || name === 'td')) {
+      this.error('misplaced-start-tag');
+      this.clear_stack_back_to(context);
+      this.insert_implied_element('tr');
+      this.mode = InsertionMode.IN_ROW;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag' && TABLE_SECTIONS.has(name)) {
+      if (!this.has_element_in_scope(name, 'table')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.clear_stack_back_to(context);
+      this.stack.pop();
+      this.mode = InsertionMode.IN_TABLE;
+      return;
+    }
+    if (
+      (type === 'StartTag' && ['caption', 'col', 'colgroup', 'tbody', 'tfoot', 'thead'].includes(name)) ||
+      (type === 'EndTag' && name === 'table')
+    ) {
+      if (!this.has_any_element_in_scope(TABLE_SECTIONS, 'table')) {
+        this.error(misplaced_code(token));
+        return;
+      }
+      this.clear_stack_back_to(context);
+      this.stack.pop();
+      this.mode = InsertionMode.IN_TABLE;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag' && ['body', 'caption', 'col', 'colgroup', 'html', 'td', 'th', 'tr'].includes(name)) {
+      this.error('misplaced-end-tag');
+      return;
+    }
+    this.in_table_mode(token);
+  }
+
+  /**
+   * The "in row" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_row_mode(token) {
+    const [type, name] = token;
+    const context = new Set(['tr', 'template', 'html']);
+    if (type === 'StartTag' && (name === 'th' || name === 'td')) {
+      this.clear_stack_back_to(context);
+      this.insert_element(token);
+      this.mode = InsertionMode.IN_CELL;
+      this.active_formatting.push(MARKER);
+      return;
+    }
+    if (type === 'EndTag' && name === 'tr') {
+      if (!this.has_element_in_scope('tr', 'table')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.clear_stack_back_to(context);
+      this.stack.pop();
+      this.mode = InsertionMode.IN_TABLE_BODY;
+      return;
+    }
+    if (
+      (type === 'StartTag' && ['caption', 'col', 'colgroup', 'tbody', 'tfoot', 'thead', 'tr'].includes(name)) ||
+      (type === 'EndTag' && (name === 'table' || TABLE_SECTIONS.has(name)))
+    ) {
+      if (type === 'EndTag' && TABLE_SECTIONS.has(name) && !this.has_element_in_scope(name, 'table')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      if (!this.has_element_in_scope('tr', 'table')) {
+        this.error(misplaced_code(token));
+        return;
+      }
+      this.clear_stack_back_to(context);
+      this.stack.pop();
+      this.mode = InsertionMode.IN_TABLE_BODY;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag' && ['body', 'caption', 'col', 'colgroup', 'html', 'td', 'th'].includes(name)) {
+      this.error('misplaced-end-tag');
+      return;
+    }
+    this.in_table_mode(token);
+  }
+
+  /**
+   * Closes the open `td` or `th` element and returns to the "in row" insertion mode.
+   */
+  close_cell() {
+    this.generate_implied_end_tags();
+    if (!is_html(this.current_node, new Set(['td', 'th']))) {
+      this.error('closing-of-element-with-open-child-elements');
+    }
+    this.pop_until(new Set(['td', 'th']));
+    this.clear_active_formatting_to_last_marker();
+    this.mode = InsertionMode.IN_ROW;
+  }
+
+  /**
+   * The "in cell" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_cell_mode(token) {
+    const [type, name] = token;
+    if (type === 'EndTag' && (name === 'td' || name === 'th')) {
+      if (!this.has_element_in_scope(name, 'table')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.generate_implied_end_tags();
+      if (!is_html(this.current_node, name)) {
+        this.error('closing-of-element-with-open-child-elements');
+      }
+      this.pop_until(name);
+      this.clear_active_formatting_to_last_marker();
+      this.mode = InsertionMode.IN_ROW;
+      return;
+    }
+    if (type === 'StartTag' && ['caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'].includes(name)) {
+      if (!this.has_any_element_in_scope(['td', 'th'], 'table')) {
+        this.error('misplaced-start-tag');
+        return;
+      }
+      this.close_cell();
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag' && ['body', 'caption', 'col', 'colgroup', 'html'].includes(name)) {
+      this.error('misplaced-end-tag');
+      return;
+    }
+    if (type === 'EndTag' && ['table', 'tbody', 'tfoot', 'thead', 'tr'].includes(name)) {
+      if (!this.has_element_in_scope(name, 'table')) {
+        this.error('end-tag-without-matching-open-element');
+        return;
+      }
+      this.close_cell();
+      this.reprocess(token);
+      return;
+    }
+    this.in_body_mode(token);
+  }
+
+  /**
+   * The "in select" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_select_mode(token) {
+    const [type, name] = token;
+    switch (type) {
+      case 'Character':
+        this.insert_characters(this.drop_characters(token[1], /\0/g, 'unexpected-null-character'));
+        return;
+      case 'Comment':
+        this.insert_comment(token);
+        return;
+      case 'DOCTYPE':
+        this.error('misplaced-doctype');
+        return;
+      case 'EOF':
+        this.in_body_mode(token);
+        return;
+      case 'StartTag':
+        switch (name) {
+          case 'html':
+            this.in_body_mode(token);
+            return;
+          case 'option':
+            if (is_html(this.current_node, 'option')) {
+              this.stack.pop();
+            }
+            this.insert_element(token);
+            return;
+          case 'optgroup':
+            if (is_html(this.current_node, 'option')) {
+              this.stack.pop();
+            }
+            if (is_html(this.current_node, 'optgroup')) {
+              this.stack.pop();
+            }
+            this.insert_element(token);
+            return;
+          case 'hr':
+            if (is_html(this.current_node, 'option')) {
+              this.stack.pop();
+            }
+            if (is_html(this.current_node, 'optgroup')) {
+              this.stack.pop();
+            }
+            this.insert_void_element(token);
+            return;
+          case 'select':
+            // A nested <select> closes the open one
+            this.error('nested-element');
+            if (this.has_element_in_scope('select', 'select')) {
+              this.pop_until('select');
+              this.reset_insertion_mode();
+            }
+            return;
+          case 'input':
+          case 'keygen':
+          case 'textarea':
+            this.error('misplaced-start-tag');
+            if (!this.has_element_in_scope('select', 'select')) {
+              return;
+            }
+            this.pop_until('select');
+            this.reset_insertion_mode();
+            this.reprocess(token);
+            return;
+          case 'script':
+          case 'template':
+            this.in_head_mode(token);
+            return;
+        }
+        this.error('misplaced-start-tag');
+        return;
+      case 'EndTag':
+        switch (name) {
+          case 'optgroup':
+            if (is_html(this.current_node, 'option') && is_html(this.stack[this.stack.length - 2], 'optgroup')) {
+              this.stack.pop();
+            }
+            if (is_html(this.current_node, 'optgroup')) {
+              this.stack.pop();
+            } else {
+              this.error('end-tag-without-matching-open-element');
+            }
+            return;
+          case 'option':
+            if (is_html(this.current_node, 'option')) {
+              this.stack.pop();
+            } else {
+              this.error('end-tag-without-matching-open-element');
+            }
+            return;
+          case 'select':
+            if (!this.has_element_in_scope('select', 'select')) {
+              this.error('end-tag-without-matching-open-element');
+              return;
+            }
+            this.pop_until('select');
+            this.reset_insertion_mode();
+            return;
+          case 'template':
+            this.in_head_mode(token);
+            return;
+        }
+        this.error('misplaced-end-tag');
+        return;
+    }
+  }
+
+  /**
+   * The "in select in table" insertion mode: a `select` inside a table is closed by table markup.
+   * @param {Array<any>} token
+   */
+  in_select_in_table_mode(token) {
+    const [type, name] = token;
+    const table_tags = ['caption', 'table', 'tbody', 'tfoot', 'thead', 'tr', 'td', 'th'];
+    if ((type === 'StartTag' || type === 'EndTag') && table_tags.includes(name)) {
+      this.error(misplaced_code(token));
+      if (type === 'EndTag' && !this.has_element_in_scope(name, 'table')) {
+        return;
+      }
+      this.pop_until('select');
+      this.reset_insertion_mode();
+      this.reprocess(token);
+      return;
+    }
+    this.in_select_mode(token);
+  }
+
+  /**
+   * The "in template" insertion mode: picks the mode for the template's content from its first element.
+   * @param {Array<any>} token
+   */
+  in_template_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character' || type === 'Comment' || type === 'DOCTYPE') {
+      this.in_body_mode(token);
+      return;
+    }
+    if (
+      (type === 'StartTag' && ['base', 'basefont', 'bgsound', 'link', 'meta', 'noframes', 'script', 'style', 'template', 'title'].includes(name)) ||
+      (type === 'EndTag' && name === 'template')
+    ) {
+      this.in_head_mode(token);
+      return;
+    }
+    if (type === 'StartTag') {
+      let mode = InsertionMode.IN_BODY;
+      if (['caption', 'colgroup', 'tbody', 'tfoot', 'thead'].includes(name)) {
+        mode = InsertionMode.IN_TABLE;
+      } else if (name === 'col') {
+        mode = InsertionMode.IN_COLUMN_GROUP;
+      } else if (name === 'tr') {
+        mode = InsertionMode.IN_TABLE_BODY;
+      } else if (name === 'td' || name === 'th') {
+        mode = InsertionMode.IN_ROW;
+      }
+      this.template_modes.pop();
+      this.template_modes.push(mode);
+      this.mode = mode;
+      this.reprocess(token);
+      return;
+    }
+    if (type === 'EndTag') {
+      this.error('misplaced-end-tag');
+      return;
+    }
+    if (type === 'EOF') {
+      if (this.last_in_stack('template') === -1) {
+        return;
+      }
+      this.error('open-elements-left-after-eof');
+      this.pop_until('template');
+      this.clear_active_formatting_to_last_marker();
+      this.template_modes.pop();
+      this.reset_insertion_mode();
+      this.reprocess(token);
+    }
+  }
+
+  /**
+   * The "after body" insertion mode.
+   * @param {Array<any>} token
+   */
+  after_body_mode(token) {
+    const [type, name] = token;
+    if (type === 'Character' && WHITESPACE.test(token[1])) {
+      this.in_body_mode(token);
+      return;
+    }
+    if (type === 'Comment') {
+      this.insert_comment(token, this.stack[0]);
+      return;
+    }
+    if (type === 'DOCTYPE') {
+      this.error('misplaced-doctype');
+      return;
+    }
+    if (type === 'StartTag' && name === 'html') {
+      this.in_body_mode(token);
+      return;
+    }
+    if (type === 'EndTag' && name === 'html') {
+      // A fragment is parsed inside its context, which its own markup cannot close.
+      if (this.context) {
+        this.error('misplaced-end-tag');
+      } else {
+        this.mode = InsertionMode.AFTER_AFTER_BODY;
+      }
+      return;
+    }
+    if (type === 'EOF') {
+      return;
+    }
+    // Content after </body> goes back into the body
+    this.error('content-after-body');
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.in_body_mode(['Character', whitespace]);
+      token = ['Character', rest];
+    }
+    this.mode = InsertionMode.IN_BODY;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "in frameset" insertion mode.
+   * @param {Array<any>} token
+   */
+  in_frameset_mode(token) {
+    const [type, name] = token;
+    switch (type) {
+      case 'Character':
+        this.insert_characters(this.drop_characters(token[1], /[^\t\n\f\r ]/g, 'misplaced-text'));
+        return;
+      case 'Comment':
+        this.insert_comment(token);
+        return;
+      case 'StartTag':
+        if (name === 'html') {
+          this.in_body_mode(token);
+        } else if (name === 'frameset') {
+          this.insert_element(token);
+        } else if (name === 'frame') {
+          this.insert_void_element(token);
+        } else if (name === 'noframes') {
+          this.in_head_mode(token);
+        } else {
+          this.error('misplaced-start-tag');
+        }
+        return;
+      case 'EndTag':
+        if (name !== 'frameset') {
+          this.error('misplaced-end-tag');
+        } else if (is_html(this.current_node, 'html')) {
+          this.error('end-tag-without-matching-open-element');
+        } else {
+          this.stack.pop();
+          if (!this.context && !is_html(this.current_node, 'frameset')) {
+            this.mode = InsertionMode.AFTER_FRAMESET;
+          }
+        }
+        return;
+      case 'DOCTYPE':
+        this.error('misplaced-doctype');
+        return;
+      case 'EOF':
+        if (!is_html(this.current_node, 'html')) {
+          this.error('open-elements-left-after-eof');
+        }
+        return;
+    }
+  }
+
+  /**
+   * The "after frameset" insertion mode.
+   * @param {Array<any>} token
+   */
+  after_frameset_mode(token) {
+    const [type, name] = token;
+    switch (type) {
+      case 'Character':
+        this.insert_characters(this.drop_characters(token[1], /[^\t\n\f\r ]/g, 'misplaced-text'));
+        return;
+      case 'Comment':
+        this.insert_comment(token);
+        return;
+      case 'StartTag':
+        if (name === 'html') {
+          this.in_body_mode(token);
+        } else if (name === 'noframes') {
+          this.in_head_mode(token);
+        } else {
+          this.error('misplaced-start-tag');
+        }
+        return;
+      case 'EndTag':
+        if (name === 'html') {
+          this.mode = InsertionMode.AFTER_AFTER_FRAMESET;
+        } else {
+          this.error('misplaced-end-tag');
+        }
+        return;
+      case 'DOCTYPE':
+        this.error('misplaced-doctype');
+        return;
+    }
+  }
+
+  /**
+   * The "after after body" insertion mode.
+   * @param {Array<any>} token
+   */
+  after_after_body_mode(token) {
+    const [type, name] = token;
+    if (type === 'Comment') {
+      this.insert_comment(token, this.document);
+      return;
+    }
+    if (type === 'DOCTYPE' || (type === 'Character' && WHITESPACE.test(token[1])) || (type === 'StartTag' && name === 'html')) {
+      this.in_body_mode(token);
+      return;
+    }
+    if (type === 'EOF') {
+      return;
+    }
+    this.error('content-after-body');
+    if (type === 'Character') {
+      const [whitespace, rest] = split_leading_whitespace(token[1]);
+      this.in_body_mode(['Character', whitespace]);
+      token = ['Character', rest];
+    }
+    this.mode = InsertionMode.IN_BODY;
+    this.reprocess(token);
+  }
+
+  /**
+   * The "after after frameset" insertion mode.
+   * @param {Array<any>} token
+   */
+  after_after_frameset_mode(token) {
+    const [type, name] = token;
+    if (type === 'Comment') {
+      this.insert_comment(token, this.document);
+      return;
+    }
+    if (type === 'DOCTYPE' || (type === 'StartTag' && name === 'html')) {
+      this.in_body_mode(token);
+      return;
+    }
+    if (type === 'Character') {
+      this.in_body_mode(['Character', this.drop_characters(token[1], /[^\t\n\f\r ]/g, 'misplaced-text')]);
+      return;
+    }
+    if (type === 'StartTag' && name === 'noframes') {
+      this.in_head_mode(token);
+    } else if (type !== 'EOF') {
+      this.error(misplaced_code(token));
+    }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,416 @@
+// tests/html5lib.js
+//
+// Runs the html5lib-tests conformance suite (https://github.com/html5lib/html5lib-tests) against the tokenizer and
+// the tree builder. The suite is read from tests/html5lib-tests, a vendored snapshot of that repository (see its
+// README.md), or from the directory the HTML5LIB_TESTS environment variable names, e.g. a newer checkout:
+//
+//   node tests/html5lib.js [--verbose] [--update] [filter]
+//
+// Each test checks the tokens or the tree, and separately, with an id ending in " (errors)", the parse errors:
+// their codes for tokenizer tests, or their number for tokenizer tests in the old format, which give none. The
+// standard defines no codes for tree construction errors, so tree construction tests check their number, and that
+// the errors with a code in the "#new-errors" section of newer versions of the suite are among them.
+//
+// --verbose  show the input, expected and actual output of every unexpected failure
+// --update   rewrite the known failures list with the tests that fail now
+// filter     only run the files whose path contains it, e.g. "tests1.dat"
+//
+// Tests listed in tests/html5lib-known-failures.txt may fail without failing the run.
+
+import { parseHTML } from '../src/index.js';
+import { Tokenizer, State } from '../src/tokenizer.js';
+import { ElementNode } from '../src/nodes.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SUITE_DIR = process.env.HTML5LIB_TESTS || path.join(TESTS_DIR, 'html5lib-tests');
+const KNOWN_FAILURES_FILE = path.join(TESTS_DIR, 'html5lib-known-failures.txt');
+
+const NAMESPACES = {
+  html: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  math: 'http://www.w3.org/1998/Math/MathML',
+};
+
+// The prefixes the tree dump format writes namespaced attributes with.
+const ATTRIBUTE_PREFIXES = {
+  'http://www.w3.org/1999/xlink': 'xlink',
+  'http://www.w3.org/XML/1998/namespace': 'xml',
+  'http://www.w3.org/2000/xmlns/': 'xmlns',
+};
+
+// The tokenizer states tokenizer tests may start in, by the name the tests give them.
+const INITIAL_STATES = {
+  'Data state': State.DATA,
+  'PLAINTEXT state': State.PLAINTEXT,
+  'RCDATA state': State.RCDATA,
+  'RAWTEXT state': State.RAWTEXT,
+  'Script data state': State.SCRIPT_DATA,
+  'CDATA section state': State.CDATA_SECTION,
+};
+
+const DAT_SECTIONS = new Set(['data', 'errors', 'new-errors', 'document-fragment', 'script-off', 'script-on', 'document']);
+
+/**
+ * Writes a node's descendants in the html5lib-tests tree dump format: one `| `-prefixed line per node, indented
+ * two spaces per level, with attributes sorted under their element and a template's content under `content`.
+ *
+ * @param {import('../src/nodes.js').Node} root A document or document fragment.
+ * @returns {string}
+ */
+export function dumpTree(root) {
+  const lines = [];
+  const dump = (node, depth) => {
+    const indent = '| ' + '  '.repeat(depth);
+    switch (node.type) {
+      case 'doctype':
+        if (node.publicId !== null || node.systemId !== null) {
+          lines.push(`${indent}<!DOCTYPE ${node.name || ''} "${node.publicId || ''}" "${node.systemId || ''}">`);
+        } else {
+          lines.push(`${indent}<!DOCTYPE ${node.name || ''}>`);
+        }
+        return;
+      case 'comment':
+        lines.push(`${indent}<!-- ${node.text} -->`);
+        return;
+      case 'text':
+        lines.push(`${indent}"${node.text}"`);
+        return;
+    }
+    const prefix = Object.keys(NAMESPACES).find(key => NAMESPACES[key] === node.namespace);
+    lines.push(prefix === 'html' ? `${indent}<${node.tag}>` : `${indent}<${prefix} ${node.tag}>`);
+    const attributes = Object.entries(node.attributes).map(([name, value]) => {
+      const namespace = node.attributeNamespaces[name];
+      if (namespace) {
+        name = `${ATTRIBUTE_PREFIXES[namespace]} ${name.slice(name.indexOf(':') + 1)}`;
+      }
+      return [name, value];
+    });
+    attributes.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    for (const [name, value] of attributes) {
+      lines.push(`${indent}  ${name}="${value}"`);
+    }
+    let childDepth = depth + 1;
+    if (prefix === 'html' && node.tag === 'template') {
+      lines.push(`${indent}  content`);
+      childDepth++;
+    }
+    for (const child of node.children) {
+      dump(child, childDepth);
+    }
+  };
+  for (const child of root.children) {
+    dump(child, 0);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Splits a tree construction `.dat` file into its tests.
+ *
+ * @param {string} text
+ * @returns {Array<{data: string, errors: string[], newErrors: string[], fragment: string|null, scriptOn: boolean,
+ *   document: string}>}
+ */
+export function parseDat(text) {
+  const tests = [];
+  let sections = null;
+  let section = null;
+  for (const line of text.split('\n')) {
+    if (line.startsWith('#') && DAT_SECTIONS.has(line.slice(1))) {
+      section = line.slice(1);
+      if (section === 'data') {
+        sections = {};
+        tests.push(sections);
+      }
+      sections[section] = [];
+    } else if (sections) {
+      sections[section].push(line);
+    }
+  }
+  return tests.map(sections => {
+    const document = sections.document || [];
+    while (document.length && document[document.length - 1] === '') {
+      document.pop();
+    }
+    return {
+      data: sections.data.join('\n'),
+      errors: (sections.errors || []).filter(Boolean),
+      newErrors: (sections['new-errors'] || []).filter(Boolean),
+      fragment: sections['document-fragment'] ? sections['document-fragment'][0] : null,
+      scriptOn: 'script-on' in sections,
+      document: document.join('\n'),
+    };
+  });
+}
+
+/**
+ * Turns the tokenizer's tokens into the form tokenizer tests expect: DOCTYPEs with a "correctness" flag rather
+ * than force-quirks, and the self-closing flag only when set.
+ *
+ * @param {Array<Array<any>>} tokens
+ * @returns {Array<Array<any>>}
+ */
+function normalizeTokens(tokens) {
+  return tokens.map(token => {
+    switch (token[0]) {
+      case 'StartTag':
+        return token[3] ? ['StartTag', token[1], token[2], true] : ['StartTag', token[1], token[2]];
+      case 'DOCTYPE':
+        return ['DOCTYPE', token[1], token[2], token[3], !token[4]];
+      default:
+        return [...token];
+    }
+  });
+}
+
+/**
+ * Joins adjacent Character tokens, which tests may list separately.
+ *
+ * @param {Array<Array<any>>} tokens
+ * @returns {Array<Array<any>>}
+ */
+function joinCharacters(tokens) {
+  const result = [];
+  for (const token of tokens) {
+    const last = result[result.length - 1];
+    if (token[0] === 'Character' && last && last[0] === 'Character') {
+      result[result.length - 1] = ['Character', last[1] + token[1]];
+    } else {
+      result.push(token);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decodes the `\uXXXX` escapes of a `doubleEscaped` tokenizer test.
+ *
+ * @param {*} value A string, or an array or object holding strings.
+ * @returns {*}
+ */
+function unescape(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\\u([0-9a-fA-F]{4})/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(unescape);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [unescape(key), unescape(item)]));
+  }
+  return value;
+}
+
+/**
+ * Runs the tests of a tokenizer `.test` file.
+ *
+ * @param {string} file
+ * @param {string} id The file's path in the suite, which test ids start with.
+ * @returns {Array<{id: string, passed: boolean, input: string, expected: string, actual: string}>}
+ */
+function runTokenizerFile(file, id) {
+  const { tests = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const results = [];
+  tests.forEach((test, index) => {
+    const input = test.doubleEscaped ? unescape(test.input) : test.input;
+    // Tests in the old format list a "ParseError" among the tokens for each error rather than their codes.
+    const tokens = (test.doubleEscaped ? unescape(test.output) : test.output).filter(token => token !== 'ParseError');
+    const output = joinCharacters(tokens);
+    const errors = test.errors ? test.errors.map(error => error.code) : test.output.length - tokens.length;
+    const states = test.initialStates || ['Data state'];
+    for (const stateName of states) {
+      const testId = states.length > 1 ? `${id}#${index} (${stateName})` : `${id}#${index}`;
+      const result = { id: testId, input, expected: JSON.stringify(output) };
+      const errorResult = { id: `${testId} (errors)`, input, expected: JSON.stringify(errors) };
+      try {
+        const tokenizer = new Tokenizer({ collectErrors: true });
+        tokenizer.state = INITIAL_STATES[stateName];
+        tokenizer.last_start_tag = test.lastStartTag || null;
+        result.actual = JSON.stringify(joinCharacters(normalizeTokens(tokenizer.run(input))));
+        const codes = tokenizer.errors.map(error => error.code);
+        errorResult.actual = JSON.stringify(test.errors ? codes : codes.length);
+      } catch (error) {
+        result.actual = errorResult.actual = error.stack;
+      }
+      result.passed = result.actual === result.expected;
+      errorResult.passed = errorResult.actual === errorResult.expected;
+      results.push(result, errorResult);
+    }
+  });
+  return results;
+}
+
+/**
+ * Runs the tests of a tree construction `.dat` file. Tests that need scripting enabled are skipped, as scripts
+ * never run here.
+ *
+ * @param {string} file
+ * @param {string} id The file's path in the suite, which test ids start with.
+ * @returns {Array<{id: string, passed: boolean, input: string, expected: string, actual: string}>}
+ */
+function runTreeConstructionFile(file, id) {
+  const results = [];
+  parseDat(fs.readFileSync(file, 'utf8')).forEach((test, index) => {
+    if (test.scriptOn) {
+      return;
+    }
+    const result = { id: `${id}#${index}`, input: test.data, expected: test.document };
+    // "#new-errors" lines look like "(1:5) eof-in-tag" or "(1:5-1:7) eof-in-tag".
+    const codes = test.newErrors.map(line => line.replace(/^\([^)]*\)\s*/, ''));
+    const count = test.errors.length + test.newErrors.length;
+    const errorResult = {
+      id: `${id}#${index} (errors)`,
+      input: test.data,
+      expected: JSON.stringify({ count, including: codes }),
+    };
+    try {
+      const options = { collectErrors: true };
+      if (test.fragment) {
+        const [prefix, tag] = test.fragment.includes(' ') ? test.fragment.split(' ') : ['html', test.fragment];
+        options.fragmentContext = new ElementNode(tag, NAMESPACES[prefix]);
+      }
+      const doc = parseHTML(test.data, options);
+      result.actual = dumpTree(doc.root);
+      const actualCodes = doc.errors.map(error => error.code);
+      errorResult.actual = JSON.stringify({ count: actualCodes.length, codes: actualCodes });
+      errorResult.passed = actualCodes.length === count && includesAll(actualCodes, codes);
+    } catch (error) {
+      result.actual = errorResult.actual = error.stack;
+      errorResult.passed = false;
+    }
+    result.passed = result.actual === result.expected;
+    results.push(result, errorResult);
+  });
+  return results;
+}
+
+/**
+ * Checks whether a list of error codes holds others, each as many times as they are listed.
+ *
+ * @param {string[]} codes
+ * @param {string[]} required
+ * @returns {boolean}
+ */
+function includesAll(codes, required) {
+  const remaining = [...codes];
+  return required.every(code => {
+    const index = remaining.indexOf(code);
+    if (index !== -1) {
+      remaining.splice(index, 1);
+    }
+    return index !== -1;
+  });
+}
+
+/**
+ * Lists the files of one part of the suite.
+ *
+ * @param {string} part `tokenizer` or `tree-construction`.
+ * @param {string} extension
+ * @returns {string[]} Paths relative to the suite.
+ */
+function suiteFiles(part, extension) {
+  const dir = path.join(SUITE_DIR, part);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(name => name.endsWith(extension)).sort().map(name => `${part}/${name}`);
+}
+
+/**
+ * Reads the ids of the tests that are known to fail.
+ *
+ * @returns {Set<string>}
+ */
+function readKnownFailures() {
+  if (!fs.existsSync(KNOWN_FAILURES_FILE)) {
+    return new Set();
+  }
+  const lines = fs.readFileSync(KNOWN_FAILURES_FILE, 'utf8').split('\n');
+  return new Set(lines.map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+}
+
+function main(args) {
+  const options = {
+    verbose: args.includes('--verbose'),
+    update: args.includes('--update'),
+  };
+  const filter = args.find(arg => !arg.startsWith('--')) || '';
+
+  if (!fs.existsSync(SUITE_DIR)) {
+    console.error(`html5lib-tests not found in ${SUITE_DIR}.`);
+    console.error('Point HTML5LIB_TESTS at a checkout of https://github.com/html5lib/html5lib-tests');
+    return 1;
+  }
+
+  const known = readKnownFailures();
+  const failures = [];
+  const unexpected = [];
+  const fixed = [];
+  let passed = 0;
+  let total = 0;
+
+  const ran = new Set();
+  const files = [
+    ...suiteFiles('tokenizer', '.test').map(id => [id, file => runTokenizerFile(file, id)]),
+    ...suiteFiles('tree-construction', '.dat').map(id => [id, file => runTreeConstructionFile(file, id)]),
+  ];
+  for (const [id, run] of files) {
+    if (!id.includes(filter)) {
+      continue;
+    }
+    ran.add(id);
+    const results = run(path.join(SUITE_DIR, id));
+    const filePassed = results.filter(result => result.passed).length;
+    let knownCount = 0;
+    for (const result of results) {
+      if (result.passed) {
+        if (known.has(result.id)) {
+          fixed.push(result.id);
+        }
+      } else {
+        failures.push(result.id);
+        if (known.has(result.id)) {
+          knownCount++;
+        } else {
+          unexpected.push(result);
+        }
+      }
+    }
+    passed += filePassed;
+    total += results.length;
+    const status = filePassed === results.length ? 'PASS' : 'FAIL';
+    const note = knownCount ? ` (${knownCount} known)` : '';
+    console.log(`${status} ${id}: ${filePassed}/${results.length}${note}`);
+  }
+
+  console.log(`\n${passed}/${total} passed, ${failures.length - unexpected.length} known failures, ` +
+    `${unexpected.length} unexpected failures`);
+
+  for (const result of unexpected) {
+    console.log(`\nUnexpected failure: ${result.id}`);
+    if (options.verbose) {
+      console.log(`Input:\n${result.input}\nExpected:\n${result.expected}\nActual:\n${result.actual}`);
+    }
+  }
+  if (fixed.length) {
+    console.log(`\nKnown failures that now pass, to remove from the list:\n${fixed.join('\n')}`);
+  }
+
+  if (options.update) {
+    const header = '# html5lib-tests known to fail, one test id per line. Regenerate with: node tests/html5lib.js --update\n';
+    // Failures of the files that were filtered out stay on the list.
+    const list = [...[...known].filter(id => !ran.has(id.slice(0, id.indexOf('#')))), ...failures];
+    fs.writeFileSync(KNOWN_FAILURES_FILE, header + list.map(id => id + '\n').join(''));
+    console.log(`\nWrote ${list.length} known failures to ${path.relative(process.cwd(), KNOWN_FAILURES_FILE)}`);
+    return 0;
+  }
+  return unexpected.length ? 1 : 0;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
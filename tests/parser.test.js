@@ -1,21 +1,33 @@
 // tests/parser.test.js
 
-import { parseHTML } from '../src/index.js';
+import {
+  parseHTML, createParser, parseStream, createParserStream, scanHTML, createTreeWalker, NodeFilter,
+} from '../src/index.js';
 import { ParseError } from '../src/errors.js';
+import { Tokenizer } from '../src/tokenizer.js';
+import { ElementNode, TextNode, DocumentFragmentNode } from '../src/nodes.js';
 import assert from 'assert';
+import { Readable } from 'stream';
+import { dumpTree, parseDat } from './html5lib.js';
+
+function bodyOf(doc) {
+  return doc.query('body')[0];
+}
 
 function testParseText() {
   const doc = parseHTML('Hello, world!');
-  assert.strictEqual(doc.root.children.length, 1);
-  assert.strictEqual(doc.root.children[0].type, 'text');
-  assert.strictEqual(doc.root.children[0].text, 'Hello, world!');
+  const body = bodyOf(doc);
+  assert.strictEqual(body.children.length, 1);
+  assert.strictEqual(body.children[0].type, 'text');
+  assert.strictEqual(body.children[0].text, 'Hello, world!');
   console.log('testParseText passed!');
 }
 
 function testParseStartTag() {
   const doc = parseHTML('<p>');
-  assert.strictEqual(doc.root.children.length, 1);
-  const p = doc.root.children[0];
+  const body = bodyOf(doc);
+  assert.strictEqual(body.children.length, 1);
+  const p = body.children[0];
   assert.strictEqual(p.type, 'element');
   assert.strictEqual(p.tag, 'p');
   console.log('testParseStartTag passed!');
@@ -23,8 +35,9 @@ function testParseStartTag() {
 
 function testParseEndTag() {
   const doc = parseHTML('<p></p>');
-  assert.strictEqual(doc.root.children.length, 1);
-  const p = doc.root.children[0];
+  const body = bodyOf(doc);
+  assert.strictEqual(body.children.length, 1);
+  const p = body.children[0];
   assert.strictEqual(p.type, 'element');
   assert.strictEqual(p.tag, 'p');
   assert.strictEqual(p.children.length, 0);
@@ -33,8 +46,9 @@ function testParseEndTag() {
 
 function testParseAttribute() {
   const doc = parseHTML('<p id="foo"></p>');
-  assert.strictEqual(doc.root.children.length, 1);
-  const p = doc.root.children[0];
+  const body = bodyOf(doc);
+  assert.strictEqual(body.children.length, 1);
+  const p = body.children[0];
   assert.strictEqual(p.type, 'element');
   assert.strictEqual(p.tag, 'p');
   assert.strictEqual(p.attributes.id, 'foo');
@@ -43,8 +57,9 @@ function testParseAttribute() {
 
 function testParseMultipleAttributes() {
   const doc = parseHTML('<p id="foo" class="bar"></p>');
-  assert.strictEqual(doc.root.children.length, 1);
-  const p = doc.root.children[0];
+  const body = bodyOf(doc);
+  assert.strictEqual(body.children.length, 1);
+  const p = body.children[0];
   assert.strictEqual(p.type, 'element');
   assert.strictEqual(p.tag, 'p');
   assert.strictEqual(p.attributes.id, 'foo');
@@ -55,7 +70,7 @@ function testParseMultipleAttributes() {
 function testToHTML() {
   const html = '<p id="foo" class="bar">Hello, world!</p>';
   const doc = parseHTML(html);
-  assert.strictEqual(doc.toHTML({pretty: false}), html);
+  assert.strictEqual(doc.toHTML({pretty: false}), `<html><head></head><body>${html}</body></html>`);
   console.log('testToHTML passed!');
 }
 
@@ -94,20 +109,571 @@ function testQueryId() {
   console.log('testQueryId passed!');
 }
 
+function testAttributeSelectors() {
+  const doc = parseHTML(
+    '<a href="https://example.com" data-id="7" lang="en-US">1</a><a href="/local" rel="nofollow noopener">2</a>' +
+    '<input type=CHECKBOX><p title="a, b">3</p>'
+  );
+  const texts = (selector) => doc.query(selector).map(node => node.toText() || node.tag);
+  assert.deepStrictEqual(texts('[href]'), ['1', '2']);
+  assert.deepStrictEqual(texts('a[href^="http"]'), ['1']);
+  assert.deepStrictEqual(texts("[href$='local']"), ['2']);
+  assert.deepStrictEqual(texts('[href*=example]'), ['1']);
+  assert.deepStrictEqual(texts('[data-id="7"]'), ['1']);
+  assert.deepStrictEqual(texts('[rel~=noopener]'), ['2']);
+  assert.deepStrictEqual(texts('[lang|=en]'), ['1']);
+  assert.deepStrictEqual(texts('[href^=""]'), []);
+  assert.deepStrictEqual(texts('[title="a, b"]'), ['3']);
+  // type is one of the HTML attributes whose value is compared case-insensitively by default.
+  assert.deepStrictEqual(texts('input[type=checkbox]'), ['input']);
+  assert.deepStrictEqual(texts('[type=checkbox s]'), []);
+  assert.deepStrictEqual(texts('[data-id="7" i], [href="/LOCAL" i]'), ['1', '2']);
+  assert.deepStrictEqual(texts('[href="/LOCAL"]'), []);
+  console.log('testAttributeSelectors passed!');
+}
+
+function testCombinators() {
+  const doc = parseHTML(
+    '<div id=a><p>1</p><span>2</span><p class="x y">3</p><section><p>4</p></section></div><p>5</p>'
+  );
+  const texts = (selector) => doc.query(selector).map(node => node.toText());
+  assert.deepStrictEqual(texts('div p'), ['1', '3', '4']);
+  assert.deepStrictEqual(texts('div > p'), ['1', '3']);
+  assert.deepStrictEqual(texts('div>p'), ['1', '3']);
+  assert.deepStrictEqual(texts('p + span'), ['2']);
+  assert.deepStrictEqual(texts('p ~ p'), ['3']);
+  assert.deepStrictEqual(texts('span~*'), ['3', '4']);
+  assert.deepStrictEqual(texts('#a > span + p.x.y'), ['3']);
+  assert.deepStrictEqual(texts('body > div ~ p'), ['5']);
+  // Results are in document order, without duplicates.
+  assert.deepStrictEqual(texts('section p , div > p,p'), ['1', '3', '4', '5']);
+  assert.deepStrictEqual(texts('#\\61  > .\\78'), ['3']);
+  // The whole tree counts when matching, but only descendants of the node are returned.
+  const section = doc.query('section')[0];
+  assert.deepStrictEqual(section.query('div p').map(node => node.toText()), ['4']);
+  assert.deepStrictEqual(section.query('section'), []);
+  for (const selector of ['', ' ', 'div >', '> p', 'p,', ',p', 'p,,a', 'p > > a', 'p..x', '#', '[href', '[=a]',
+    '[a="b]', '[a=b c]', 'p!', 'p:hover']) {
+    assert.throws(() => doc.query(selector), SyntaxError, selector);
+  }
+  assert.throws(() => doc.query('div >'), /Invalid selector "div >": expected a selector at the end at position 5/);
+  console.log('testCombinators passed!');
+}
+
+function testPseudoClasses() {
+  const doc = parseHTML(
+    '<ul><li>1</li><li class=a>2</li><li>3</li><li class=a>4</li><li class=a>5</li></ul>' +
+    '<p></p><p><!--c--></p><p> </p><div><span>x</span><b>y</b><span>z</span></div>'
+  );
+  const texts = (selector) => doc.query(selector).map(node => node.toText() || node.tag);
+  assert.deepStrictEqual(texts('li:first-child'), ['1']);
+  assert.deepStrictEqual(texts('li:last-child'), ['5']);
+  assert.deepStrictEqual(texts('b:only-child'), []);
+  assert.deepStrictEqual(texts('b:only-of-type'), ['y']);
+  assert.deepStrictEqual(texts('li:nth-child(odd)'), ['1', '3', '5']);
+  assert.deepStrictEqual(texts('li:nth-child(2n)'), ['2', '4']);
+  assert.deepStrictEqual(texts('li:nth-child( -n + 2 )'), ['1', '2']);
+  assert.deepStrictEqual(texts('li:nth-child(2 of .a)'), ['4']);
+  assert.deepStrictEqual(texts('li:nth-last-child(1 of .a)'), ['5']);
+  assert.deepStrictEqual(texts('span:nth-of-type(2)'), ['z']);
+  assert.deepStrictEqual(texts('p:empty'), ['p', 'p']);
+  assert.deepStrictEqual(doc.query(':root').map(node => node.tag), ['html']);
+  assert.deepStrictEqual(texts('li:not(.a)'), ['1', '3']);
+  assert.deepStrictEqual(texts('li:is(.a, :first-child):not(:nth-child(n+5))'), ['1', '2', '4']);
+  assert.deepStrictEqual(texts('li:where(:last-child)'), ['5']);
+  assert.deepStrictEqual(doc.query('body > :has(> li.a)').map(node => node.tag), ['ul']);
+  assert.deepStrictEqual(texts('div:has(b + span)'), ['xyz']);
+  assert.deepStrictEqual(texts('span:has(~ span), span:has(+ i)'), ['x']);
+
+  // Siblings are counted once per parent and query, so a long list of siblings is matched in linear time: the
+  // list's children are walked once to find the candidates, and once for each way of counting them.
+  const list = parseHTML(`<ol>${'<li>a</li><li class=b>b</li><p>c</p>'.repeat(100)}</ol>`).queryOne('ol');
+  let walks = 0;
+  list.children[Symbol.iterator] = function () {
+    walks++;
+    return Array.prototype[Symbol.iterator].call(this);
+  };
+  const countWalks = (run) => {
+    walks = 0;
+    run();
+    return walks;
+  };
+  assert.strictEqual(countWalks(() => assert.strictEqual(list.query('li:nth-child(3n+2)').length, 100)), 2);
+  assert.strictEqual(countWalks(() => assert.strictEqual(list.query('li:nth-of-type(2n)').length, 100)), 2);
+  assert.strictEqual(countWalks(() => {
+    assert.deepStrictEqual(list.query(':nth-last-child(1 of .b), p:nth-last-of-type(2)').map(node => node.toText()), [
+      'c', 'b',
+    ]);
+  }), 3);
+  assert.strictEqual(countWalks(() => {
+    assert.strictEqual(list.children[1].matches(':nth-child(1 of .b):nth-of-type(2)'), true);
+  }), 2);
+  for (const selector of [':hover', '::before', 'li:nth-child', 'li:nth-child()', 'li:nth-child(2n+)', 'li:not()',
+    ':is(a', ':first-child()', 'li:nth-of-type(1 of a)', ':not(> a)']) {
+    assert.throws(() => doc.query(selector), SyntaxError, selector);
+  }
+  console.log('testPseudoClasses passed!');
+}
+
+function testMatchesAndClosest() {
+  const doc = parseHTML('<form id=f><fieldset><label><input name=a></label></fieldset><p class=x>1</p><p class=x>2</p></form>');
+  const input = doc.queryOne('input');
+  assert.strictEqual(input.attributes.name, 'a');
+  assert.strictEqual(doc.queryOne('.x').toText(), '1');
+  assert.strictEqual(doc.queryOne('p:last-child').toText(), '2');
+  assert.strictEqual(doc.queryOne('table'), null);
+  assert.strictEqual(doc.root.queryOne('form').queryOne('form'), null);
+  assert.strictEqual(input.matches('form input[name=a]'), true);
+  assert.strictEqual(input.matches('label > input, p'), true);
+  assert.strictEqual(input.matches('fieldset > input'), false);
+  assert.strictEqual(input.closest('form').attributes.id, 'f');
+  assert.strictEqual(input.closest('input'), input);
+  assert.strictEqual(input.closest('fieldset, label').tag, 'label');
+  assert.strictEqual(input.closest('table'), null);
+  assert.throws(() => input.matches('input['), SyntaxError);
+  assert.throws(() => input.closest(''), SyntaxError);
+  assert.throws(() => doc.queryOne('p >'), SyntaxError);
+  console.log('testMatchesAndClosest passed!');
+}
+
+function testMutation() {
+  const doc = parseHTML('<div id=d><p>1</p><p>2</p></div>');
+  const div = doc.queryOne('div');
+  const [p1, p2] = div.children;
+  const span = new ElementNode('span');
+  assert.strictEqual(div.insertBefore(span, p2), span);
+  assert.strictEqual(span.parent, div);
+  assert.strictEqual(div.appendChild(p1), p1);
+  assert.deepStrictEqual(div.children, [span, p2, p1]);
+  assert.strictEqual(div.removeChild(span), span);
+  assert.strictEqual(span.parent, null);
+  assert.throws(() => div.removeChild(span), Error);
+  assert.throws(() => div.insertBefore(span, span), Error);
+
+  p2.replaceWith('a', new TextNode('b'), p1);
+  assert.deepStrictEqual(div.children.map(node => node.tag || node.text), ['a', 'b', 'p']);
+  assert.strictEqual(p2.parent, null);
+  div.normalize();
+  assert.deepStrictEqual(div.children.map(node => node.tag || node.text), ['ab', 'p']);
+  div.children[0].text = '';
+  div.normalize();
+  assert.deepStrictEqual(div.children, [p1]);
+  p1.remove();
+  assert.deepStrictEqual(div.children, []);
+
+  const fragment = new DocumentFragmentNode();
+  fragment.appendChild(new TextNode('x'));
+  fragment.appendChild(p1);
+  div.appendChild(fragment);
+  assert.deepStrictEqual(div.children.map(node => node.tag || node.text), ['x', 'p']);
+  assert.strictEqual(fragment.children.length, 0);
+  assert.strictEqual(p1.parent, div);
+
+  assert.throws(() => p1.appendChild(div), /cannot be inserted into itself/);
+  assert.throws(() => p1.children[0].appendChild(span), /text node cannot have children/);
+
+  div.setAttribute('Data-Count', 3);
+  assert.strictEqual(div.getAttribute('data-count'), '3');
+  assert.strictEqual(div.hasAttribute('DATA-COUNT'), true);
+  div.removeAttribute('data-count');
+  assert.strictEqual(div.getAttribute('data-count'), null);
+  assert.throws(() => div.setAttribute('a b', ''), Error);
+
+  const clone = div.cloneNode(true);
+  assert.strictEqual(clone.parent, null);
+  assert.strictEqual(clone.toHTML({ pretty: false }), div.toHTML({ pretty: false }));
+  assert.notStrictEqual(clone.children[1], p1);
+  assert.strictEqual(clone.children[1].parent, clone);
+  clone.setAttribute('id', 'copy');
+  assert.strictEqual(div.getAttribute('id'), 'd');
+  assert.strictEqual(div.cloneNode().children.length, 0);
+  assert.strictEqual(doc.root.cloneNode(true).queryOne('#d p').toText(), '1');
+
+  // Sibling lookups follow every change to the children, including those the tree builder makes itself.
+  const siblings = (parent) => parent.children.every((child, i) =>
+    child.previousSibling === (parent.children[i - 1] || null) && child.nextSibling === (parent.children[i + 1] || null)
+  );
+  const indexed = (parent) => parent.children.every((child, i) => child._index === i);
+  const list = new ElementNode('ul');
+  for (let i = 0; i < 10; i++) {
+    list.appendChild(new ElementNode('li'));
+  }
+  assert.ok(indexed(list));
+  list.insertBefore(new TextNode('a'), list.children[2]);
+  assert.ok(indexed(list));
+  const removed = list.children[0];
+  removed.remove();
+  assert.ok(indexed(list));
+  assert.strictEqual(removed._index, -1);
+  list.children[4].replaceWith('b', list.children[1]);
+  assert.ok(indexed(list));
+  assert.ok(siblings(list));
+  list.children.reverse();
+  assert.ok(siblings(list));
+  assert.ok(indexed(list));
+
+  // A node its parent no longer holds, once its children are changed directly, has no siblings.
+  const dropped = list.children[3];
+  list.children.splice(3, 1);
+  assert.strictEqual(dropped.nextSibling, null);
+  assert.strictEqual(dropped.previousSibling, null);
+  const adopted = parseHTML('<b>1<p>2</b>3<i>4<div>5</i>6</div>7');
+  assert.ok([...adopted.root.descendants()].every(siblings));
+  console.log('testMutation passed!');
+}
+
+function testClassList() {
+  const div = parseHTML('<div class="a  b a"></div>').queryOne('div');
+  assert.deepStrictEqual([...div.classList], ['a', 'b']);
+  assert.strictEqual(div.classList.length, 2);
+  assert.strictEqual(div.classList.contains('b'), true);
+  div.classList.add('c', 'a');
+  assert.strictEqual(div.getAttribute('class'), 'a b c');
+  div.classList.remove('a');
+  assert.strictEqual(div.getAttribute('class'), 'b c');
+  assert.strictEqual(div.classList.toggle('d'), true);
+  assert.strictEqual(div.classList.toggle('b'), false);
+  assert.strictEqual(div.classList.toggle('c', true), true);
+  assert.strictEqual(div.classList.replace('c', 'e'), true);
+  assert.strictEqual(div.classList.replace('x', 'y'), false);
+  assert.strictEqual(String(div.classList), 'e d');
+  assert.strictEqual(div.matches('.e.d'), true);
+  assert.throws(() => div.classList.add('a b'), Error);
+  assert.throws(() => div.classList.add(''), Error);
+  const p = new ElementNode('p');
+  p.classList.remove('x');
+  assert.strictEqual(p.hasAttribute('class'), false);
+  console.log('testClassList passed!');
+}
+
+function testTraversal() {
+  const doc = parseHTML('<div><p>a<b>b</b></p><!--c--><script>s</script><p>d</p></div>');
+  const div = doc.queryOne('div');
+  const [p1, comment, script, p2] = div.children;
+  const names = (nodes) => [...nodes].map(node => node.tag || node.text);
+  assert.strictEqual(p1.nextSibling, comment);
+  assert.strictEqual(script.previousSibling, comment);
+  assert.strictEqual(p2.nextSibling, null);
+  assert.strictEqual(comment.nextElementSibling, script);
+  assert.strictEqual(comment.previousElementSibling, p1);
+  assert.strictEqual(div.firstElementChild, p1);
+  assert.strictEqual(div.lastElementChild, p2);
+  assert.strictEqual(div.firstChild, p1);
+  assert.strictEqual(p1.firstChild.parentElement, p1);
+  assert.strictEqual(doc.queryOne('html').parentElement, null);
+  assert.deepStrictEqual(names(div.descendants()), ['p', 'a', 'b', 'b', 'c', 'script', 's', 'p', 'd']);
+  assert.deepStrictEqual(names(div.elements()), ['p', 'b', 'script', 'p']);
+  assert.deepStrictEqual([...doc.queryOne('b').ancestors()].map(node => node.tag || node.type),
+    ['p', 'div', 'body', 'html', 'document']);
+
+  assert.deepStrictEqual(names(createTreeWalker(div)), ['p', 'a', 'b', 'b', 'c', 'script', 's', 'p', 'd']);
+  const outsideScripts = (node) => node.parent.tag === 'script' ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+  assert.deepStrictEqual(names(createTreeWalker(div, NodeFilter.SHOW_TEXT, outsideScripts)), ['a', 'b', 'd']);
+  // Skipping a node still walks its children; rejecting it does not.
+  const walker = createTreeWalker(div, NodeFilter.SHOW_ELEMENT, {
+    acceptNode: (node) => node.tag === 'p' ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_ACCEPT,
+  });
+  assert.deepStrictEqual(names(walker), ['b', 'script']);
+  assert.strictEqual(walker.currentNode, script);
+  assert.strictEqual(walker.previousNode().tag, 'b');
+  assert.strictEqual(walker.parentNode(), div);
+  assert.strictEqual(walker.parentNode(), null);
+  assert.strictEqual(walker.firstChild().tag, 'b');
+  assert.strictEqual(walker.nextSibling(), script);
+  assert.strictEqual(walker.nextSibling(), null);
+  assert.strictEqual(walker.lastChild(), null);
+  walker.currentNode = div;
+  assert.strictEqual(walker.lastChild(), script);
+  assert.strictEqual(walker.previousSibling().tag, 'b');
+  console.log('testTraversal passed!');
+}
+
+function testSerializerEscaping() {
+  const serialize = (html) => parseHTML(html).toHTML({ pretty: false });
+  const body = (html) => serialize(html).replace(/^<html><head><\/head><body>|<\/body><\/html>$/g, '');
+  assert.strictEqual(
+    body('<p title="a &quot;b&quot; <c> &amp;">x &lt;y&gt; &amp;amp; a&nbsp;b</p>'),
+    '<p title="a &quot;b&quot; &lt;c&gt; &amp;">x &lt;y&gt; &amp;amp; a&nbsp;b</p>'
+  );
+  assert.strictEqual(body('<p a=\'"\' b="\'">x</p><br><img src="?a=1&b=2">'), '<p a="&quot;" b="\'">x</p><br><img src="?a=1&amp;b=2">');
+  assert.strictEqual(body('<pre>\n\nx</pre><textarea>\n<b></textarea>'), '<pre>\n\nx</pre><textarea>&lt;b&gt;</textarea>');
+  assert.strictEqual(
+    serialize('<script>if (a < b && c) {}</script><style>a > b {}</style><title>&lt;t&gt;</title>'),
+    '<html><head><script>if (a < b && c) {}</script><style>a > b {}</style><title>&lt;t&gt;</title></head><body></body></html>'
+  );
+  // Nodes built or changed through the API are escaped too.
+  const p = new ElementNode('p');
+  p.setAttribute('title', '"><script>');
+  p.appendChild(new TextNode('</p><script>alert(1)</script>'));
+  assert.strictEqual(p.toHTML({ pretty: false }), '<p title="&quot;&gt;&lt;script&gt;">&lt;/p&gt;&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+
+  for (const html of [
+    '<!DOCTYPE html><p title="&quot;&amp;&lt;">a &lt;b&gt; &amp;amp;&nbsp;</p>',
+    '<pre>\n\nfirst</pre><listing>\nl</listing><textarea>\n\n&lt;/textarea&gt;</textarea>',
+    '<svg><title>&lt;x</title><desc a="&quot;"></desc></svg><math><mi>&amp;</mi></math>',
+    '<table><td>a&lt;<td>b</table><xmp><b>&amp;</b></xmp>',
+  ]) {
+    const doc = parseHTML(html);
+    assert.strictEqual(dumpTree(parseHTML(doc.toHTML({ pretty: false })).root), dumpTree(doc.root), html);
+  }
+  console.log('testSerializerEscaping passed!');
+}
+
+function testSerializerOptions() {
+  const doc = parseHTML(
+    '<!DOCTYPE html><html lang=en><head><title>A  page</title><!-- note --></head><body>\n' +
+    '<div id="main" class="x"><h1>Hello,   <em>world</em>!</h1>\n<p>Some <b>bold</b> and\n <a href="/x">a link</a>.</p>\n' +
+    '<pre>\n  keep   this\n</pre><ul><li>one</li><li>two</li></ul>' +
+    '<input type="checkbox" checked="checked" disabled="" value=\'say "hi"\'></div></body></html>'
+  );
+  assert.strictEqual(doc.toHTML(), [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '  <head>',
+    '    <title>A page</title>',
+    '    <!-- note -->',
+    '  </head>',
+    '  <body>',
+    '    <div id="main" class="x">',
+    '      <h1>Hello, <em>world</em>!</h1>',
+    '      <p>Some <b>bold</b> and <a href="/x">a link</a>.</p>',
+    '      <pre>  keep   this\n</pre>',
+    '      <ul>',
+    '        <li>one</li>',
+    '        <li>two</li>',
+    '      </ul>',
+    '      <input type="checkbox" checked="checked" disabled="" value="say &quot;hi&quot;">',
+    '    </div>',
+    '  </body>',
+    '</html>',
+  ].join('\n'));
+  assert.strictEqual(doc.toHTML({ indentSize: 4 }).split('\n')[2], '    <head>');
+
+  const minified = doc.toHTML({ minify: true });
+  assert.strictEqual(minified,
+    '<!DOCTYPE html><html lang="en"><title>A page</title><div id="main" class="x"><h1>Hello, <em>world</em>!</h1>' +
+    '<p>Some <b>bold</b> and <a href="/x">a link</a>.<pre>  keep   this\n</pre><ul><li>one<li>two</ul>' +
+    '<input type="checkbox" checked="checked" disabled="" value="say &quot;hi&quot;"></div>');
+  assert.strictEqual(parseHTML(minified).toHTML({ minify: true }), minified);
+  assert.strictEqual(parseHTML(minified).queryOne('pre').toText(), '  keep   this\n');
+  assert.strictEqual(doc.toHTML({ minify: true, removeComments: false }).includes('<!-- note -->'), true);
+
+  const input = doc.queryOne('input');
+  assert.strictEqual(
+    input.toHTML({ omitAttributeQuotes: true, minimizeBooleanAttributes: true, sortAttributes: true, quote: "'" }),
+    '<input checked disabled type=checkbox value=\'say "hi"\'>'
+  );
+  assert.strictEqual(input.toHTML({ quote: '"' }), '<input type="checkbox" checked="checked" disabled="" value=\'say "hi"\'>');
+  const quotes = new ElementNode('a');
+  quotes.setAttribute('title', `it's "quoted"`);
+  assert.strictEqual(quotes.toHTML({ quote: "'" }), `<a title='it&#39;s "quoted"'></a>`);
+  assert.throws(() => input.toHTML({ quote: '`' }), /quote option/);
+
+  // Optional tags follow the WHATWG rules, so the minified markup parses back to the same tree.
+  for (const html of [
+    '<p>a<p>b<table><tr><td>x</table>',
+    '<dl><dt>a<dd>b<dt>c</dl><select><optgroup label=g><option>1<option>2</optgroup><option>3</select>',
+    '<table><colgroup><col></colgroup><colgroup><col></colgroup><thead><tr><th>h<tbody><tr><td>1<tbody><tr><td>2</table>',
+    '<body><script>1</script><p>x',
+    '<a><p>in a</p></a><my-el><p>c</p></my-el>',
+    '<html><!--c--><body> lead',
+  ]) {
+    const tree = parseHTML(html);
+    const normalized = tree.toHTML({ pretty: false, collapseWhitespace: true, removeComments: true });
+    const reparsed = parseHTML(tree.toHTML({ minify: true }));
+    assert.strictEqual(reparsed.toHTML({ pretty: false, collapseWhitespace: true, removeComments: true }), normalized, html);
+  }
+  // In quirks mode a table does not end a p, so its end tag stays.
+  assert.strictEqual(parseHTML('<p>q</p><table></table>').toHTML({ minify: true }), '<p>q</p><table></table>');
+  console.log('testSerializerOptions passed!');
+}
+
+function testLayoutText() {
+  const text = (html) => parseHTML(html).toText({ layout: true });
+  assert.strictEqual(text('<p>a</p><p>b</p>'), 'a\n\nb');
+  assert.strictEqual(text('<div>Hello   <b>big</b>\n world</div><div> next </div>'), 'Hello big world\nnext');
+  assert.strictEqual(text('line one<br>line two <br> three'), 'line one\nline two\nthree');
+  assert.strictEqual(text('<pre>  keep\n   this  </pre><p>after</p>'), '  keep\n   this  \n\nafter');
+  assert.strictEqual(
+    text('<table><tr><th>A</th><th>B</th></tr><tr><td> 1 </td><td>2</td></tr></table>tail'),
+    'A\tB\n1\t2\ntail',
+  );
+  assert.strictEqual(
+    text('<title>T</title><script>x()</script><style>p {}</style><template>t</template><p hidden>h</p>' +
+      '<span style="color: red; display: none">n</span><input type=hidden value=v>shown'),
+    'shown',
+  );
+  assert.strictEqual(text('An <img src="cat.png" alt="image of a cat"> here'), 'An image of a cat here');
+  assert.strictEqual(text('<ul><li>one</li><li>two <em>2</em></li></ul>'), 'one\ntwo 2');
+  assert.strictEqual(text('<details><summary>More</summary>body</details><details open><summary>Open</summary>body</details>'), 'More\nOpen\nbody');
+
+  // Elements render only their own content, and the default stays plain concatenation
+  const doc = parseHTML('<div><p>a</p><p>b</p></div>');
+  assert.strictEqual(doc.queryOne('div').toText({ layout: true }), 'a\n\nb');
+  assert.strictEqual(doc.queryOne('div').toText(), 'ab');
+
+  // A large document gives the same text as its parts joined, with the separators between them.
+  const part = '<p>Some <b>bold</b>  text<br>and <i>more</i> </p><table><tr><td>a<td> b</table>';
+  const partText = 'Some bold text\nand more\n\na\tb';
+  assert.strictEqual(text(part.repeat(20000)), Array(20000).fill(partText).join('\n\n'));
+  console.log('testLayoutText passed!');
+}
+
+function testMarkdown() {
+  const markdown = (html, options) => parseHTML(html).toMarkdown(options);
+  assert.strictEqual(
+    markdown('<h2>Title <em>here</em></h2><p>Some <strong>bold</strong>, <em> italic </em> and <del>old</del> text.</p><hr>'),
+    '## Title *here*\n\nSome **bold**, *italic* and ~~old~~ text.\n\n---',
+  );
+  assert.strictEqual(
+    markdown('<p><a href="/a b" title="Say &quot;hi&quot;">link</a> <a href="https://example.com">https://example.com</a>' +
+      '<br>then <img src="cat.png" alt="a [cat]"></p>'),
+    '[link](/a%20b "Say \\"hi\\"") <https://example.com>\\\nthen ![a \\[cat\\]](cat.png)',
+  );
+  assert.strictEqual(
+    markdown('<ul><li>one<li>two<ul><li>nested</ul></ul><ol start=3><li>three<li><p>four<p>more</ol>' +
+      '<ul><li><input type=checkbox checked> done</ul>'),
+    '- one\n- two\n  - nested\n\n3. three\n\n4. four\n\n   more\n\n- [x] done',
+  );
+  assert.strictEqual(
+    markdown('<pre><code class="language-js">let a = `x`;\n\n```\n</code></pre><p>Use <code>a`b</code></p>'),
+    '````js\nlet a = `x`;\n\n```\n````\n\nUse ``a`b``',
+  );
+  assert.strictEqual(markdown('<blockquote><p>quoted</p><blockquote>inner</blockquote></blockquote>'), '> quoted\n>\n> > inner');
+  assert.strictEqual(
+    markdown('<table><caption>Totals</caption><thead><tr><th align=left>A</th><th style="text-align: right">B|C</th>' +
+      '<th>C</th></tr></thead><tbody><tr><td colspan=2>1<br><b>x</b></td><td><code>a|b</code></td></tr>' +
+      '<tr><td>only</td></tr></tbody></table>'),
+    'Totals\n\n| A | B\\|C | C |\n| :--- | ---: | --- |\n| 1 **x** |  | `a\\|b` |\n| only |  |  |',
+  );
+
+  // Text is escaped so that it is not read as Markdown
+  assert.strictEqual(
+    markdown('<p>* one</p><p>2. two</p><p># three</p><p>a_b *c* [d] &amp;amp; &lt;e> \\ ~f~</p>'),
+    '\\* one\n\n2\\. two\n\n\\# three\n\na\\_b \\*c\\* \\[d\\] \\&amp; \\<e> \\\\ \\~f\\~',
+  );
+  assert.strictEqual(markdown('<title>T</title><script>x()</script><p hidden>h</p><p>shown</p>'), 'shown');
+  assert.strictEqual(markdown('<h1>Title #</h1><h2>##</h2><h3>C#</h3>'), '# Title \\#\n\n## \\##\n\n### C#');
+
+  // Adjacent runs of the same emphasis merge, and runs of different emphasis keep their own delimiters.
+  assert.strictEqual(markdown('<p><em>c</em><strong>d</strong><strong>e</strong> <s>f</s><del>g</del></p>'), '*c***de** ~~fg~~');
+  assert.strictEqual(markdown('<p><i>a</i><em>b</em> <b>c</b> <b>d</b></p>'), '*ab* **c** **d**');
+
+  // Options and rules
+  assert.strictEqual(
+    markdown('<ul><li><i>a</i> <b>b</b></ul>', { bulletMarker: '*', emphasisDelimiter: '_', strongDelimiter: '__' }),
+    '* _a_ __b__',
+  );
+  const rules = {
+    a: (element, content) => `[[${content}|${element.getAttribute('href')}]]`,
+    li: (element, content) => (element.hasAttribute('data-skip') ? null : content.toUpperCase()),
+  };
+  assert.strictEqual(markdown('<ul><li>x <a href="/y">y</a><li data-skip>z</ul>', { rules }), '- X [[Y|/Y]]\n- z');
+  assert.throws(() => markdown('<p>x</p>', { bulletMarker: '#' }), /bulletMarker/);
+  assert.throws(() => markdown('<p>x</p>', { rules: { p: 'x' } }), /rule for "p"/);
+
+  const doc = parseHTML('<div><p>a <em>b</em></p></div>');
+  assert.strictEqual(doc.queryOne('em').toMarkdown(), '*b*');
+  assert.strictEqual(doc.root.toMarkdown(), 'a *b*');
+  console.log('testMarkdown passed!');
+}
+
 function testErrorHandling() {
-  const html = '<p<>';
+  // "<p<>" is a start tag named "p<", so use an end tag without a name instead.
+  const html = '<!DOCTYPE html></>';
   assert.throws(() => parseHTML(html, { strict: true }), ParseError);
   const doc = parseHTML(html, { collectErrors: true });
   assert.strictEqual(doc.errors.length, 1);
+  assert.strictEqual(doc.errors[0].code, 'missing-end-tag-name');
   assert.strictEqual(doc.errors[0].line, 1);
-  assert.strictEqual(doc.errors[0].column, 3);
+  assert.strictEqual(doc.errors[0].column, 18);
   console.log('testErrorHandling passed!');
 }
 
+function testErrorCodes() {
+  const doc = parseHTML('<!DOCTYPE html>\n<p>a</span>&amp</p><table>x</table>', { collectErrors: true });
+  assert.deepStrictEqual(doc.errors.map(error => [error.code, error.severity]), [
+    ['end-tag-without-matching-open-element', 'warning'],
+    ['missing-semicolon-after-character-reference', 'warning'],
+    ['foster-parented-content', 'error'],
+  ]);
+  assert.strictEqual(doc.errors[0].message, 'End tag without matching open element');
+  assert.strictEqual(doc.errors[0].line, 2);
+  assert.strictEqual(doc.errors[0].column, 5);
+  assert.strictEqual(doc.errors[0].index, 20);
+
+  assert.strictEqual(parseHTML('<p>x</p>', { collectErrors: true }).errors[0].code, 'missing-doctype');
+  // A NULL in text is an error of the tokenizer, at the NULL, and another of the tree builder, at the text it drops
+  // the NULL from.
+  const nulls = parseHTML('<!DOCTYPE html><p>a\0</p>', { collectErrors: true });
+  assert.deepStrictEqual(nulls.errors.map(error => [error.code, error.column]), [
+    ['unexpected-null-character', 20],
+    ['unexpected-null-character', 19],
+  ]);
+  assert.strictEqual(nulls.queryOne('p').toText(), 'a');
+
+  // Stray end tags inside a select, and an end tag for the html element of a fragment's context, are ignored.
+  const codes = (html, options = {}) => parseHTML(html, { ...options, collectErrors: true }).errors.map(error => error.code);
+  assert.deepStrictEqual(codes('<!DOCTYPE html><select><optgroup><option></optgroup></option></optgroup></select>'), [
+    'end-tag-without-matching-open-element',
+    'end-tag-without-matching-open-element',
+  ]);
+  assert.deepStrictEqual(codes('<body></body></html>', { fragmentContext: new ElementNode('html') }), ['misplaced-end-tag']);
+  assert.throws(
+    () => parseHTML('<!DOCTYPE html><p>a</span>', { strict: true }),
+    error => error instanceof ParseError && error.code === 'end-tag-without-matching-open-element'
+  );
+  console.log('testErrorCodes passed!');
+}
+
+function testEndOfFile() {
+  const tokenize = (html) => {
+    const tokenizer = new Tokenizer({ collectErrors: true });
+    const tokens = tokenizer.run(html);
+    return [tokens, tokenizer.errors.map(error => error.code)];
+  };
+  assert.deepStrictEqual(tokenize('<!-- abc'), [[['Comment', ' abc']], ['eof-in-comment']]);
+  assert.deepStrictEqual(tokenize('<!--abc--'), [[['Comment', 'abc']], ['eof-in-comment']]);
+  assert.deepStrictEqual(tokenize('a<div class="x'), [[['Character', 'a']], ['eof-in-tag']]);
+  assert.deepStrictEqual(tokenize('a <'), [[['Character', 'a <']], ['eof-before-tag-name']]);
+  assert.deepStrictEqual(tokenize('<!DOCTYPE html'), [[['DOCTYPE', 'html', null, null, true]], ['eof-in-doctype']]);
+  assert.deepStrictEqual(tokenize('<!-'), [[['Comment', '-']], ['incorrectly-opened-comment']]);
+  assert.deepStrictEqual(tokenize('x &amp'), [[['Character', 'x &']], ['missing-semicolon-after-character-reference']]);
+  assert.deepStrictEqual(tokenize('&#x41'), [[['Character', 'A']], ['missing-semicolon-after-character-reference']]);
+
+  // Truncated text-only content keeps what was read.
+  const doc = parseHTML('<!DOCTYPE html><script>if (a </scr', { collectErrors: true });
+  assert.strictEqual(doc.query('script')[0].children[0].text, 'if (a </scr');
+  assert.deepStrictEqual(doc.errors.map(error => error.code), ['eof-in-element-that-can-contain-only-text']);
+  const comment = parseHTML('<p>a<!-- b').query('p')[0].children[1];
+  assert.strictEqual(comment.type, 'comment');
+  assert.strictEqual(comment.text, ' b');
+  console.log('testEndOfFile passed!');
+}
+
+function testHtml5libFormat() {
+  const [test] = parseDat('#data\n<p a=1 B=2>x\n#errors\n(1,3): expected-doctype-but-got-start-tag\n#document\n' +
+    '| <html>\n|   <head>\n|   <body>\n|     <p>\n|       a="1"\n|       b="2"\n|       "x"\n\n');
+  assert.strictEqual(test.data, '<p a=1 B=2>x');
+  assert.deepStrictEqual(test.errors, ['(1,3): expected-doctype-but-got-start-tag']);
+  assert.strictEqual(dumpTree(parseHTML(test.data).root), test.document);
+
+  const doc = parseHTML('<!DOCTYPE html><svg xlink:href="#a"><foreignObject/></svg><template><!--c--></template>');
+  assert.strictEqual(dumpTree(bodyOf(doc)), [
+    '| <svg svg>',
+    '|   xlink href="#a"',
+    '|   <svg foreignObject>',
+    '| <template>',
+    '|   content',
+    '|     <!-- c -->',
+  ].join('\n'));
+  console.log('testHtml5libFormat passed!');
+}
+
 function testNestedTags() {
     const html = '<div><p>Hello</p></div>';
     const doc = parseHTML(html);
-    const div = doc.root.children[0];
+    const div = bodyOf(doc).children[0];
     assert.strictEqual(div.tag, 'div');
     const p = div.children[0];
     assert.strictEqual(p.tag, 'p');
@@ -118,7 +684,7 @@ function testNestedTags() {
   function testSelfClosingTags() {
     const html = '<br/>';
     const doc = parseHTML(html);
-    const br = doc.root.children[0];
+    const br = bodyOf(doc).children[0];
     assert.strictEqual(br.tag, 'br');
     assert.strictEqual(br.children.length, 0);
     console.log('testSelfClosingTags passed!');
@@ -133,6 +699,508 @@ function testNestedTags() {
     console.log('testComments passed!');
   }
 
+function testCommentStates() {
+  const tokenize = (html) => {
+    const tokenizer = new Tokenizer({ collectErrors: true });
+    const tokens = tokenizer.run(html);
+    return [tokens, tokenizer.errors.map(error => error.code)];
+  };
+  const comment = (text) => [['Comment', text], ['Character', 'z']];
+  assert.deepStrictEqual(tokenize('<!-->z'), [comment(''), ['abrupt-closing-of-empty-comment']]);
+  assert.deepStrictEqual(tokenize('<!--->z'), [comment(''), ['abrupt-closing-of-empty-comment']]);
+  assert.deepStrictEqual(tokenize('<!---->z'), [comment(''), []]);
+  assert.deepStrictEqual(tokenize('<!--a--->z'), [comment('a-'), []]);
+  assert.deepStrictEqual(tokenize('<!--a-b--c-->z'), [comment('a-b--c'), []]);
+  assert.deepStrictEqual(tokenize('<!-- a --!>z'), [comment(' a '), ['incorrectly-closed-comment']]);
+  assert.deepStrictEqual(tokenize('<!--a--!b-->z'), [comment('a--!b'), []]);
+  assert.deepStrictEqual(tokenize('<!-- a <!-- b -->z'), [comment(' a <!-- b '), ['nested-comment']]);
+  assert.deepStrictEqual(tokenize('<!--<!-->z'), [comment('<!'), []]);
+  assert.deepStrictEqual(tokenize('<!--a<!--->z'), [comment('a<!-'), ['nested-comment']]);
+  assert.deepStrictEqual(tokenize('<!--a--!'), [[['Comment', 'a']], ['eof-in-comment']]);
+  console.log('testCommentStates passed!');
+}
+
+function testInputStreamErrors() {
+  const errors = (chunks) => {
+    const parser = createParser({ collectErrors: true });
+    for (const chunk of chunks) {
+      parser.write(chunk);
+    }
+    return parser.end().errors
+      .filter(error => error.code.endsWith('-in-input-stream'))
+      .map(error => [error.code, error.line, error.column, error.index]);
+  };
+  assert.deepStrictEqual(errors(['<p title="\x7F">a\x01\r\n\uFDD0<!--\uFFFF--></p>']), [
+    ['control-character-in-input-stream', 1, 11, 10],
+    ['control-character-in-input-stream', 1, 15, 14],
+    ['noncharacter-in-input-stream', 2, 1, 17],
+    ['noncharacter-in-input-stream', 2, 6, 22],
+  ]);
+  assert.deepStrictEqual(errors(['x\uD800y\uDC00\uD83F\uDFFE']), [
+    ['surrogate-in-input-stream', 1, 2, 1],
+    ['surrogate-in-input-stream', 1, 4, 3],
+    ['noncharacter-in-input-stream', 1, 5, 4],
+  ]);
+
+  // A surrogate pair split across chunks is still a pair, and a high surrogate at the end of the input is not.
+  assert.deepStrictEqual(errors(['a\uD83D', '\uDE00b\uD800']), [['surrogate-in-input-stream', 1, 5, 4]]);
+  assert.deepStrictEqual(parseHTML('a\uD83D\uDE00').queryOne('body').toText(), 'a\uD83D\uDE00');
+  console.log('testInputStreamErrors passed!');
+}
+
+function testDoctype() {
+  const doc = parseHTML('<!DOCTYPE html><p>Hi</p>');
+  const doctype = doc.root.children[0];
+  assert.strictEqual(doctype.type, 'doctype');
+  assert.strictEqual(doctype.name, 'html');
+  assert.strictEqual(doctype.publicId, null);
+  assert.strictEqual(doctype.systemId, null);
+  assert.strictEqual(doc.root.quirksMode, 'no-quirks');
+  assert.strictEqual(doc.toHTML({ pretty: false }), '<!DOCTYPE html><html><head></head><body><p>Hi</p></body></html>');
+
+  const legacy = parseHTML('<!doctype HTML PUBLIC "-//W3C//DTD HTML 4.01//EN" \'http://www.w3.org/TR/html4/strict.dtd\'>');
+  assert.strictEqual(legacy.root.children[0].name, 'html');
+  assert.strictEqual(legacy.root.children[0].publicId, '-//W3C//DTD HTML 4.01//EN');
+  assert.strictEqual(legacy.root.children[0].systemId, 'http://www.w3.org/TR/html4/strict.dtd');
+  assert.strictEqual(
+    legacy.toHTML({ pretty: false }),
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd"><html><head></head><body></body></html>'
+  );
+  console.log('testDoctype passed!');
+}
+
+function testQuirksMode() {
+  assert.strictEqual(parseHTML('<!DOCTYPE html SYSTEM "about:legacy-compat">').root.quirksMode, 'no-quirks');
+  assert.strictEqual(parseHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.0 Transitional//EN">').root.quirksMode, 'quirks');
+  assert.strictEqual(parseHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">').root.quirksMode, 'quirks');
+  assert.strictEqual(
+    parseHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">').root.quirksMode,
+    'limited-quirks'
+  );
+  assert.strictEqual(parseHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN">').root.quirksMode, 'limited-quirks');
+
+  const missingName = parseHTML('<!DOCTYPE>', { collectErrors: true });
+  assert.strictEqual(missingName.root.quirksMode, 'quirks');
+  assert.deepStrictEqual(missingName.errors.map(error => error.code), ['missing-doctype-name', 'non-conforming-doctype']);
+
+  const bogus = parseHTML('<!DOCTYPE html bogus>', { collectErrors: true });
+  assert.strictEqual(bogus.root.children[0].name, 'html');
+  assert.strictEqual(bogus.root.quirksMode, 'quirks');
+  assert.strictEqual(bogus.errors.length, 1);
+  console.log('testQuirksMode passed!');
+}
+
+function testCharacterReferences() {
+  const doc = parseHTML('<p title="a &amp; b &lt;">x &lt; y &#x27;z&#39; &nbsp;&copy 2024</p>');
+  const p = doc.query('p')[0];
+  assert.strictEqual(p.attributes.title, 'a & b <');
+  assert.strictEqual(p.toText(), "x < y 'z' \u00a0\u00a9 2024");
+
+  // Legacy references without a semicolon are only left alone inside attributes when followed by "=" or an alphanumeric.
+  const link = parseHTML('<a href="?a=1&copy=2&not;x&notx"></a>').query('a')[0];
+  assert.strictEqual(link.attributes.href, '?a=1&copy=2\u00acx&notx');
+  assert.strictEqual(parseHTML('&notit; &notin;').toText(), '\u00acit; \u2209');
+  console.log('testCharacterReferences passed!');
+}
+
+function testNumericCharacterReferences() {
+  const doc = parseHTML('<!DOCTYPE html>&#65;&#x1F600;&#x80;&#0;&#xD800;&#x110000;&#65!', { collectErrors: true });
+  assert.strictEqual(doc.toText(), 'A\u{1F600}\u20ac\ufffd\ufffd\ufffdA!');
+  assert.deepStrictEqual(doc.errors.map(error => error.code), [
+    'control-character-reference',
+    'null-character-reference',
+    'surrogate-character-reference',
+    'character-reference-outside-unicode-range',
+    'missing-semicolon-after-character-reference',
+  ]);
+
+  const malformed = parseHTML('<!DOCTYPE html>&#; &#x; &bogus; & done', { collectErrors: true });
+  assert.strictEqual(malformed.toText(), '&#; &#x; &bogus; & done');
+  assert.strictEqual(malformed.errors.length, 3);
+  console.log('testNumericCharacterReferences passed!');
+}
+
+function testImpliedElements() {
+  const doc = parseHTML('<!DOCTYPE html><title>Page</title><p>Hi');
+  const html = doc.root.children[1];
+  assert.strictEqual(html.tag, 'html');
+  assert.deepStrictEqual(html.children.map(child => child.tag), ['head', 'body']);
+  assert.strictEqual(html.children[0].children[0].tag, 'title');
+  assert.strictEqual(html.children[0].children[0].toText(), 'Page');
+  assert.strictEqual(html.children[1].children[0].tag, 'p');
+  assert.strictEqual(doc.root.quirksMode, 'no-quirks');
+  assert.strictEqual(parseHTML('<p>no doctype').root.quirksMode, 'quirks');
+  console.log('testImpliedElements passed!');
+}
+
+function testImpliedEndTags() {
+  assert.strictEqual(
+    parseHTML('<p>a<p>b<div>c</div>').toHTML({ pretty: false }),
+    '<html><head></head><body><p>a</p><p>b</p><div>c</div></body></html>'
+  );
+  assert.strictEqual(
+    parseHTML('<ul><li>one<li>two<ul><li>nested</ul><li>three</ul>').toHTML({ pretty: false }),
+    '<html><head></head><body><ul><li>one</li><li>two<ul><li>nested</li></ul></li><li>three</li></ul></body></html>'
+  );
+  assert.strictEqual(
+    parseHTML('<dl><dt>term<dd>definition<dt>other</dl>').toHTML({ pretty: false }),
+    '<html><head></head><body><dl><dt>term</dt><dd>definition</dd><dt>other</dt></dl></body></html>'
+  );
+  // A stray end tag never closes elements outside its scope.
+  assert.strictEqual(
+    parseHTML('<div><span>a</div>b</span>').toHTML({ pretty: false }),
+    '<html><head></head><body><div><span>a</span></div>b</body></html>'
+  );
+  console.log('testImpliedEndTags passed!');
+}
+
+function testTables() {
+  assert.strictEqual(
+    parseHTML('<table><tr><td>1<td>2<tr><td>3</table>').toHTML({ pretty: false }),
+    '<html><head></head><body><table><tbody><tr><td>1</td><td>2</td></tr><tr><td>3</td></tr></tbody></table></body></html>'
+  );
+  // Text that does not belong in a table is moved in front of it.
+  assert.strictEqual(
+    parseHTML('<!DOCTYPE html><table>oops<tr><td>cell</td></tr></table>').toHTML({ pretty: false }),
+    '<!DOCTYPE html><html><head></head><body>oops<table><tbody><tr><td>cell</td></tr></tbody></table></body></html>'
+  );
+  console.log('testTables passed!');
+}
+
+function testMisnestedFormatting() {
+  const wrap = html => `<html><head></head><body>${html}</body></html>`;
+  assert.strictEqual(parseHTML('<b><i>a</b>b</i>c').toHTML({ pretty: false }), wrap('<b><i>a</i></b><i>b</i>c'));
+  assert.strictEqual(parseHTML('<b>1<p>2</b>3</p>').toHTML({ pretty: false }), wrap('<b>1</b><p><b>2</b>3</p>'));
+  assert.strictEqual(parseHTML('<a><p><a>y').toHTML({ pretty: false }), wrap('<a></a><p><a></a><a>y</a></p>'));
+  // Formatting closed by a block is reopened for the text that follows it.
+  assert.strictEqual(
+    parseHTML('<p><b><i>x</p>text').toHTML({ pretty: false }),
+    wrap('<p><b><i>x</i></b></p><b><i>text</i></b>')
+  );
+  // A stray formatting tag does not leave the rest of the document nested inside it.
+  const doc = parseHTML('<div><b>bold</div><p>after</p>');
+  assert.strictEqual(doc.query('p')[0].parent.tag, 'body');
+  console.log('testMisnestedFormatting passed!');
+}
+
+function testActiveFormattingLimits() {
+  const wrap = html => `<html><head></head><body>${html}</body></html>`;
+  // At most three identical formatting elements are reopened.
+  assert.strictEqual(
+    parseHTML('<p><b><b><b><b>x</p>y').toHTML({ pretty: false }),
+    wrap('<p><b><b><b><b>x</b></b></b></b></p><b><b><b>y</b></b></b>')
+  );
+  // Markers keep formatting from leaking out of table cells.
+  assert.strictEqual(
+    parseHTML('<table><tr><td><b>x</td></tr></table>y').toHTML({ pretty: false }),
+    wrap('<table><tbody><tr><td><b>x</b></td></tr></tbody></table>y')
+  );
+  console.log('testActiveFormattingLimits passed!');
+}
+
+function testVoidElements() {
+  const doc = parseHTML('<p><img src="a.png" alt="A"><input type=checkbox checked>after<hr/>');
+  const p = doc.query('p')[0];
+  assert.deepStrictEqual(p.children.map(child => child.tag || child.text), ['img', 'input', 'after']);
+  assert.strictEqual(doc.query('img')[0].children.length, 0);
+  assert.strictEqual(doc.query('hr')[0].parent.tag, 'body');
+  assert.strictEqual(
+    doc.toHTML({ pretty: false }),
+    '<html><head></head><body><p><img src="a.png" alt="A"><input type="checkbox" checked="">after</p><hr></body></html>'
+  );
+  console.log('testVoidElements passed!');
+}
+
+function testSelfClosingStartTag() {
+  const tokens = new Tokenizer().run('<img src="a.png" /><br/><div class=x/>');
+  assert.deepStrictEqual(tokens, [
+    ['StartTag', 'img', { src: 'a.png' }, true],
+    ['StartTag', 'br', {}, true],
+    ['StartTag', 'div', { class: 'x/' }, false],
+  ]);
+
+  // The flag has no effect on non-void HTML elements: <div/> opens a div.
+  const doc = parseHTML('<!DOCTYPE html><div/>text</div>', { collectErrors: true });
+  assert.strictEqual(doc.query('div')[0].toText(), 'text');
+  assert.deepStrictEqual(doc.errors.map(error => error.code), ['non-void-html-element-start-tag-with-trailing-solidus']);
+  console.log('testSelfClosingStartTag passed!');
+}
+
+function testNewlineNormalization() {
+  // "\r\n" and a lone "\r" become "\n" before tokenizing, so "\r" separates a tag name from its attributes.
+  assert.deepStrictEqual(new Tokenizer().run('<p\rclass=x\r\nid="a\rb">y\r\nz\r</p>'), [
+    ['StartTag', 'p', { class: 'x', id: 'a\nb' }, false],
+    ['Character', 'y\nz\n'],
+    ['EndTag', 'p'],
+  ]);
+  const doc = parseHTML('<textarea>\r\nx</textarea><pre>\r\n\r\ny</pre>');
+  assert.strictEqual(doc.queryOne('textarea').toText(), 'x');
+  assert.strictEqual(doc.queryOne('pre').toText(), '\ny');
+
+  // A "\r" at the end of a chunk waits for the next one, and source locations count "\r\n" as two characters.
+  const html = 'a\r\n<b>c\r</b>\r';
+  for (let i = 0; i <= html.length; i++) {
+    const parser = createParser();
+    parser.write(html.slice(0, i));
+    const result = parser.end(html.slice(i));
+    const b = result.queryOne('b');
+    assert.strictEqual(result.toHTML({ pretty: false }), '<html><head></head><body>a\n<b>c\n</b>\n</body></html>');
+    assert.strictEqual(html.slice(b.startIndex, b.endIndex), '<b>c\r</b>');
+    assert.deepStrictEqual([b.line, b.column], [2, 1]);
+    assert.strictEqual(result.root.endIndex, html.length);
+  }
+  console.log('testNewlineNormalization passed!');
+}
+
+function testRawText() {
+  const html = '<script>if (a < b) { s = "<p>&amp;</p>"; }</script><style>a > b { }</style>';
+  const doc = parseHTML(html);
+  const script = doc.query('script')[0];
+  assert.strictEqual(script.children.length, 1);
+  assert.strictEqual(script.toText(), 'if (a < b) { s = "<p>&amp;</p>"; }');
+  assert.strictEqual(doc.query('p').length, 0);
+  assert.strictEqual(doc.toHTML({ pretty: false }), `<html><head>${html}</head><body></body></html>`);
+
+  // Only an end tag for the open element ends it, whatever its case.
+  assert.strictEqual(parseHTML('<xmp></xm</xmpx></XMP>').query('xmp')[0].toText(), '</xm</xmpx>');
+  console.log('testRawText passed!');
+}
+
+function testScriptDataEscaped() {
+  // Inside "<!--", a nested "<script>" keeps the next "</script>" from closing the element.
+  const doc = parseHTML('<script><!--<script>x</script>-->y</script>after');
+  assert.strictEqual(doc.query('script')[0].toText(), '<!--<script>x</script>-->y');
+  assert.strictEqual(bodyOf(doc).toText(), 'after');
+
+  assert.strictEqual(parseHTML('<script><!-- a </script>b').query('script')[0].toText(), '<!-- a ');
+  console.log('testScriptDataEscaped passed!');
+}
+
+function testRcdata() {
+  const doc = parseHTML('<title>Fish &amp; <b>Chips</b></title><textarea>\n&lt;hi&gt;</textarea>');
+  assert.strictEqual(doc.query('title')[0].toText(), 'Fish & <b>Chips</b>');
+  assert.strictEqual(doc.query('b').length, 0);
+  assert.strictEqual(doc.query('textarea')[0].toText(), '<hi>');
+  console.log('testRcdata passed!');
+}
+
+function testForeignContent() {
+  const doc = parseHTML('<svg viewbox="0 0 10 10"><foreignobject><div>hi</div></foreignobject><a xlink:href="#x"/></svg>');
+  const svg = doc.query('svg')[0];
+  assert.strictEqual(svg.namespace, 'http://www.w3.org/2000/svg');
+  assert.strictEqual(svg.children[0].tag, 'foreignObject');
+  assert.strictEqual(svg.children[0].children[0].namespace, 'http://www.w3.org/1999/xhtml');
+  assert.deepStrictEqual(svg.children[1].attributeNamespaces, { 'xlink:href': 'http://www.w3.org/1999/xlink' });
+  assert.strictEqual(
+    bodyOf(doc).toHTML({ pretty: false }),
+    '<body><svg viewBox="0 0 10 10"><foreignObject><div>hi</div></foreignObject><a xlink:href="#x"></a></svg></body>'
+  );
+
+  const math = parseHTML('<math definitionurl=u><mi>x</mi></math>').query('math')[0];
+  assert.strictEqual(math.namespace, 'http://www.w3.org/1998/Math/MathML');
+  assert.deepStrictEqual(math.attributes, { definitionURL: 'u' });
+  assert.strictEqual(math.children[0].namespace, 'http://www.w3.org/1998/Math/MathML');
+
+  // An HTML element such as <p> closes the open SVG elements.
+  assert.strictEqual(bodyOf(parseHTML('<svg><g><p>x')).toHTML({ pretty: false }), '<body><svg><g></g></svg><p>x</p></body>');
+
+  // A NULL in foreign content becomes U+FFFD, but a frameset may still replace the body.
+  const frameset = parseHTML('<svg>\0 </svg><frameset>');
+  assert.strictEqual(frameset.queryOne('body'), null);
+  assert.notStrictEqual(frameset.queryOne('frameset'), null);
+  assert.strictEqual(parseHTML('<svg>\0</svg>').queryOne('svg').toText(), '\uFFFD');
+  console.log('testForeignContent passed!');
+}
+
+function testCdata() {
+  const doc = parseHTML('<!DOCTYPE html><svg><![CDATA[a<b]]></svg><![CDATA[c]]>', { collectErrors: true });
+  assert.strictEqual(doc.query('svg')[0].children[0].text, 'a<b');
+  // Outside foreign content a CDATA section is a bogus comment.
+  assert.strictEqual(bodyOf(doc).children[1].type, 'comment');
+  assert.strictEqual(bodyOf(doc).children[1].text, '[CDATA[c]]');
+  assert.strictEqual(doc.errors.length, 1);
+  console.log('testCdata passed!');
+}
+
+function testPlaintext() {
+  const doc = parseHTML('<p>a<plaintext></plaintext>&amp;<b>');
+  const plaintext = doc.query('plaintext')[0];
+  assert.strictEqual(plaintext.toText(), '</plaintext>&amp;<b>');
+  assert.strictEqual(plaintext.parent.tag, 'body');
+  console.log('testPlaintext passed!');
+}
+
+
+function testFragmentContext() {
+  const row = parseHTML('<td>a</td><td>b', { fragmentContext: 'tr' });
+  assert.strictEqual(row.root.type, 'document-fragment');
+  assert.deepStrictEqual(row.root.children.map(child => child.tag), ['td', 'td']);
+  assert.strictEqual(row.root.children[0].parent, row.root);
+  assert.strictEqual(row.toHTML({ pretty: false }), '<td>a</td><td>b</td>');
+
+  assert.strictEqual(parseHTML('<tr><td>1', { fragmentContext: 'table' }).toHTML({ pretty: false }),
+    '<tbody><tr><td>1</td></tr></tbody>');
+  assert.strictEqual(parseHTML('<option>a<option>b', { fragmentContext: 'select' }).query('option').length, 2);
+
+  // The context's content model decides how the tokenizer starts.
+  const textarea = parseHTML('<b>&amp;</textarea>', { fragmentContext: new ElementNode('textarea') });
+  assert.strictEqual(textarea.root.children.length, 1);
+  assert.strictEqual(textarea.root.children[0].text, '<b>&</textarea>');
+  console.log('testFragmentContext passed!');
+}
+
+function testSourceLocations() {
+  const html = '<!DOCTYPE html>\n<div id="main" hidden>Hi <b>there</b>\n<p>one<!--c--></div>';
+  const doc = parseHTML(html);
+  const source = node => html.slice(node.startIndex, node.endIndex);
+  const span = s => html.slice(s.startIndex, s.endIndex);
+
+  assert.strictEqual(source(doc.root.children[0]), '<!DOCTYPE html>');
+  const div = doc.query('div')[0];
+  assert.strictEqual(source(div), html.slice(16));
+  assert.strictEqual([div.line, div.column].join(':'), '2:1');
+  assert.strictEqual(span(div.startTagSpan), '<div id="main" hidden>');
+  assert.strictEqual(span(div.endTagSpan), '</div>');
+  assert.strictEqual(span(div.attributeSpans.id), 'id="main"');
+  assert.strictEqual(span(div.attributeSpans.hidden), 'hidden');
+  assert.strictEqual(source(div.children[0]), 'Hi ');
+  assert.strictEqual(source(doc.query('b')[0]), '<b>there</b>');
+
+  // The p's end tag is omitted, so it ends with its last child.
+  const p = doc.query('p')[0];
+  assert.strictEqual(source(p), '<p>one<!--c-->');
+  assert.strictEqual([p.line, p.column].join(':'), '3:1');
+  assert.strictEqual(p.endTagSpan, null);
+
+  // Implied elements have no start tag and start where the token that implied them does.
+  const body = bodyOf(doc);
+  assert.strictEqual(body.startTagSpan, null);
+  assert.strictEqual(body.startIndex, 16);
+
+  const tokens = new Tokenizer().run('a\n<br class=x>');
+  assert.deepStrictEqual(tokens[1].location, {
+    startIndex: 2, endIndex: 14, line: 2, column: 1,
+    attributes: { class: { startIndex: 6, endIndex: 13, line: 2, column: 5 } },
+  });
+  console.log('testSourceLocations passed!');
+}
+
+function testCharacterRuns() {
+  // Each run of text is a single token, whatever mix of characters and references it holds.
+  const tokens = new Tokenizer().run('Fish &amp; chips<br class="a &lt; b">\nline 2\n<!---->');
+  assert.deepStrictEqual(tokens, [
+    ['Character', 'Fish & chips'],
+    ['StartTag', 'br', { class: 'a < b' }, false],
+    ['Character', '\nline 2\n'],
+    ['Comment', ''],
+  ]);
+  assert.deepStrictEqual(tokens[2].location, { startIndex: 37, endIndex: 45, line: 1, column: 38 });
+  assert.deepStrictEqual(tokens[3].location, { startIndex: 45, endIndex: 52, line: 3, column: 1 });
+
+  const doc = parseHTML(`<p>${'text '.repeat(1000)}</p>`);
+  assert.strictEqual(doc.query('p')[0].children.length, 1);
+
+  // Comment text is read in runs too, so a large comment takes time in proportion to its length.
+  const text = 'a comment - with <b> and -- in it\n'.repeat(60000);
+  const start = Date.now();
+  const [comment, after] = new Tokenizer().run(`<!--${text}-->x`);
+  assert.ok(Date.now() - start < 2000);
+  assert.strictEqual(comment[1], text);
+  assert.deepStrictEqual(comment.location, { startIndex: 0, endIndex: text.length + 7, line: 1, column: 1 });
+  assert.deepStrictEqual(after, ['Character', 'x']);
+  console.log('testCharacterRuns passed!');
+}
+
+function testIncrementalParsing() {
+  const html = '<!DOCTYPE html><title>A &amp; B</title><p class="x y">caf&eacute; &#x41;<br/>\n<!-- note --></p>';
+  const whole = parseHTML(html);
+
+  // Every split point, including inside "<", "&eacute;" and the comment, gives the same tree.
+  for (let i = 0; i <= html.length; i++) {
+    const parser = createParser();
+    parser.write(html.slice(0, i));
+    const doc = parser.end(html.slice(i));
+    assert.strictEqual(doc.toHTML({ pretty: false }), whole.toHTML({ pretty: false }));
+  }
+
+  const parser = createParser();
+  for (const char of html) {
+    parser.write(char);
+  }
+  const doc = parser.end();
+  assert.strictEqual(doc.query('p')[0].toText(), 'café A\n');
+  assert.strictEqual(doc.query('p')[0].attributes.class, 'x y');
+  assert.strictEqual(doc.query('p')[0].endIndex, html.length);
+  assert.strictEqual(doc.root.endIndex, html.length);
+  console.log('testIncrementalParsing passed!');
+}
+
+async function testStreamAdapters() {
+  const bytes = new TextEncoder().encode('<p>naïve &amp; <b>bold</b></p>');
+  // Split the bytes inside the two-byte "ï".
+  const chunks = [bytes.slice(0, 6), bytes.slice(6)];
+
+  const fromNode = await parseStream(Readable.from(chunks.map(chunk => Buffer.from(chunk))));
+  assert.strictEqual(fromNode.query('p')[0].toText(), 'naïve & bold');
+
+  const readable = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+  const reader = readable.pipeThrough(createParserStream()).getReader();
+  const { value: doc } = await reader.read();
+  assert.strictEqual(doc.query('b')[0].toText(), 'bold');
+  assert.strictEqual((await reader.read()).done, true);
+  console.log('testStreamAdapters passed!');
+}
+
+function testScanHTML() {
+  const events = [];
+  const html = '<!DOCTYPE html><a href="/x">Go</a><script>"<a href=no>"</script><!--c--><b>';
+  scanHTML(html, {
+    onDoctype: ({ name, location }) => events.push(['doctype', name, location.startIndex]),
+    onStartTag: ({ name, attributes, attributeSpans }) => {
+      events.push(['start', name, attributes]);
+      if (name === 'a') {
+        assert.strictEqual(html.slice(attributeSpans.href.startIndex, attributeSpans.href.endIndex), 'href="/x"');
+      }
+    },
+    onEndTag: ({ name, location }) => events.push(['end', name, location.startIndex]),
+    onText: ({ text }) => events.push(['text', text]),
+    onComment: ({ text, location }) => events.push(['comment', text, location.line, location.column]),
+  });
+  assert.deepStrictEqual(events, [
+    ['doctype', 'html', 0],
+    ['start', 'a', { href: '/x' }],
+    ['text', 'Go'],
+    ['end', 'a', 30],
+    ['start', 'script', {}],
+    ['text', '"<a href=no>"'],
+    ['end', 'script', 55],
+    ['comment', 'c', 1, 65],
+    ['start', 'b', {}],
+  ]);
+
+  // Returning false from a handler stops the scan.
+  const names = [];
+  const errors = [];
+  scanHTML('<p>1</p><meta name=a><meta name=b></>', {
+    onStartTag: ({ name, attributes }) => {
+      names.push(name);
+      return attributes.name !== 'a';
+    },
+    onError: error => errors.push(error),
+  });
+  assert.deepStrictEqual(names, ['p', 'meta']);
+  assert.strictEqual(errors.length, 0);
+
+  scanHTML('a</>b</>c', { onError: error => errors.push(error.column) && false, onText: ({ text }) => names.push(text) });
+  assert.deepStrictEqual(errors, [4]);
+  assert.deepStrictEqual(names, ['p', 'meta', 'a']);
+  console.log('testScanHTML passed!');
+}
 
 testParseText();
 testParseStartTag();
@@ -140,11 +1208,51 @@ testParseEndTag();
 testParseAttribute();
 testParseMultipleAttributes();
 testToHTML();
+testSerializerEscaping();
+testSerializerOptions();
+testLayoutText();
+testMarkdown();
 testToText();
 testQuery();
 testQueryClass();
 testQueryId();
+testAttributeSelectors();
+testCombinators();
+testPseudoClasses();
+testMatchesAndClosest();
+testMutation();
+testClassList();
+testTraversal();
 testErrorHandling();
+testErrorCodes();
+testEndOfFile();
+testHtml5libFormat();
 testNestedTags();
 testSelfClosingTags();
-testComments();
\ No newline at end of file
+testComments();
+testCommentStates();
+testInputStreamErrors();
+testDoctype();
+testQuirksMode();
+testCharacterReferences();
+testNumericCharacterReferences();
+testImpliedElements();
+testImpliedEndTags();
+testTables();
+testMisnestedFormatting();
+testActiveFormattingLimits();
+testVoidElements();
+testSelfClosingStartTag();
+testNewlineNormalization();
+testRawText();
+testScriptDataEscaped();
+testRcdata();
+testPlaintext();
+testForeignContent();
+testCdata();
+testFragmentContext();
+testSourceLocations();
+testCharacterRuns();
+testScanHTML();
+testIncrementalParsing();
+await testStreamAdapters();
\ No newline at end of file